@@ -0,0 +1,320 @@
+/**
+ * Vue "Usage": consommation de tokens et coût agrégés sur toutes les sessions
+ */
+import { USAGE_DIMENSIONS, groupUsage, usageToCSV, dayKey } from './usage-analytics.js';
+import { downloadFile } from './session-export.js';
+import { escapeHtml, formatNumber, formatCost } from './format.js';
+
+const COLUMNS = [
+    { key: 'label', label: '' },
+    { key: 'sessions', label: 'Sessions' },
+    { key: 'messages', label: 'Messages' },
+    { key: 'input', label: 'Input' },
+    { key: 'output', label: 'Output' },
+    { key: 'reasoning', label: 'Raisonnement' },
+    { key: 'cacheRead', label: 'Cache lu' },
+    { key: 'cacheWrite', label: 'Cache écrit' },
+    { key: 'total', label: 'Total tokens' },
+    { key: 'cost', label: 'Coût' },
+];
+
+const CHART_METRICS = {
+    cost: 'Coût',
+    total: 'Total tokens',
+    input: 'Tokens input',
+    output: 'Tokens output',
+    cacheRead: 'Cache lu',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AnalyticsView {
+    constructor(container, analytics, options = {}) {
+        this.container = container;
+        this.analytics = analytics;
+        this.onOpenSession = options.onOpenSession || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.state = {
+            from: null,
+            to: null,
+            dimension: 'day',
+            metric: 'cost',
+            sortKey: 'label',
+            sortDir: 'desc',
+        };
+        this.status = { loading: false, done: 0, total: 0 };
+
+        this.container.addEventListener('click', e => this.handleClick(e));
+        this.container.addEventListener('change', e => this.handleChange(e));
+    }
+
+    setAnalytics(analytics) {
+        this.analytics = analytics;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (!this.container.classList.contains('hidden')) this.render();
+    }
+
+    /**
+     * Rend la vue complète (barre d'outils, totaux, graphique, tableau)
+     */
+    render() {
+        const rows = this.analytics.getRows({ from: this.state.from, to: this.state.to });
+        const totals = groupUsage(rows, () => 'all')[0];
+        const groups = this.getGroups(rows);
+
+        this.container.innerHTML = `
+            <div class="analytics-toolbar">
+                <button class="btn-secondary analytics-close">← Retour</button>
+                <div class="analytics-range">
+                    <label>Du <input type="date" class="analytics-from" value="${this.state.from || ''}"></label>
+                    <label>au <input type="date" class="analytics-to" value="${this.state.to || ''}"></label>
+                    <button class="btn-icon analytics-preset" data-days="7">7 j</button>
+                    <button class="btn-icon analytics-preset" data-days="30">30 j</button>
+                    <button class="btn-icon analytics-preset" data-days="90">90 j</button>
+                    <button class="btn-icon analytics-preset" data-days="0">Tout</button>
+                </div>
+                <button class="btn-secondary analytics-csv" ${groups.length === 0 ? 'disabled' : ''}>Exporter CSV</button>
+            </div>
+            <div class="analytics-status">${this.renderStatus()}</div>
+            <div class="analytics-summary">
+                ${this.renderCard('Coût', formatCost(totals?.cost || 0))}
+                ${this.renderCard('Tokens', formatNumber(totals?.total || 0))}
+                ${this.renderCard('Input / Output', `${formatNumber(totals?.input || 0)} / ${formatNumber(totals?.output || 0)}`)}
+                ${this.renderCard('Raisonnement', formatNumber(totals?.reasoning || 0))}
+                ${this.renderCard('Cache lu / écrit', `${formatNumber(totals?.cacheRead || 0)} / ${formatNumber(totals?.cacheWrite || 0)}`)}
+                ${this.renderCard('Sessions', formatNumber(totals?.sessions || 0))}
+            </div>
+            <div class="analytics-chart-section">
+                <div class="analytics-section-header">
+                    <h3>Par jour</h3>
+                    <select class="analytics-metric">
+                        ${Object.entries(CHART_METRICS).map(([key, label]) => `
+                            <option value="${key}" ${key === this.state.metric ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                ${this.renderChart(rows)}
+            </div>
+            <div class="analytics-table-section">
+                <div class="analytics-dimensions">
+                    ${Object.entries(USAGE_DIMENSIONS).map(([key, label]) => `
+                        <button class="analytics-dimension ${key === this.state.dimension ? 'active' : ''}" data-dimension="${key}">${label}</button>
+                    `).join('')}
+                </div>
+                ${this.renderTable(groups, totals)}
+            </div>
+        `;
+    }
+
+    renderStatus() {
+        if (this.status.loading) {
+            return `Chargement de l'usage des sessions... ${this.status.done}/${this.status.total}`;
+        }
+        const { from, to } = this.analytics.getDayRange();
+        return from ? `Données disponibles du ${from} au ${to}` : 'Aucune consommation enregistrée';
+    }
+
+    renderCard(label, value) {
+        return `
+            <div class="analytics-card">
+                <div class="analytics-card-label">${label}</div>
+                <div class="analytics-card-value">${value}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Histogramme SVG de la métrique choisie, un bâton par jour (jours vides inclus)
+     */
+    renderChart(rows) {
+        const byDay = new Map(groupUsage(rows, 'day').map(group => [group.key, group]));
+        const days = this.listDays([...byDay.keys()].filter(day => day !== 'inconnu').sort());
+        if (days.length === 0) {
+            return '<div class="empty-stats">Aucune donnée sur la période</div>';
+        }
+
+        const metric = this.state.metric;
+        const values = days.map(day => byDay.get(day)?.[metric] || 0);
+        const max = Math.max(...values) || 1;
+        const width = 1000;
+        const height = 160;
+        const barWidth = width / days.length;
+        const format = metric === 'cost' ? formatCost : formatNumber;
+
+        const bars = days.map((day, index) => {
+            const barHeight = Math.max(values[index] > 0 ? 1 : 0, (values[index] / max) * (height - 10));
+            return `
+                <rect class="analytics-bar" x="${(index * barWidth + barWidth * 0.1).toFixed(2)}" y="${(height - barHeight).toFixed(2)}"
+                      width="${(barWidth * 0.8).toFixed(2)}" height="${barHeight.toFixed(2)}">
+                    <title>${day}: ${format(values[index])}</title>
+                </rect>
+            `;
+        }).join('');
+
+        return `
+            <div class="analytics-chart">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>
+                <div class="analytics-chart-axis">
+                    <span>${days[0]}</span>
+                    <span>max ${format(max)}</span>
+                    <span>${days[days.length - 1]}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderTable(groups, totals) {
+        if (groups.length === 0) {
+            return '<div class="empty-stats">Aucune donnée sur la période</div>';
+        }
+
+        const dimensionLabel = USAGE_DIMENSIONS[this.state.dimension];
+        const arrow = this.state.sortDir === 'asc' ? '▲' : '▼';
+        const shareOf = group => totals?.[this.state.metric] ? group[this.state.metric] / totals[this.state.metric] : 0;
+
+        return `
+            <table class="analytics-table">
+                <thead>
+                    <tr>
+                        ${COLUMNS.map(column => `
+                            <th data-sort="${column.key}" class="${column.key === this.state.sortKey ? 'sorted' : ''}">
+                                ${column.label || dimensionLabel} ${column.key === this.state.sortKey ? arrow : ''}
+                            </th>
+                        `).join('')}
+                        <th>Part (${CHART_METRICS[this.state.metric]})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groups.map(group => `
+                        <tr ${this.state.dimension === 'sessionId' ? `class="analytics-session-row" data-session-id="${escapeHtml(group.key)}"` : ''}>
+                            <td class="analytics-label" title="${escapeHtml(group.key)}">${escapeHtml(group.label)}</td>
+                            <td>${formatNumber(group.sessions)}</td>
+                            <td>${formatNumber(group.messages)}</td>
+                            <td>${formatNumber(group.input)}</td>
+                            <td>${formatNumber(group.output)}</td>
+                            <td>${formatNumber(group.reasoning)}</td>
+                            <td>${formatNumber(group.cacheRead)}</td>
+                            <td>${formatNumber(group.cacheWrite)}</td>
+                            <td>${formatNumber(group.total)}</td>
+                            <td>${formatCost(group.cost)}</td>
+                            <td class="analytics-share">
+                                <span class="analytics-share-bar" style="width: ${(shareOf(group) * 100).toFixed(1)}%"></span>
+                                <span>${(shareOf(group) * 100).toFixed(1)}%</span>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Groupes de la dimension courante, avec libellé et tri appliqués
+     */
+    getGroups(rows) {
+        const titles = new Map(rows.map(row => [row.sessionId, row.sessionTitle]));
+        const groups = groupUsage(rows, this.state.dimension).map(group => ({
+            ...group,
+            label: this.state.dimension === 'sessionId' ? (titles.get(group.key) || group.key) : group.key,
+        }));
+
+        const { sortKey, sortDir } = this.state;
+        const direction = sortDir === 'asc' ? 1 : -1;
+        return groups.sort((a, b) => {
+            const left = a[sortKey];
+            const right = b[sortKey];
+            if (typeof left === 'number') return (left - right) * direction;
+            return String(left).localeCompare(String(right)) * direction;
+        });
+    }
+
+    /**
+     * Tous les jours entre le premier et le dernier jour ayant de l'usage
+     * (ou les bornes choisies)
+     */
+    listDays(days) {
+        const first = this.state.from || days[0];
+        const last = this.state.to || days[days.length - 1];
+        if (!first || !last) return [];
+
+        const result = [];
+        const [year, month, day] = first.split('-').map(Number);
+        // Midi local: évite les décalages aux changements d'heure
+        for (let time = new Date(year, month - 1, day, 12).getTime(); dayKey(time) <= last; time += DAY_MS) {
+            result.push(dayKey(time));
+            if (result.length > 3660) break;
+        }
+        return result;
+    }
+
+    handleClick(e) {
+        if (e.target.closest('.analytics-close')) {
+            this.onClose();
+            return;
+        }
+
+        const preset = e.target.closest('.analytics-preset');
+        if (preset) {
+            const days = parseInt(preset.dataset.days);
+            this.state.from = days ? dayKey(Date.now() - (days - 1) * DAY_MS) : null;
+            this.state.to = days ? dayKey(Date.now()) : null;
+            this.render();
+            return;
+        }
+
+        const dimension = e.target.closest('[data-dimension]');
+        if (dimension) {
+            this.state.dimension = dimension.dataset.dimension;
+            this.state.sortKey = this.state.dimension === 'day' ? 'label' : 'cost';
+            this.state.sortDir = 'desc';
+            this.render();
+            return;
+        }
+
+        const header = e.target.closest('th[data-sort]');
+        if (header) {
+            const key = header.dataset.sort;
+            if (this.state.sortKey === key) {
+                this.state.sortDir = this.state.sortDir === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.state.sortKey = key;
+                this.state.sortDir = key === 'label' ? 'asc' : 'desc';
+            }
+            this.render();
+            return;
+        }
+
+        if (e.target.closest('.analytics-csv')) {
+            this.exportCSV();
+            return;
+        }
+
+        const sessionRow = e.target.closest('.analytics-session-row');
+        if (sessionRow) {
+            this.onOpenSession(sessionRow.dataset.sessionId);
+        }
+    }
+
+    handleChange(e) {
+        if (e.target.classList.contains('analytics-from')) {
+            this.state.from = e.target.value || null;
+        } else if (e.target.classList.contains('analytics-to')) {
+            this.state.to = e.target.value || null;
+        } else if (e.target.classList.contains('analytics-metric')) {
+            this.state.metric = e.target.value;
+        } else {
+            return;
+        }
+        this.render();
+    }
+
+    exportCSV() {
+        const rows = this.analytics.getRows({ from: this.state.from, to: this.state.to });
+        const csv = usageToCSV(this.getGroups(rows), this.state.dimension);
+        const range = [this.state.from || 'debut', this.state.to || 'fin'].join('_');
+        downloadFile(`usage-${this.state.dimension}-${range}.csv`, csv, 'text/csv');
+    }
+}
@@ -1,3 +1,10 @@
+// Reconnexion du flux d'événements
+const EVENT_RETRY_BASE_DELAY = 1000;
+const EVENT_RETRY_MAX_DELAY = 30000;
+const EVENT_OFFLINE_AFTER_ATTEMPTS = 5;
+const EVENT_STALE_TIMEOUT = 45000;
+const EVENT_WATCHDOG_INTERVAL = 5000;
+
 /**
  * Client API pour communiquer avec le serveur OpenCode
  */
@@ -5,6 +12,15 @@ export class OpencodeClient {
     constructor(baseURL = 'http://localhost:3000') {
         this.baseURL = baseURL;
         this.eventSource = null;
+        this.eventListeners = new Set();
+        this.connectionListeners = new Set();
+        this.connectionState = { state: 'idle' };
+        this.connectedOnce = false;
+        this.retryAttempt = 0;
+        this.retryTimer = null;
+        this.watchdogTimer = null;
+        this.lastActivity = 0;
+        this.stopped = false;
     }
 
     /**
@@ -130,66 +146,187 @@ export class OpencodeClient {
     // ========== Events (Server-Sent Events) ==========
 
     /**
-     * S'abonne aux événements globaux
+     * Ouvre (une seule fois) la connexion d'événements gérée:
+     * reconnexion avec backoff exponentiel, détection de connexion figée
+     * (veille, conteneur redémarré) et notification de l'état de connexion.
      */
-    subscribeToEvents(callback) {
+    connectEvents() {
+        if (this.eventSource || this.retryTimer) return;
+        this.stopped = false;
+        this.openEventSource();
+        this.startWatchdog();
+    }
+
+    /**
+     * Crée l'EventSource et branche ses handlers
+     */
+    openEventSource() {
+        this.clearRetryTimer();
+        this.setConnectionState(this.connectedOnce ? 'reconnecting' : 'connecting');
+
         const eventSource = new EventSource(`${this.baseURL}/event`);
+        this.eventSource = eventSource;
+        this.lastActivity = Date.now();
+
+        eventSource.onopen = () => {
+            if (this.eventSource !== eventSource) return;
+            const resumed = this.connectedOnce;
+            this.connectedOnce = true;
+            this.retryAttempt = 0;
+            this.lastActivity = Date.now();
+            this.setConnectionState('connected', { resumed });
+        };
 
         eventSource.onmessage = (event) => {
+            if (this.eventSource !== eventSource) return;
+            this.lastActivity = Date.now();
             try {
                 const data = JSON.parse(event.data);
-                callback(data);
+                this.eventListeners.forEach(listener => listener(data));
             } catch (error) {
                 console.error('Erreur parsing event:', error);
             }
         };
 
         eventSource.onerror = (error) => {
+            if (this.eventSource !== eventSource) return;
             console.error('SSE Error:', error);
-            eventSource.close();
+            this.scheduleReconnect();
         };
+    }
+
+    /**
+     * Ferme la connexion courante et programme une nouvelle tentative
+     */
+    scheduleReconnect() {
+        if (this.stopped) return;
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        this.clearRetryTimer();
 
-        return () => eventSource.close();
+        const delay = Math.min(
+            EVENT_RETRY_MAX_DELAY,
+            EVENT_RETRY_BASE_DELAY * 2 ** this.retryAttempt,
+        );
+        // Jitter pour éviter que plusieurs onglets se reconnectent en même temps
+        const jitteredDelay = Math.round(delay * (0.8 + Math.random() * 0.4));
+        this.retryAttempt++;
+
+        const retryAt = Date.now() + jitteredDelay;
+        const state = this.retryAttempt > EVENT_OFFLINE_AFTER_ATTEMPTS ? 'offline' : 'reconnecting';
+        this.setConnectionState(state, { attempt: this.retryAttempt, retryAt });
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.openEventSource();
+        }, jitteredDelay);
     }
 
     /**
-     * S'abonne aux événements d'une session spécifique
+     * Force une nouvelle tentative immédiate (bouton "Réessayer")
      */
-    subscribeToSession(sessionId, callback) {
+    reconnectNow() {
+        this.stopped = false;
+        this.retryAttempt = 0;
         if (this.eventSource) {
             this.eventSource.close();
+            this.eventSource = null;
         }
+        this.openEventSource();
+        this.startWatchdog();
+    }
 
-        this.eventSource = new EventSource(`${this.baseURL}/event`);
+    /**
+     * Surveille la connexion: réveil après une veille (dérive de l'horloge)
+     * et flux silencieux depuis trop longtemps (vérifié par un ping)
+     */
+    startWatchdog() {
+        if (this.watchdogTimer) return;
 
-        this.eventSource.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                callback(data);
-            } catch (error) {
-                console.error('Erreur parsing session event:', error);
-            }
-        };
+        let lastTick = Date.now();
+        this.watchdogTimer = setInterval(async () => {
+            const now = Date.now();
+            const slept = now - lastTick > EVENT_WATCHDOG_INTERVAL * 3;
+            lastTick = now;
 
-        this.eventSource.onerror = (error) => {
-            console.error('Session SSE Error:', error);
-        };
+            if (!this.eventSource || this.connectionState.state !== 'connected') return;
 
-        return () => {
-            if (this.eventSource) {
-                this.eventSource.close();
-                this.eventSource = null;
+            if (slept) {
+                console.warn('Reprise après veille, reconnexion du flux d\'événements');
+                this.scheduleReconnect();
+                return;
             }
-        };
+
+            if (now - this.lastActivity > EVENT_STALE_TIMEOUT) {
+                const alive = await this.ping();
+                if (alive) {
+                    this.lastActivity = Date.now();
+                } else if (this.eventSource) {
+                    console.warn('Flux d\'événements inactif et serveur injoignable');
+                    this.scheduleReconnect();
+                }
+            }
+        }, EVENT_WATCHDOG_INTERVAL);
+    }
+
+    clearRetryTimer() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * Met à jour l'état de connexion et notifie les abonnés
+     * (state: connecting | connected | reconnecting | offline)
+     */
+    setConnectionState(state, details = {}) {
+        this.connectionState = { state, ...details };
+        this.connectionListeners.forEach(listener => listener(this.connectionState));
+    }
+
+    /**
+     * S'abonne aux changements d'état de la connexion d'événements
+     */
+    onConnectionChange(callback) {
+        this.connectionListeners.add(callback);
+        return () => this.connectionListeners.delete(callback);
+    }
+
+    /**
+     * S'abonne aux événements globaux
+     */
+    subscribeToEvents(callback) {
+        this.eventListeners.add(callback);
+        this.connectEvents();
+        return () => this.eventListeners.delete(callback);
+    }
+
+    /**
+     * S'abonne aux événements d'une session spécifique
+     * (le filtrage par session est fait par l'appelant)
+     */
+    subscribeToSession(sessionId, callback) {
+        return this.subscribeToEvents(callback);
     }
 
     /**
      * Ferme toutes les connexions SSE
      */
     closeEventSource() {
+        this.stopped = true;
+        this.clearRetryTimer();
+        if (this.watchdogTimer) {
+            clearInterval(this.watchdogTimer);
+            this.watchdogTimer = null;
+        }
         if (this.eventSource) {
             this.eventSource.close();
             this.eventSource = null;
         }
+        this.eventListeners.clear();
     }
 }
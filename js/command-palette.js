@@ -0,0 +1,180 @@
+/**
+ * Palette de commandes (Ctrl+K): recherche approximative parmi les sessions, les
+ * onglets et les actions, puis exécution au clavier (flèches, Entrée, Échap).
+ *
+ * Une commande: { id, label, group, hint, keywords, shortcut, run }. keywords
+ * (identifiant, dossier...) sert à la recherche sans être affiché.
+ */
+import { escapeHtml } from './format.js';
+
+// Nombre maximum de résultats affichés
+const MAX_RESULTS = 50;
+
+export class CommandPalette {
+    constructor(container) {
+        this.container = container;
+        this.commands = [];
+        this.results = [];
+        this.selected = 0;
+        this.previousFocus = null;
+
+        this.container.innerHTML = `
+            <div class="command-palette" role="dialog" aria-label="Palette de commandes">
+                <input type="text" class="command-palette-input" placeholder="Session, onglet ou action..." autocomplete="off" spellcheck="false">
+                <ul class="command-palette-list" role="listbox"></ul>
+            </div>
+        `;
+        this.input = this.container.querySelector('.command-palette-input');
+        this.list = this.container.querySelector('.command-palette-list');
+
+        this.input.addEventListener('input', () => this.filter());
+        this.input.addEventListener('keydown', e => this.handleKeydown(e));
+        this.list.addEventListener('click', e => {
+            const item = e.target.closest('.command-palette-item');
+            if (item) this.run(parseInt(item.dataset.index));
+        });
+        this.list.addEventListener('mousemove', e => {
+            const item = e.target.closest('.command-palette-item');
+            if (item && parseInt(item.dataset.index) !== this.selected) this.select(parseInt(item.dataset.index));
+        });
+        this.container.addEventListener('mousedown', e => {
+            if (e.target === this.container) this.close();
+        });
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    /**
+     * Ouvre la palette sur une liste de commandes
+     */
+    open(commands) {
+        this.commands = commands;
+        this.previousFocus = document.activeElement;
+        this.input.value = '';
+        this.container.classList.remove('hidden');
+        this.filter();
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.container.classList.add('hidden');
+        this.commands = [];
+        this.results = [];
+        this.previousFocus?.focus?.();
+        this.previousFocus = null;
+    }
+
+    /**
+     * Filtre et trie les commandes selon la saisie (ordre d'origine si vide)
+     */
+    filter() {
+        const query = this.input.value.trim();
+        if (!query) {
+            this.results = this.commands.map(command => ({ command, indexes: [] }));
+        } else {
+            this.results = this.commands
+                .map((command, order) => {
+                    const match = fuzzyMatch(query, command.label);
+                    if (match) return { command, indexes: match.indexes, score: match.score, order };
+                    // Correspondance sur les mots-clés: moins bien classée, rien à surligner
+                    const fallback = fuzzyMatch(query, `${command.hint || ''} ${command.keywords || ''}`);
+                    return fallback ? { command, indexes: [], score: fallback.score / 2, order } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score || a.order - b.order);
+        }
+        this.results = this.results.slice(0, MAX_RESULTS);
+        this.selected = 0;
+        this.renderList();
+    }
+
+    renderList() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="command-palette-empty">Aucun résultat</li>';
+            return;
+        }
+
+        this.list.innerHTML = this.results.map(({ command, indexes }, index) => `
+            <li class="command-palette-item ${index === this.selected ? 'selected' : ''}" data-index="${index}" role="option">
+                <span class="command-palette-group">${escapeHtml(command.group || '')}</span>
+                <span class="command-palette-label">${highlight(command.label, indexes)}</span>
+                ${command.hint ? `<span class="command-palette-hint">${escapeHtml(command.hint)}</span>` : ''}
+                ${command.shortcut ? `<kbd class="command-palette-shortcut">${escapeHtml(command.shortcut)}</kbd>` : ''}
+            </li>
+        `).join('');
+    }
+
+    select(index) {
+        if (this.results.length === 0) return;
+        this.selected = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('.command-palette-item').forEach(item => {
+            item.classList.toggle('selected', parseInt(item.dataset.index) === this.selected);
+        });
+        this.list.querySelector('.command-palette-item.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    run(index) {
+        const result = this.results[index];
+        if (!result) return;
+        // Fermée avant l'exécution: la commande peut ouvrir une autre fenêtre
+        this.previousFocus = null;
+        this.close();
+        result.command.run();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
+            e.preventDefault();
+            this.select(this.selected + 1);
+        } else if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+            e.preventDefault();
+            this.select(this.selected - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.selected);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+}
+
+/**
+ * Recherche approximative: les caractères de query apparaissent dans l'ordre dans
+ * text (casse et accents ignorés). Retourne { score, indexes } ou null. Les suites
+ * de caractères et les débuts de mot comptent davantage.
+ */
+export function fuzzyMatch(query, text) {
+    const needle = [...String(query)].map(foldChar).filter(char => char !== ' ');
+    const haystack = [...String(text || '')];
+    const indexes = [];
+    let score = 0;
+    let position = 0;
+
+    for (const char of needle) {
+        while (position < haystack.length && foldChar(haystack[position]) !== char) position++;
+        if (position >= haystack.length) return null;
+
+        score += 1;
+        if (indexes.length && indexes[indexes.length - 1] === position - 1) score += 5;
+        if (position === 0 || /[\s\-_./:]/.test(haystack[position - 1])) score += 8;
+        indexes.push(position++);
+    }
+
+    // À score égal, les libellés courts passent devant
+    return { score: score - haystack.length / 100, indexes };
+}
+
+function foldChar(char) {
+    return char.normalize('NFD')[0].toLowerCase();
+}
+
+function highlight(text, indexes) {
+    const marked = new Set(indexes);
+    return [...String(text || '')]
+        .map((char, index) => (marked.has(index) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)))
+        .join('');
+}
@@ -0,0 +1,410 @@
+/**
+ * Comparaison de deux sessions: chiffres clés, outils, fichiers modifiés et
+ * déroulés côte à côte alignés sur les tours utilisateur
+ */
+import { TimelineRenderer } from './timeline-renderer.js';
+import { summarizeSession } from './session-stats.js';
+import { renderInlineDiff, renderDiffBlock } from './diff.js';
+import { computeFileHistory, readFileDiff } from './file-history.js';
+import { escapeHtml, formatDuration, formatNumber, formatCost } from './format.js';
+
+export class CompareView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onChange = options.onChange || (() => {});
+        this.onClose = options.onClose || (() => {});
+        this.left = null;
+        this.right = null;
+        // Déroulés rendus: colonne -> { renderer, side }
+        this.columns = new Map();
+
+        this.container.addEventListener('click', e => this.handleClick(e));
+        this.container.addEventListener('change', e => {
+            if (e.target.classList.contains('compare-select')) {
+                const [left, right] = [...this.container.querySelectorAll('.compare-select')].map(select => select.value);
+                this.onChange(left, right);
+            }
+        });
+    }
+
+    /**
+     * Rend la comparaison de deux sessions { session, messages }
+     */
+    render(left, right, sessions) {
+        this.left = { ...left, summary: summarizeSession(left.messages), changes: collectFinalChanges(left.messages) };
+        this.right = { ...right, summary: summarizeSession(right.messages), changes: collectFinalChanges(right.messages) };
+
+        this.container.innerHTML = `
+            <div class="compare-toolbar">
+                <button class="btn-secondary compare-close">← Retour</button>
+                ${this.renderSelect('A', left.session.id, sessions)}
+                <button class="btn-icon compare-swap" title="Inverser">⇄</button>
+                ${this.renderSelect('B', right.session.id, sessions)}
+            </div>
+            <div class="compare-summary">
+                ${this.renderMetrics()}
+                ${this.renderTools()}
+                ${this.renderFiles()}
+                ${this.renderErrors()}
+            </div>
+            <div class="compare-turns"></div>
+        `;
+
+        this.renderTurns();
+    }
+
+    renderSelect(label, selectedId, sessions) {
+        return `
+            <label class="compare-select-label">${label}
+                <select class="compare-select">
+                    ${sessions.map(session => `
+                        <option value="${escapeHtml(session.id)}" ${session.id === selectedId ? 'selected' : ''}>
+                            ${escapeHtml(session.title || session.id)} · ${new Date(session.time?.created || 0).toLocaleDateString('fr-FR')}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    renderMetrics() {
+        const a = this.left.summary;
+        const b = this.right.summary;
+        const rows = [
+            ['Durée', a.duration, b.duration, formatDuration],
+            ['Tokens', a.usage.total, b.usage.total, formatNumber],
+            ['Input / Output', a.usage.input + a.usage.output, b.usage.input + b.usage.output, formatNumber],
+            ['Coût', a.usage.cost, b.usage.cost, formatCost],
+            ['Tours utilisateur', a.turns, b.turns, formatNumber],
+            ['Étapes', a.steps, b.steps, formatNumber],
+            ['Appels d\'outils', sumValues(a.tools), sumValues(b.tools), formatNumber],
+            ['Fichiers modifiés', a.files.length, b.files.length, formatNumber],
+            ['Erreurs', a.errors.length, b.errors.length, formatNumber],
+        ];
+
+        return `
+            <table class="compare-table">
+                <thead>
+                    <tr><th></th><th>A</th><th>B</th><th>Écart</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, left, right, format]) => `
+                        <tr class="${left !== right ? 'compare-differs' : ''}">
+                            <td>${label}</td>
+                            <td>${format(left)}</td>
+                            <td>${format(right)}</td>
+                            <td>${formatDelta(left, right)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderTools() {
+        const a = this.left.summary.tools;
+        const b = this.right.summary.tools;
+        const names = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .sort((x, y) => ((b[y] || 0) + (a[y] || 0)) - ((b[x] || 0) + (a[x] || 0)));
+
+        if (names.length === 0) return '';
+
+        return `
+            <table class="compare-table">
+                <thead>
+                    <tr><th>Outil</th><th>A</th><th>B</th></tr>
+                </thead>
+                <tbody>
+                    ${names.map(name => `
+                        <tr class="${(a[name] || 0) !== (b[name] || 0) ? 'compare-differs' : ''}">
+                            <td>${escapeHtml(name)}</td>
+                            <td>${a[name] || 0}</td>
+                            <td>${b[name] || 0}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Fichiers modifiés par l'une ou l'autre session, avec l'écart entre leurs
+     * contenus finaux
+     */
+    renderFiles() {
+        const files = [...new Set([...this.left.changes.keys(), ...this.right.changes.keys()])].sort();
+        if (files.length === 0) return '';
+
+        return `
+            <div class="compare-files">
+                <table class="compare-table">
+                    <thead>
+                        <tr><th>Fichier</th><th>A</th><th>B</th><th>Résultat</th></tr>
+                    </thead>
+                    <tbody>
+                        ${files.map(file => {
+                            const a = this.left.changes.get(file);
+                            const b = this.right.changes.get(file);
+                            const status = compareChanges(a, b);
+                            return `
+                                <tr class="compare-file-row ${status.key !== 'same' ? 'compare-differs' : ''}" data-file="${escapeHtml(file)}">
+                                    <td class="compare-file-name" title="${escapeHtml(file)}">${escapeHtml(shortPath(file))}</td>
+                                    <td>${a ? renderChangeStats(a) : '—'}</td>
+                                    <td>${b ? renderChangeStats(b) : '—'}</td>
+                                    <td><span class="compare-status status-${status.key}">${status.label}</span></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderErrors() {
+        const a = this.left.summary.errors;
+        const b = this.right.summary.errors;
+        if (a.length === 0 && b.length === 0) return '';
+
+        const list = errors => errors.length
+            ? `<ul>${errors.slice(0, 8).map(error => `<li><strong>${escapeHtml(error.name)}</strong> ${escapeHtml(error.message.slice(0, 120))}</li>`).join('')}</ul>`
+            : '<div class="empty-stats">Aucune erreur</div>';
+
+        return `
+            <div class="compare-errors">
+                <div><h4>Erreurs A</h4>${list(a)}</div>
+                <div><h4>Erreurs B</h4>${list(b)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Déroulés côte à côte, un rang par tour utilisateur
+     */
+    renderTurns() {
+        const turnsEl = this.container.querySelector('.compare-turns');
+        this.columns.clear();
+        const leftTurns = splitTurns(this.left.messages);
+        const rightTurns = splitTurns(this.right.messages);
+        const count = Math.max(leftTurns.length, rightTurns.length);
+
+        for (let index = 0; index < count; index++) {
+            const a = leftTurns[index];
+            const b = rightTurns[index];
+            const samePrompt = a && b && a.prompt.trim() === b.prompt.trim();
+
+            const rowEl = document.createElement('div');
+            rowEl.className = 'compare-turn';
+            rowEl.innerHTML = `
+                <div class="compare-turn-header">
+                    <strong>${a?.prompt !== undefined || b?.prompt !== undefined ? `Tour ${index + 1}` : 'Avant le premier message'}</strong>
+                    ${a && b && !samePrompt ? '<span class="compare-status status-different">Prompts différents</span>' : ''}
+                </div>
+                <div class="compare-columns">
+                    <div class="compare-column"></div>
+                    <div class="compare-column"></div>
+                </div>
+            `;
+            const [leftEl, rightEl] = rowEl.querySelectorAll('.compare-column');
+            this.renderTurnColumn(leftEl, a, 'left');
+            this.renderTurnColumn(rightEl, b, 'right');
+            turnsEl.appendChild(rowEl);
+        }
+    }
+
+    renderTurnColumn(columnEl, turn, side) {
+        if (!turn) {
+            columnEl.innerHTML = '<div class="empty-stats">Pas de tour correspondant</div>';
+            return;
+        }
+        const renderer = new TimelineRenderer(columnEl, { virtualize: false });
+        renderer.render(turn.messages);
+        this.columns.set(columnEl, { renderer, side });
+    }
+
+    handleClick(e) {
+        if (e.target.closest('.compare-close')) {
+            this.onClose();
+            return;
+        }
+
+        if (e.target.closest('.compare-swap')) {
+            this.onChange(this.right.session.id, this.left.session.id);
+            return;
+        }
+
+        const fileRow = e.target.closest('.compare-file-row');
+        if (fileRow) {
+            this.toggleFileDiff(fileRow);
+            return;
+        }
+
+        const resultToggleBtn = e.target.closest('.result-toggle-btn');
+        if (resultToggleBtn) {
+            e.preventDefault();
+            const resultEl = resultToggleBtn.closest('.part-tool')?.querySelector('.tool-result');
+            if (resultEl) {
+                resultEl.classList.toggle('hidden');
+                resultToggleBtn.classList.toggle('expanded');
+            }
+            return;
+        }
+
+        const diffToggleBtn = e.target.closest('.diff-toggle-btn');
+        if (diffToggleBtn) {
+            e.preventDefault();
+            this.togglePartDiff(diffToggleBtn);
+            return;
+        }
+
+        // Autres liens des déroulés (chemins, fichiers d'un patch...): sans effet ici
+        if (e.target.closest('a[href="#"]')) e.preventDefault();
+    }
+
+    /**
+     * Déplie sous une part d'outil le diff de sa modification
+     */
+    togglePartDiff(toggleBtn) {
+        const partEl = toggleBtn.closest('.part');
+        const next = partEl.nextElementSibling;
+        if (next?.classList.contains('timeline-diff-inline')) {
+            next.classList.toggle('hidden');
+            toggleBtn.classList.toggle('expanded');
+            return;
+        }
+
+        const column = this.columns.get(toggleBtn.closest('.compare-column'));
+        if (!column) return;
+        const { renderer, side } = column;
+        const messageId = toggleBtn.closest('.message')?.dataset.messageId;
+        const msg = renderer.messages.find((candidate, index) => renderer.getMessageId(candidate, index) === messageId);
+        const part = msg && renderer.getParts(msg)[parseInt(toggleBtn.dataset.partIndex)];
+        if (!part) return;
+
+        const diffEl = document.createElement('div');
+        diffEl.className = 'timeline-diff-inline';
+        diffEl.innerHTML = renderDiffBlock(this.resolvePartChange(part, side));
+        partEl.after(diffEl);
+        toggleBtn.classList.add('expanded');
+    }
+
+    /**
+     * Avant/après d'une modification: filediff de l'outil, sinon son entrée (edit) ou
+     * l'historique des fichiers de la session (write)
+     */
+    resolvePartChange(part, side) {
+        const input = part.state?.input || {};
+        const file = input.filePath || 'unknown';
+        const filediff = readFileDiff(part);
+        if (filediff) return { file, before: filediff.before, after: filediff.after };
+        if (part.tool !== 'write') return { file, before: input.oldString || '', after: input.newString || '' };
+
+        const op = computeFileHistory(this[side].messages).get(input.filePath)?.operations
+            .find(candidate => candidate.partKey === part.id);
+        if (op?.created) return { file, before: '', after: input.content || '', label: 'Nouveau fichier' };
+        return {
+            file,
+            before: op?.before || '',
+            after: input.content || '',
+            label: typeof op?.before === 'string' ? 'Écrasement' : 'Écrasement · contenu écrasé inconnu',
+        };
+    }
+
+    /**
+     * Déplie sous la ligne d'un fichier l'écart entre le contenu final de A et de B
+     */
+    toggleFileDiff(fileRow) {
+        const next = fileRow.nextElementSibling;
+        if (next?.classList.contains('compare-file-diff')) {
+            next.remove();
+            return;
+        }
+
+        const file = fileRow.dataset.file;
+        const a = this.left.changes.get(file);
+        const b = this.right.changes.get(file);
+        const diffRow = document.createElement('tr');
+        diffRow.className = 'compare-file-diff';
+        diffRow.innerHTML = `
+            <td colspan="4">
+                <div class="compare-file-diff-legend">
+                    <span class="diff-del">− A</span> <span class="diff-add">+ B</span>
+                    ${!a?.complete || !b?.complete ? '· contenu partiel (fragments modifiés uniquement)' : ''}
+                </div>
+                ${renderInlineDiff({ file, before: a?.final || '', after: b?.final || '' })}
+            </td>
+        `;
+        fileRow.after(diffRow);
+    }
+}
+
+/**
+ * Découpe une session en tours: chaque message utilisateur ouvre un tour
+ */
+export function splitTurns(messages) {
+    const turns = [];
+    (messages || []).forEach(msg => {
+        const info = msg.info || msg;
+        if (info.role === 'user' || turns.length === 0) {
+            const text = (msg.parts || info.parts || [])
+                .filter(part => part.type === 'text' && !part.synthetic)
+                .map(part => part.text || '')
+                .join('\n');
+            turns.push({ prompt: info.role === 'user' ? text : undefined, messages: [] });
+        }
+        turns[turns.length - 1].messages.push(msg);
+    });
+    return turns;
+}
+
+/**
+ * Changements cumulés par fichier (voir computeFileHistory): contenu final
+ * reconstitué, ou extraits modifiés quand le fichier n'a jamais été écrit en entier
+ */
+export function collectFinalChanges(messages) {
+    const changes = new Map();
+
+    computeFileHistory(messages).forEach((history, file) => {
+        const edits = history.operations.filter(op => op.kind !== 'patch');
+        if (edits.length === 0) return;
+
+        changes.set(file, {
+            edits: edits.length,
+            additions: edits.reduce((sum, op) => sum + op.additions, 0),
+            deletions: edits.reduce((sum, op) => sum + op.deletions, 0),
+            final: history.content || '',
+            complete: !history.partial,
+        });
+    });
+
+    return changes;
+}
+
+function compareChanges(a, b) {
+    if (!a) return { key: 'only-b', label: 'Seulement B' };
+    if (!b) return { key: 'only-a', label: 'Seulement A' };
+    if (a.final === b.final) return { key: 'same', label: 'Identique' };
+    return { key: 'different', label: 'Différent' };
+}
+
+function renderChangeStats(change) {
+    return `${change.edits} modif. <span class="diff-add">+${change.additions}</span> <span class="diff-del">-${change.deletions}</span>`;
+}
+
+function formatDelta(left, right) {
+    if (left === right) return '=';
+    const delta = right - left;
+    const sign = delta > 0 ? '+' : '−';
+    const percent = left ? ` (${sign}${Math.abs(Math.round((delta / left) * 100))}%)` : '';
+    const absolute = Number.isInteger(delta) ? Math.abs(delta).toLocaleString() : Math.abs(delta).toFixed(4);
+    return `${sign}${absolute}${percent}`;
+}
+
+function sumValues(object) {
+    return Object.values(object).reduce((sum, value) => sum + value, 0);
+}
+
+function shortPath(file) {
+    const parts = file.split('/');
+    return parts.length > 3 ? `…/${parts.slice(-3).join('/')}` : file;
+}
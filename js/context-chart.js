@@ -0,0 +1,239 @@
+/**
+ * Évolution du contexte et efficacité du cache, étape par étape
+ *
+ * Une étape correspond à un appel au modèle: une part step-finish (qui porte les
+ * tokens de l'appel) ou, à défaut, un message assistant entier.
+ */
+import { escapeHtml } from './format.js';
+
+// Saut de contexte: au moins ce nombre de tokens et cette proportion du contexte précédent
+const JUMP_MIN_TOKENS = 8000;
+const JUMP_MIN_RATIO = 0.25;
+// Cache invalidé: moins de cette proportion du contexte précédent relue depuis le cache
+const CACHE_REUSE_MIN_RATIO = 0.5;
+const CACHE_CHECK_MIN_CONTEXT = 2000;
+
+const WIDTH = 340;
+const HEIGHT = 170;
+const PADDING = { top: 10, right: 30, bottom: 18, left: 38 };
+
+/**
+ * Extrait les étapes d'une session avec leurs tokens et les anomalies détectées
+ */
+export function computeContextSteps(messages) {
+    const steps = [];
+
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        if (info?.role !== 'assistant') return;
+        const parts = msg.parts || info.parts || [];
+
+        let pendingTools = [];
+        let found = false;
+        parts.forEach((part, partIndex) => {
+            if (part.type === 'tool') {
+                pendingTools.push(part);
+            }
+            if (part.type === 'step-finish' && part.tokens) {
+                steps.push(makeStep(part.tokens, {
+                    messageIndex,
+                    messageId: info.id,
+                    partKey: part.id || `${messageIndex}-${partIndex}`,
+                    tools: pendingTools,
+                }));
+                pendingTools = [];
+                found = true;
+            }
+        });
+
+        if (!found && info.tokens) {
+            steps.push(makeStep(info.tokens, { messageIndex, messageId: info.id, partKey: null, tools: pendingTools }));
+        }
+    });
+
+    // Les outils d'une étape alimentent le contexte de l'étape suivante
+    steps.forEach((step, index) => {
+        const previous = steps[index - 1];
+        step.index = index;
+        if (!previous) return;
+
+        const growth = step.context - previous.context;
+        if (growth >= JUMP_MIN_TOKENS && growth >= previous.context * JUMP_MIN_RATIO) {
+            step.jump = { growth, cause: describeLargestTool(previous.tools) };
+        }
+
+        if (previous.context >= CACHE_CHECK_MIN_CONTEXT && step.cacheRead < previous.context * CACHE_REUSE_MIN_RATIO) {
+            step.cacheInvalidated = true;
+        }
+    });
+
+    return steps;
+}
+
+function makeStep(tokens, meta) {
+    const input = tokens.input || 0;
+    const cacheRead = tokens.cache?.read || 0;
+    const cacheWrite = tokens.cache?.write || 0;
+    const context = input + cacheRead + cacheWrite;
+    return {
+        ...meta,
+        input,
+        cacheRead,
+        cacheWrite,
+        context,
+        cacheHit: context > 0 ? cacheRead / context : 0,
+        output: tokens.output || 0,
+        reasoning: tokens.reasoning || 0,
+    };
+}
+
+/**
+ * Décrit l'outil dont la sortie est la plus volumineuse (cause probable d'un saut)
+ */
+function describeLargestTool(tools) {
+    let largest = null;
+    let largestSize = 0;
+    tools.forEach(part => {
+        const output = part.state?.output;
+        const size = typeof output === 'string' ? output.length : JSON.stringify(output || '').length;
+        if (size > largestSize) {
+            largest = part;
+            largestSize = size;
+        }
+    });
+    if (!largest) return null;
+
+    const name = typeof largest.tool === 'string' ? largest.tool : (largest.tool?.name || 'outil');
+    const input = largest.state?.input || {};
+    const target = input.filePath || input.path || input.command || input.pattern || input.url || '';
+    return `${name}${target ? ` ${target}` : ''}`;
+}
+
+export class ContextChart {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.steps = [];
+
+        this.container.addEventListener('click', e => {
+            const point = e.target.closest('[data-step]');
+            if (point) this.onSelect(this.steps[parseInt(point.dataset.step)]);
+        });
+    }
+
+    /**
+     * Rend le graphique: contexte (aire), output + raisonnement (barres),
+     * taux de cache (ligne, échelle de droite), marqueurs de saut et d'invalidation
+     */
+    render(messages) {
+        this.steps = computeContextSteps(messages);
+        const steps = this.steps;
+
+        if (steps.length === 0) {
+            this.container.innerHTML = '<div class="empty-stats">Aucune donnée de tokens</div>';
+            return;
+        }
+
+        const plotWidth = WIDTH - PADDING.left - PADDING.right;
+        const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+        const maxTokens = Math.max(...steps.map(step => Math.max(step.context, step.output + step.reasoning)), 1);
+        const slot = plotWidth / steps.length;
+        const x = index => PADDING.left + slot * (index + 0.5);
+        const y = value => PADDING.top + plotHeight - (value / maxTokens) * plotHeight;
+        const yRatio = ratio => PADDING.top + plotHeight - ratio * plotHeight;
+        const bottom = PADDING.top + plotHeight;
+
+        const contextLine = steps.map((step, index) => `${x(index).toFixed(1)},${y(step.context).toFixed(1)}`).join(' ');
+        const contextArea = `${x(0).toFixed(1)},${bottom} ${contextLine} ${x(steps.length - 1).toFixed(1)},${bottom}`;
+        const cacheLine = steps.map((step, index) => `${x(index).toFixed(1)},${yRatio(step.cacheHit).toFixed(1)}`).join(' ');
+        const barWidth = Math.max(1, slot * 0.6);
+
+        const bars = steps.map((step, index) => {
+            const outputTop = y(step.output);
+            const reasoningTop = y(step.output + step.reasoning);
+            return `
+                <rect class="context-bar-output" x="${(x(index) - barWidth / 2).toFixed(1)}" y="${outputTop.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(bottom - outputTop).toFixed(1)}"></rect>
+                <rect class="context-bar-reasoning" x="${(x(index) - barWidth / 2).toFixed(1)}" y="${reasoningTop.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(outputTop - reasoningTop).toFixed(1)}"></rect>
+            `;
+        }).join('');
+
+        const markers = steps.map((step, index) => {
+            let marker = '';
+            if (step.jump) {
+                const top = y(step.context) - 4;
+                marker += `<path class="context-marker-jump" d="M${x(index) - 4},${top - 6} L${x(index) + 4},${top - 6} L${x(index)},${top} Z"></path>`;
+            }
+            if (step.cacheInvalidated) {
+                const cy = yRatio(step.cacheHit);
+                marker += `<path class="context-marker-cache" d="M${x(index) - 3},${cy - 3} L${x(index) + 3},${cy + 3} M${x(index) + 3},${cy - 3} L${x(index) - 3},${cy + 3}"></path>`;
+            }
+            return marker;
+        }).join('');
+
+        const hitAreas = steps.map((step, index) => `
+            <rect class="context-hit" data-step="${index}" x="${(PADDING.left + slot * index).toFixed(1)}" y="${PADDING.top}" width="${slot.toFixed(1)}" height="${plotHeight}">
+                <title>${this.describeStep(step)}</title>
+            </rect>
+        `).join('');
+
+        const peak = steps.reduce((max, step) => step.context > max.context ? step : max, steps[0]);
+        const totalContext = steps.reduce((sum, step) => sum + step.context, 0);
+        const totalCacheRead = steps.reduce((sum, step) => sum + step.cacheRead, 0);
+        const jumps = steps.filter(step => step.jump).length;
+        const invalidations = steps.filter(step => step.cacheInvalidated).length;
+
+        this.container.innerHTML = `
+            <div class="context-chart">
+                <svg viewBox="0 0 ${WIDTH} ${HEIGHT}">
+                    <line class="context-axis" x1="${PADDING.left}" y1="${bottom}" x2="${WIDTH - PADDING.right}" y2="${bottom}"></line>
+                    <text class="context-axis-label" x="${PADDING.left - 4}" y="${PADDING.top + 8}" text-anchor="end">${formatTokens(maxTokens)}</text>
+                    <text class="context-axis-label" x="${PADDING.left - 4}" y="${bottom}" text-anchor="end">0</text>
+                    <text class="context-axis-label" x="${WIDTH - PADDING.right + 4}" y="${PADDING.top + 8}">100%</text>
+                    <text class="context-axis-label" x="${WIDTH - PADDING.right + 4}" y="${bottom}">0%</text>
+                    <text class="context-axis-label" x="${PADDING.left}" y="${HEIGHT - 4}">1</text>
+                    <text class="context-axis-label" x="${WIDTH - PADDING.right}" y="${HEIGHT - 4}" text-anchor="end">${steps.length}</text>
+                    <polygon class="context-area" points="${contextArea}"></polygon>
+                    <polyline class="context-line" points="${contextLine}"></polyline>
+                    ${bars}
+                    <polyline class="context-cache-line" points="${cacheLine}"></polyline>
+                    ${markers}
+                    ${hitAreas}
+                </svg>
+                <div class="context-legend">
+                    <span class="legend-context">Contexte</span>
+                    <span class="legend-cache">Cache lu %</span>
+                    <span class="legend-output">Output</span>
+                    <span class="legend-reasoning">Raisonnement</span>
+                </div>
+                <div class="context-summary">
+                    Pic de contexte: <strong>${formatTokens(peak.context)}</strong> (étape ${peak.index + 1})
+                    · Cache lu: <strong>${totalContext ? Math.round((totalCacheRead / totalContext) * 100) : 0}%</strong>
+                    ${jumps ? `· <span class="context-summary-jump">${jumps} saut(s)</span>` : ''}
+                    ${invalidations ? `· <span class="context-summary-cache">${invalidations} invalidation(s) du cache</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    describeStep(step) {
+        const lines = [
+            `Étape ${step.index + 1} (message ${step.messageIndex + 1})`,
+            `Contexte: ${step.context.toLocaleString()} tokens`,
+            `Cache lu: ${Math.round(step.cacheHit * 100)}% · écrit: ${step.cacheWrite.toLocaleString()}`,
+            `Output: ${step.output.toLocaleString()} · Raisonnement: ${step.reasoning.toLocaleString()}`,
+        ];
+        if (step.jump) {
+            lines.push(`Saut de contexte: +${step.jump.growth.toLocaleString()}${step.jump.cause ? ` (${step.jump.cause})` : ''}`);
+        }
+        if (step.cacheInvalidated) {
+            lines.push('Cache invalidé: le début du contexte n\'a pas été relu');
+        }
+        return escapeHtml(lines.join('\n'));
+    }
+}
+
+function formatTokens(value) {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+    if (value >= 1000) return `${Math.round(value / 1000)}k`;
+    return String(value);
+}
@@ -0,0 +1,229 @@
+/**
+ * Sources de données alternatives au serveur OpenCode
+ *
+ * Une source expose la même interface de lecture que OpencodeClient
+ * (getSessions, getSession, getSessionMessages, getSessionDiff, getFileContent,
+ * updateSession), ce qui permet au reste de l'interface de ne pas savoir d'où
+ * viennent les sessions.
+ */
+
+// Format des bundles JSON exportés par le viewer (voir session-export.js)
+export const BUNDLE_FORMAT = 'opencode-log-viewer/session';
+export const BUNDLE_VERSION = 1;
+
+/**
+ * Source "fichier": sessions importées depuis des bundles JSON ou un dump
+ * du stockage OpenCode (session/, message/, part/). Les données restent en mémoire.
+ */
+export class FileSessionSource {
+    constructor() {
+        this.kind = 'file';
+        this.sessions = new Map();
+        this.messages = new Map();
+        this.diffs = new Map();
+    }
+
+    async getSessions() {
+        return [...this.sessions.values()];
+    }
+
+    async getSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session importée introuvable: ${sessionId}`);
+        }
+        return session;
+    }
+
+    async getSessionMessages(sessionId) {
+        return this.messages.get(sessionId) || [];
+    }
+
+    async getSessionDiff(sessionId) {
+        return this.diffs.get(sessionId) || [];
+    }
+
+    async getFileContent() {
+        // Pas d'accès au système de fichiers de la session d'origine
+        return null;
+    }
+
+    async updateSession(sessionId, data) {
+        const session = await this.getSession(sessionId);
+        Object.assign(session, data);
+        return session;
+    }
+
+    hasSession(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    removeSession(sessionId) {
+        this.sessions.delete(sessionId);
+        this.messages.delete(sessionId);
+        this.diffs.delete(sessionId);
+    }
+
+    /**
+     * Importe une liste de fichiers ({ path, file }) et retourne les sessions ajoutées
+     */
+    async importFiles(entries) {
+        const collected = { sessions: new Map(), infos: new Map(), parts: new Map(), bundles: [] };
+
+        for (const { path, file } of entries) {
+            if (!/\.json$/i.test(file.name)) continue;
+            try {
+                const data = JSON.parse(await file.text());
+                this.collect(data, path || file.name, collected);
+            } catch (error) {
+                console.error(`Import ignoré (${path || file.name}):`, error);
+            }
+        }
+
+        const imported = [];
+
+        collected.bundles.forEach(bundle => {
+            imported.push(this.addSession(bundle.session, bundle.messages, bundle.diff, bundle.origin));
+        });
+
+        // Reconstitution d'un dump du stockage: session -> messages -> parts
+        const messagesBySession = new Map();
+        collected.infos.forEach(info => {
+            const parts = (collected.parts.get(info.id) || []).sort((a, b) => compareIds(a.id, b.id));
+            if (!messagesBySession.has(info.sessionID)) {
+                messagesBySession.set(info.sessionID, []);
+            }
+            messagesBySession.get(info.sessionID).push({ info, parts });
+        });
+
+        messagesBySession.forEach((messages, sessionId) => {
+            messages.sort((a, b) => compareIds(a.info.id, b.info.id));
+            const session = collected.sessions.get(sessionId) || synthesizeSession(sessionId, messages);
+            imported.push(this.addSession(session, messages, [], 'storage'));
+        });
+
+        // Sessions sans aucun message dans le dump
+        collected.sessions.forEach((session, sessionId) => {
+            if (!messagesBySession.has(sessionId) && !this.sessions.has(sessionId)) {
+                imported.push(this.addSession(session, [], [], 'storage'));
+            }
+        });
+
+        return imported;
+    }
+
+    /**
+     * Classe un document JSON selon son contenu (bundle, export /message, ou
+     * fichier unitaire du stockage OpenCode)
+     */
+    collect(data, path, collected) {
+        if (Array.isArray(data)) {
+            if (data.length > 0 && data.every(item => item && item.info && Array.isArray(item.parts))) {
+                // Réponse brute de GET /session/:id/message
+                const sessionId = data[0].info.sessionID;
+                collected.bundles.push({
+                    session: collected.sessions.get(sessionId) || synthesizeSession(sessionId, data),
+                    messages: data,
+                    origin: path,
+                });
+            } else {
+                data.forEach(item => this.collect(item, path, collected));
+            }
+            return;
+        }
+
+        if (!data || typeof data !== 'object') return;
+
+        if (data.format === BUNDLE_FORMAT && data.version > BUNDLE_VERSION) {
+            console.warn(`Bundle ${path} au format v${data.version}, plus récent que ce viewer`);
+        }
+
+        if (data.session && Array.isArray(data.messages)) {
+            collected.bundles.push({ session: data.session, messages: data.messages, diff: data.diff, origin: path });
+        } else if (data.type && data.messageID) {
+            if (!collected.parts.has(data.messageID)) {
+                collected.parts.set(data.messageID, []);
+            }
+            collected.parts.get(data.messageID).push(data);
+        } else if (data.role && data.sessionID) {
+            collected.infos.set(data.id, data);
+        } else if (data.id && (String(data.id).startsWith('ses_') || data.title !== undefined)) {
+            collected.sessions.set(data.id, data);
+        }
+    }
+
+    addSession(session, messages, diff = [], origin = '') {
+        const imported = { ...session, source: 'file', importedFrom: origin };
+        this.sessions.set(imported.id, imported);
+        this.messages.set(imported.id, messages || []);
+        this.diffs.set(imported.id, diff || []);
+        return imported;
+    }
+}
+
+/**
+ * Lit les fichiers d'un glisser-déposer, y compris le contenu des dossiers
+ */
+export async function readDroppedItems(dataTransfer) {
+    const entries = [...(dataTransfer.items || [])]
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return [...(dataTransfer.files || [])].map(file => ({ path: file.name, file }));
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        await walkEntry(entry, files);
+    }
+    return files;
+}
+
+/**
+ * Convertit une FileList (input file ou webkitdirectory) en entrées { path, file }
+ */
+export function readFileList(fileList) {
+    return [...fileList].map(file => ({ path: file.webkitRelativePath || file.name, file }));
+}
+
+async function walkEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: entry.fullPath, file });
+        return;
+    }
+
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries retourne les enfants par lots: lire jusqu'à un lot vide
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await walkEntry(child, files);
+            }
+        } while (batch.length > 0);
+    }
+}
+
+function synthesizeSession(sessionId, messages) {
+    const first = messages[0]?.info || {};
+    const last = messages[messages.length - 1]?.info || {};
+    return {
+        id: sessionId,
+        title: `Session importée ${sessionId}`,
+        directory: first.path?.cwd,
+        time: {
+            created: first.time?.created,
+            updated: last.time?.completed || last.time?.created,
+        },
+    };
+}
+
+function compareIds(a, b) {
+    // Les identifiants OpenCode sont triables en ordre binaire (pas localeCompare)
+    const left = String(a);
+    const right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
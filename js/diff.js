@@ -0,0 +1,542 @@
+/**
+ * Calcul et rendu des diffs de fichiers (timeline, onglet Modifs, exports)
+ *
+ * @global Prism - Bibliothèque Prism.js chargée via CDN (coloration des lignes, optionnelle)
+ */
+import { escapeHtml } from './format.js';
+
+// Lignes inchangées gardées autour d'un changement; au-delà, elles sont repliées
+const CONTEXT_LINES = 3;
+const MIN_COLLAPSED_LINES = 4;
+// Surlignage mot à mot: lignes trop longues ou trop différentes ignorées
+const WORD_DIFF_MAX_LENGTH = 1000;
+const WORD_DIFF_MIN_SIMILARITY = 0.3;
+
+const LAYOUT_STORAGE_KEY = 'diff_layout';
+
+const LANGUAGES_BY_EXTENSION = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', tsx: 'typescript', py: 'python', json: 'json',
+    sh: 'bash', bash: 'bash', md: 'markdown', html: 'html', css: 'css',
+    yml: 'yaml', yaml: 'yaml', go: 'go', rs: 'rust', java: 'java',
+};
+
+/**
+ * Langage (au sens Prism / Markdown) d'un fichier d'après son extension
+ */
+export function languageForPath(filePath) {
+    const extension = (filePath || '').split('.').pop().toLowerCase();
+    return LANGUAGES_BY_EXTENSION[extension] || '';
+}
+
+/**
+ * Rend le bloc de diff affiché sous une part d'outil (en-tête fichier + lignes).
+ * Les compteurs +/- viennent du diff calculé.
+ */
+export function renderDiffBlock(patch) {
+    const ops = computeLineDiff(splitLines(patch.before || ''), splitLines(patch.after || ''));
+    const additions = ops.filter(op => op.type === 'added').length;
+    const deletions = ops.filter(op => op.type === 'deleted').length;
+    const layout = getDiffLayout();
+    const layoutButton = (value, label, title) => `
+        <button class="diff-layout-btn ${layout === value ? 'active' : ''}" data-layout="${value}" title="${title}">${label}</button>
+    `;
+
+    return `
+      <div class="timeline-diff-header">
+        <span class="timeline-diff-file">${escapeHtml(patch.file)}</span>
+        ${patch.label ? `<span class="timeline-diff-label">${escapeHtml(patch.label)}</span>` : ''}
+        <span class="timeline-diff-stats">
+          <span class="diff-add">+${additions}</span>
+          <span class="diff-del">-${deletions}</span>
+          <span class="diff-layout-toggle">
+            ${layoutButton('unified', 'Unifié', 'Vue unifiée')}
+            ${layoutButton('split', 'Côte à côte', 'Vue côte à côte')}
+          </span>
+        </span>
+      </div>
+      ${renderInlineDiff(patch, { ops, layout })}
+    `;
+}
+
+/**
+ * Rend un diff ligne à ligne, en vue unifiée et côte à côte (la vue affichée
+ * dépend de data-layout, voir bindDiffControls). Les lignes inchangées éloignées
+ * des changements sont repliées.
+ */
+export function renderInlineDiff(patch, options = {}) {
+    const before = patch.before || '';
+    const after = patch.after || '';
+
+    if (!before && !after) {
+        return '<div class="empty-stats">Contenu non disponible</div>';
+    }
+
+    const ops = options.ops || computeLineDiff(splitLines(before), splitLines(after));
+    const language = languageForPath(patch.file);
+    const blocks = groupDiffBlocks(ops);
+    const layout = options.layout || getDiffLayout();
+
+    const render = renderRows => blocks.map((block, index) => {
+        if (block.type === 'change') {
+            return renderRows(pairChangedLines(block.deleted, block.added, language));
+        }
+        return renderEqualBlock(block.ops, index === 0, index === blocks.length - 1, rows => renderRows(rows), language);
+    }).join('');
+
+    return `
+        <div class="inline-diff" data-layout="${layout}">
+            <div class="diff-unified">${render(renderUnifiedRows)}</div>
+            <div class="diff-split">${render(renderSplitRows)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Diff ligne à ligne (algorithme de Myers en espace linéaire).
+ * Retourne [{ type: 'equal'|'deleted'|'added', line, oldLineNum, newLineNum }]
+ */
+export function computeLineDiff(beforeLines, afterLines) {
+    const ids = new Map();
+    const toId = line => {
+        if (!ids.has(line)) ids.set(line, ids.size);
+        return ids.get(line);
+    };
+
+    return diffSequences(beforeLines.map(toId), afterLines.map(toId)).map(op => {
+        if (op.type === 'equal') {
+            return { type: 'equal', line: beforeLines[op.oldIndex], oldLineNum: op.oldIndex + 1, newLineNum: op.newIndex + 1 };
+        }
+        if (op.type === 'deleted') {
+            return { type: 'deleted', line: beforeLines[op.oldIndex], oldLineNum: op.oldIndex + 1 };
+        }
+        return { type: 'added', line: afterLines[op.newIndex], newLineNum: op.newIndex + 1 };
+    });
+}
+
+/**
+ * Vue unifiée ou côte à côte des diffs rendus sous `root` (préférence mémorisée)
+ */
+export function bindDiffControls(root) {
+    root.addEventListener('click', e => {
+        const button = e.target.closest('.diff-layout-btn');
+        if (!button) return;
+        e.preventDefault();
+
+        const layout = button.dataset.layout;
+        localStorage.setItem(LAYOUT_STORAGE_KEY, layout);
+        root.querySelectorAll('.inline-diff').forEach(diffEl => {
+            diffEl.dataset.layout = layout;
+        });
+        root.querySelectorAll('.diff-layout-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === layout);
+        });
+    });
+}
+
+function getDiffLayout() {
+    try {
+        return localStorage.getItem(LAYOUT_STORAGE_KEY) === 'split' ? 'split' : 'unified';
+    } catch (error) {
+        return 'unified';
+    }
+}
+
+/**
+ * Myers sur deux séquences d'entiers: préfixe et suffixe communs retirés, puis
+ * découpage récursif au milieu du chemin d'édition (mémoire linéaire)
+ */
+function diffSequences(a, b) {
+    const ops = [];
+    // Rien en commun (réécriture complète): inutile de chercher un chemin
+    const inB = new Set(b);
+    if (!a.some(value => inB.has(value))) {
+        a.forEach((value, i) => ops.push({ type: 'deleted', oldIndex: i }));
+        b.forEach((value, j) => ops.push({ type: 'added', newIndex: j }));
+        return ops;
+    }
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+    return ops;
+}
+
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push({ type: 'equal', oldIndex: aStart++, newIndex: bStart++ });
+    }
+    let suffix = 0;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+        suffix++;
+    }
+
+    if (aStart === aEnd) {
+        for (let j = bStart; j < bEnd; j++) ops.push({ type: 'added', newIndex: j });
+    } else if (bStart === bEnd) {
+        for (let i = aStart; i < aEnd; i++) ops.push({ type: 'deleted', oldIndex: i });
+    } else {
+        const split = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        if (split) {
+            diffRange(a, aStart, split.x, b, bStart, split.y, ops);
+            diffRange(a, split.x, aEnd, b, split.y, bEnd, ops);
+        } else {
+            for (let i = aStart; i < aEnd; i++) ops.push({ type: 'deleted', oldIndex: i });
+            for (let j = bStart; j < bEnd; j++) ops.push({ type: 'added', newIndex: j });
+        }
+    }
+
+    for (let k = 0; k < suffix; k++) {
+        ops.push({ type: 'equal', oldIndex: aEnd + k, newIndex: bEnd + k });
+    }
+}
+
+/**
+ * Point de rencontre des recherches avant et arrière (Myers, "middle snake").
+ * Retourne { x, y } en coordonnées absolues, ou null si rien n'est commun.
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const size = 2 * maxD + 2;
+    const forward = new Int32Array(size).fill(-1);
+    const backward = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    const delta = n - m;
+    const checkOnForward = delta % 2 !== 0;
+    let k1Start = 0, k1End = 0, k2Start = 0, k2End = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k1 = -d + k1Start; k1 <= d - k1End; k1 += 2) {
+            const k1Offset = offset + k1;
+            let x1 = (k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1]))
+                ? forward[k1Offset + 1]
+                : forward[k1Offset - 1] + 1;
+            let y1 = x1 - k1;
+            while (x1 < n && y1 < m && a[aStart + x1] === b[bStart + y1]) {
+                x1++;
+                y1++;
+            }
+            forward[k1Offset] = x1;
+            if (x1 > n) {
+                k1End += 2;
+            } else if (y1 > m) {
+                k1Start += 2;
+            } else if (checkOnForward) {
+                const k2Offset = offset + delta - k1;
+                if (k2Offset >= 0 && k2Offset < size && backward[k2Offset] !== -1 && x1 >= n - backward[k2Offset]) {
+                    return { x: aStart + x1, y: bStart + y1 };
+                }
+            }
+        }
+
+        for (let k2 = -d + k2Start; k2 <= d - k2End; k2 += 2) {
+            const k2Offset = offset + k2;
+            let x2 = (k2 === -d || (k2 !== d && backward[k2Offset - 1] < backward[k2Offset + 1]))
+                ? backward[k2Offset + 1]
+                : backward[k2Offset - 1] + 1;
+            let y2 = x2 - k2;
+            while (x2 < n && y2 < m && a[aEnd - x2 - 1] === b[bEnd - y2 - 1]) {
+                x2++;
+                y2++;
+            }
+            backward[k2Offset] = x2;
+            if (x2 > n) {
+                k2End += 2;
+            } else if (y2 > m) {
+                k2Start += 2;
+            } else if (!checkOnForward) {
+                const k1Offset = offset + delta - k2;
+                if (k1Offset >= 0 && k1Offset < size && forward[k1Offset] !== -1) {
+                    const x1 = forward[k1Offset];
+                    const y1 = offset + x1 - k1Offset;
+                    if (x1 >= n - x2) {
+                        return { x: aStart + x1, y: bStart + y1 };
+                    }
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Regroupe les opérations en blocs de lignes inchangées et blocs de changement
+ * (suppressions puis ajouts)
+ */
+function groupDiffBlocks(ops) {
+    const blocks = [];
+    ops.forEach(op => {
+        const kind = op.type === 'equal' ? 'equal' : 'change';
+        let block = blocks[blocks.length - 1];
+        if (!block || block.type !== kind) {
+            block = kind === 'equal' ? { type: 'equal', ops: [] } : { type: 'change', deleted: [], added: [] };
+            blocks.push(block);
+        }
+        if (kind === 'equal') block.ops.push(op);
+        else block[op.type].push(op);
+    });
+    return blocks;
+}
+
+/**
+ * Lignes inchangées: seul le contexte proche des changements reste visible
+ */
+function renderEqualBlock(ops, isFirst, isLast, renderRows, language) {
+    const rows = ops.map(op => ({ left: equalCell(op, 'old', language), right: equalCell(op, 'new', language), type: 'equal' }));
+    const head = isFirst ? 0 : CONTEXT_LINES;
+    const tail = isLast ? 0 : CONTEXT_LINES;
+
+    if (rows.length - head - tail < MIN_COLLAPSED_LINES) {
+        return renderRows(rows);
+    }
+
+    const hidden = rows.slice(head, rows.length - tail);
+    return `
+        ${renderRows(rows.slice(0, head))}
+        <details class="diff-collapsed">
+            <summary>Afficher ${hidden.length} ligne(s) inchangée(s)</summary>
+            ${renderRows(hidden)}
+        </details>
+        ${renderRows(rows.slice(rows.length - tail))}
+    `;
+}
+
+function equalCell(op, side, language) {
+    return { num: side === 'old' ? op.oldLineNum : op.newLineNum, html: highlightText(op.line, language) };
+}
+
+/**
+ * Associe la i-ème ligne supprimée à la i-ème ajoutée d'un bloc et surligne les
+ * mots modifiés quand les deux lignes se ressemblent
+ */
+function pairChangedLines(deleted, added, language) {
+    const rows = [];
+    for (let i = 0; i < Math.max(deleted.length, added.length); i++) {
+        const oldOp = deleted[i];
+        const newOp = added[i];
+        const words = oldOp && newOp ? diffWords(oldOp.line, newOp.line) : null;
+        rows.push({
+            type: 'change',
+            left: oldOp ? { num: oldOp.oldLineNum, html: words ? renderSegments(words.old, language) : highlightText(oldOp.line, language) } : null,
+            right: newOp ? { num: newOp.newLineNum, html: words ? renderSegments(words.new, language) : highlightText(newOp.line, language) } : null,
+        });
+    }
+    return rows;
+}
+
+function renderUnifiedRows(rows) {
+    const lines = [];
+    rows.forEach(row => {
+        if (row.type === 'equal') {
+            lines.push(`<div class="diff-line diff-equal"><span class="line-num">${row.left.num}</span><span class="line-content">  ${row.left.html}</span></div>`);
+        }
+    });
+    // Dans un bloc de changement: toutes les suppressions puis tous les ajouts
+    rows.filter(row => row.type === 'change' && row.left).forEach(row => {
+        lines.push(`<div class="diff-line diff-deleted"><span class="line-num">${row.left.num}</span><span class="line-content">- ${row.left.html}</span></div>`);
+    });
+    rows.filter(row => row.type === 'change' && row.right).forEach(row => {
+        lines.push(`<div class="diff-line diff-added"><span class="line-num">${row.right.num}</span><span class="line-content">+ ${row.right.html}</span></div>`);
+    });
+    return lines.join('');
+}
+
+function renderSplitRows(rows) {
+    return rows.map(row => {
+        const cell = (value, kind) => value
+            ? `<span class="line-num">${value.num}</span><span class="line-content diff-${kind}">${value.html}</span>`
+            : '<span class="line-num"></span><span class="line-content diff-empty"></span>';
+        return row.type === 'equal'
+            ? `<div class="diff-split-row">${cell(row.left, 'equal')}${cell(row.right, 'equal')}</div>`
+            : `<div class="diff-split-row">${cell(row.left, 'deleted')}${cell(row.right, 'added')}</div>`;
+    }).join('');
+}
+
+/**
+ * Diff mot à mot entre deux lignes: segments { text, changed } de chaque côté,
+ * ou null si les lignes sont trop longues ou trop différentes
+ */
+function diffWords(oldLine, newLine) {
+    if (oldLine.length > WORD_DIFF_MAX_LENGTH || newLine.length > WORD_DIFF_MAX_LENGTH) return null;
+
+    const oldTokens = oldLine.match(/\w+|\s+|[^\w\s]/g) || [];
+    const newTokens = newLine.match(/\w+|\s+|[^\w\s]/g) || [];
+    const ids = new Map();
+    const toId = token => {
+        if (!ids.has(token)) ids.set(token, ids.size);
+        return ids.get(token);
+    };
+    const ops = diffSequences(oldTokens.map(toId), newTokens.map(toId));
+
+    const common = ops
+        .filter(op => op.type === 'equal')
+        .reduce((sum, op) => sum + oldTokens[op.oldIndex].length, 0);
+    if (common / Math.max(oldLine.length, newLine.length, 1) < WORD_DIFF_MIN_SIMILARITY) return null;
+
+    const segments = { old: [], new: [] };
+    const push = (side, text, changed) => {
+        const last = segments[side][segments[side].length - 1];
+        if (last && last.changed === changed) last.text += text;
+        else segments[side].push({ text, changed });
+    };
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            push('old', oldTokens[op.oldIndex], false);
+            push('new', newTokens[op.newIndex], false);
+        } else if (op.type === 'deleted') {
+            push('old', oldTokens[op.oldIndex], true);
+        } else {
+            push('new', newTokens[op.newIndex], true);
+        }
+    });
+    return segments;
+}
+
+function renderSegments(segments, language) {
+    return segments
+        .map(segment => segment.changed
+            ? `<span class="diff-word">${highlightText(segment.text, language)}</span>`
+            : highlightText(segment.text, language))
+        .join('');
+}
+
+/**
+ * Coloration syntaxique d'un fragment si Prism connaît le langage
+ */
+function highlightText(text, language) {
+    // @ts-ignore - Prism est chargé via CDN
+    if (language && typeof Prism !== 'undefined' && Prism.languages[language]) {
+        // @ts-ignore
+        return Prism.highlight(text, Prism.languages[language], language);
+    }
+    return escapeHtml(text);
+}
+
+/**
+ * Part d'outil qui modifie un fichier: edit (oldString/newString) ou write (content)
+ */
+export function isFileChangePart(part) {
+    if (part.type !== 'tool') return false;
+    const input = part.state?.input || {};
+    if (part.tool === 'write' && typeof input.content === 'string') return true;
+    return Boolean(input.oldString || input.newString);
+}
+
+/**
+ * Liste les modifications de fichiers d'une session (edit et write), numérotées
+ * dans l'ordre de la timeline
+ */
+export function extractDiffsFromMessages(messages) {
+    const diffs = [];
+    let patchIndex = 0;
+
+    if (!messages || !Array.isArray(messages)) {
+        return diffs;
+    }
+
+    messages.forEach((msg, msgIndex) => {
+        const parts = msg.parts || msg.info?.parts || [];
+        const msgTime = msg.info?.time?.created || msg.time?.created || null;
+
+        parts.forEach((part, partIndex) => {
+            if (!isFileChangePart(part)) return;
+
+            diffs.push({
+                patchIndex: patchIndex++,
+                msgIndex: msgIndex,
+                msgTime: msgTime,
+                partKey: part.id || `${msgIndex}-${partIndex}`,
+                file: part.state.input.filePath || 'unknown',
+            });
+        });
+    });
+
+    return diffs;
+}
+
+/**
+ * Produit un diff unifié (format `diff -u` / git) entre deux contenus.
+ * Retourne { text, additions, deletions }; text est vide si rien ne change.
+ * Avec fullFiles, before et after sont des fichiers entiers: l'absence de saut de
+ * ligne final compte comme un changement et est signalée comme le fait git.
+ */
+export function createUnifiedDiff(oldPath, newPath, before, after, context = 3, { fullFiles = false } = {}) {
+    const beforeLines = splitLines(before, fullFiles);
+    const afterLines = splitLines(after, fullFiles);
+    const ops = computeLineDiff(beforeLines, afterLines);
+
+    // Position (avant l'opération) dans l'ancien et le nouveau fichier
+    let oldPos = 0;
+    let newPos = 0;
+    ops.forEach(op => {
+        op.oldBefore = oldPos;
+        op.newBefore = newPos;
+        if (op.type !== 'added') oldPos++;
+        if (op.type !== 'deleted') newPos++;
+    });
+
+    const changed = ops.map((op, index) => op.type !== 'equal' ? index : -1).filter(index => index >= 0);
+    if (changed.length === 0) {
+        return { text: '', additions: 0, deletions: 0 };
+    }
+
+    // Regrouper les changements proches en hunks
+    const ranges = [];
+    changed.forEach(index => {
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = Math.max(last.end, end);
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    let additions = 0;
+    let deletions = 0;
+    const lines = [
+        `--- ${oldPath ? `a/${oldPath}` : '/dev/null'}`,
+        `+++ ${newPath ? `b/${newPath}` : '/dev/null'}`,
+    ];
+
+    ranges.forEach(({ start, end }) => {
+        const hunk = ops.slice(start, end + 1);
+        const oldCount = hunk.filter(op => op.type !== 'added').length;
+        const newCount = hunk.filter(op => op.type !== 'deleted').length;
+        // Un hunk vide côté ancien/nouveau pointe sur la ligne précédente
+        const oldStart = oldCount === 0 ? hunk[0].oldBefore : hunk[0].oldBefore + 1;
+        const newStart = newCount === 0 ? hunk[0].newBefore : hunk[0].newBefore + 1;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(op => {
+            const prefix = op.type === 'equal' ? ' ' : (op.type === 'deleted' ? '-' : '+');
+            if (op.type === 'deleted') deletions++;
+            if (op.type === 'added') additions++;
+            if (!fullFiles) {
+                lines.push(`${prefix}${op.line}`);
+                return;
+            }
+            lines.push(`${prefix}${op.line.replace(/\n$/, '')}`);
+            if (!op.line.endsWith('\n')) lines.push('\\ No newline at end of file');
+        });
+    });
+
+    return { text: lines.join('\n') + '\n', additions, deletions };
+}
+
+/**
+ * Découpe un contenu en lignes (un contenu vide n'a aucune ligne). Avec keepEol,
+ * chaque ligne garde son \n: seule la dernière peut en être dépourvue.
+ */
+function splitLines(text, keepEol = false) {
+    if (!text) return [];
+    if (keepEol) return text.match(/[^\n]*\n|[^\n]+$/g);
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
@@ -0,0 +1,78 @@
+/**
+ * Onglet Erreurs: toutes les erreurs de la session regroupées par catégorie
+ * (messages en erreur ou interrompus, étapes en échec, outils en erreur), avec
+ * l'entrée de l'outil fautif et un lien vers la timeline
+ */
+import { collectErrors } from './session-stats.js';
+import { escapeHtml, formatTime } from './format.js';
+
+const ERROR_CATEGORIES = [
+    { kind: 'message', label: 'Messages en erreur ou interrompus' },
+    { kind: 'step', label: 'Étapes en échec' },
+    { kind: 'tool', label: 'Outils en erreur' },
+];
+
+// Longueur maximale de l'entrée d'outil affichée
+const MAX_INPUT_LENGTH = 800;
+
+export class ErrorPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.errors = [];
+
+        this.container.addEventListener('click', e => {
+            const link = e.target.closest('[data-error]');
+            if (!link) return;
+            e.preventDefault();
+            const error = this.errors[parseInt(link.dataset.error)];
+            if (error) this.onSelect(error);
+        });
+    }
+
+    /**
+     * Rend le panneau et retourne le nombre d'erreurs
+     */
+    render(messages) {
+        this.errors = collectErrors(messages);
+
+        if (this.errors.length === 0) {
+            this.container.innerHTML = '<div class="empty-stats">Aucune erreur dans cette session</div>';
+            return 0;
+        }
+
+        this.container.innerHTML = ERROR_CATEGORIES.map(category => {
+            const entries = this.errors
+                .map((error, index) => ({ error, index }))
+                .filter(({ error }) => error.kind === category.kind);
+            if (entries.length === 0) return '';
+
+            return `
+                <div class="error-category error-category-${category.kind}">
+                    <h4>${category.label} <span class="error-category-count">${entries.length}</span></h4>
+                    ${entries.map(({ error, index }) => this.renderError(error, index)).join('')}
+                </div>
+            `;
+        }).join('');
+        return this.errors.length;
+    }
+
+    renderError(error, index) {
+        const aborted = error.name === 'MessageAbortedError';
+        return `
+            <div class="error-item ${aborted ? 'error-aborted' : ''}">
+                <a href="#" class="error-item-header" data-error="${index}" title="Voir dans la timeline (message ${error.messageIndex + 1})">
+                    <span class="error-name">${escapeHtml(error.name)}</span>
+                    ${error.time ? `<span class="error-time">${formatTime(error.time)}</span>` : ''}
+                </a>
+                <div class="error-message">${error.message ? escapeHtml(error.message) : '<em>Sans message</em>'}</div>
+                ${error.input && Object.keys(error.input).length ? `<pre class="error-input">${escapeHtml(formatInput(error.input))}</pre>` : ''}
+            </div>
+        `;
+    }
+}
+
+function formatInput(input) {
+    const text = JSON.stringify(input, null, 2);
+    return text.length > MAX_INPUT_LENGTH ? `${text.slice(0, MAX_INPUT_LENGTH)}\n…` : text;
+}
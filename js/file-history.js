@@ -0,0 +1,391 @@
+/**
+ * Historique par fichier: toutes les opérations (edit, write, patch) regroupées par
+ * chemin, avec les versions successives du contenu quand elles sont reconstituables.
+ *
+ * Un write donne le contenu complet du fichier; un edit appliqué à un contenu connu
+ * produit la version suivante. metadata.filediff (avant/après du fichier entier) et
+ * les read complets donnent aussi des contenus connus. Sans contenu connu, on
+ * travaille sur des extraits: les fragments modifiés, séparés par EXCERPT_SEPARATOR.
+ */
+import { createUnifiedDiff, renderInlineDiff } from './diff.js';
+import { reconcileDiffs, relativeTo } from './server-diffs.js';
+import { escapeHtml, formatTime } from './format.js';
+
+export const EXCERPT_SEPARATOR = '\n⋯\n';
+
+const KIND_LABELS = {
+    edit: 'Édition',
+    write: 'Écriture',
+    patch: 'Patch',
+};
+
+// Libellé d'un write selon op.created
+const WRITE_LABELS = {
+    true: 'Nouveau fichier',
+    false: 'Écrasement',
+    null: 'Écriture',
+};
+
+/**
+ * Historique des fichiers d'une session: Map chemin -> { path, operations, base,
+ * content, partial }. base et content sont le premier et le dernier état connus
+ * (null si inconnus); partial indique des extraits plutôt que des fichiers entiers.
+ *
+ * op.previous et op.version sont le fichier entier avant/après l'opération (null si
+ * inconnu). Pour un write, op.before vaut null si le contenu écrasé est inconnu,
+ * op.created indique un nouveau fichier et op.beforeSource d'où vient le contenu
+ * précédent ('filediff', 'session' ou 'read').
+ */
+export function computeFileHistory(messages, directory = '') {
+    const files = new Map();
+    // Derniers contenus complets lus (read), pour les fichiers sans contenu connu
+    const reads = new Map();
+    let step = 0;
+
+    const getFile = path => {
+        if (!files.has(path)) {
+            files.set(path, { path, operations: [], base: null, content: null, partial: false });
+        }
+        return files.get(path);
+    };
+
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        (msg.parts || info.parts || []).forEach((part, partIndex) => {
+            if (part.type === 'step-start') step++;
+
+            const origin = {
+                messageIndex,
+                partKey: part.id || `${messageIndex}-${partIndex}`,
+                step: step || null,
+                time: part.state?.time?.start || part.time?.start || info.time?.created || null,
+            };
+
+            if (part.type === 'patch') {
+                (part.files || []).forEach(file => {
+                    const path = resolvePath(file, directory, files);
+                    getFile(path).operations.push({ ...origin, kind: 'patch', hash: part.hash || '', before: null, after: null });
+                });
+                return;
+            }
+
+            if (part.type !== 'tool' || part.state?.status === 'error') return;
+            const input = part.state?.input || {};
+            if (!input.filePath) return;
+            const filediff = readFileDiff(part);
+
+            if (part.tool === 'read') {
+                const content = readFullContent(part);
+                const file = files.get(input.filePath);
+                if (content === null) return;
+                // Un read reflète aussi les changements faits hors des outils (bash...)
+                if (file && file.content !== null && !file.partial) file.content = content;
+                else reads.set(input.filePath, content);
+            } else if (part.tool === 'write' && typeof input.content === 'string') {
+                const file = getFile(input.filePath);
+                const { before, source } = findWriteBase(file, filediff, reads.get(input.filePath));
+                const existed = part.state?.metadata?.exists;
+                const created = existed === false ? true : (existed === true || before !== null ? false : null);
+                if (file.operations.every(op => op.kind === 'patch')) {
+                    // Premier contenu connu: contenu écrasé, sinon fichier créé ou contenu antérieur inconnu
+                    file.base = created ? '' : (before ?? (existed === true ? input.content : ''));
+                }
+                file.content = input.content;
+                file.partial = false;
+                file.operations.push({
+                    ...origin,
+                    kind: 'write',
+                    before: created ? '' : before,
+                    after: input.content,
+                    previous: created ? '' : before,
+                    version: input.content,
+                    created,
+                    beforeSource: created ? null : source,
+                });
+            } else if (input.oldString !== undefined || input.newString !== undefined) {
+                const file = getFile(input.filePath);
+                const before = input.oldString || '';
+                const after = input.newString || '';
+                const known = reads.get(input.filePath);
+                const readBase = known !== undefined && (!before || known.includes(before)) ? known : null;
+                let previous = file.partial ? null : file.content;
+                if (filediff) previous = filediff.before;
+                else if (file.content === null) previous = readBase;
+
+                if (file.content === null && filediff) {
+                    file.base = filediff.before;
+                    file.content = filediff.after;
+                } else if (file.content === null && readBase !== null) {
+                    file.base = readBase;
+                    file.content = input.replaceAll ? readBase.split(before).join(after) : readBase.replace(before, () => after);
+                } else if (file.content === null) {
+                    file.base = before;
+                    file.content = after;
+                    file.partial = true;
+                } else if (filediff && !file.partial) {
+                    file.content = filediff.after;
+                } else if (before && file.content.includes(before)) {
+                    file.content = input.replaceAll
+                        ? file.content.split(before).join(after)
+                        : file.content.replace(before, () => after);
+                } else {
+                    // Zone pas encore vue: ajoutée comme nouvel extrait
+                    file.base = (file.base || '') + EXCERPT_SEPARATOR + before;
+                    file.content += EXCERPT_SEPARATOR + after;
+                    file.partial = true;
+                }
+                const version = filediff ? filediff.after : (file.partial ? null : file.content);
+                file.operations.push({ ...origin, kind: 'edit', before, after, previous, version });
+            }
+        });
+    });
+
+    files.forEach(file => {
+        file.relative = relativeTo(file.path, directory);
+        file.operations.forEach(op => {
+            const stats = op.kind === 'patch' || op.before === null ? null : createUnifiedDiff(file.path, file.path, op.before, op.after);
+            op.additions = stats?.additions || 0;
+            op.deletions = stats?.deletions || 0;
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Arbre des dossiers touchés: { name, path, dirs: Map, files: [], count }
+ */
+export function buildDirectoryTree(files) {
+    const root = { name: '', path: '', dirs: new Map(), files: [], count: 0 };
+
+    files.forEach(file => {
+        const segments = file.relative.split('/').filter(Boolean);
+        const name = segments.pop() || file.relative;
+        let node = root;
+        node.count += file.operations.length;
+        segments.forEach(segment => {
+            if (!node.dirs.has(segment)) {
+                node.dirs.set(segment, { name: segment, path: `${node.path}${segment}/`, dirs: new Map(), files: [], count: 0 });
+            }
+            node = node.dirs.get(segment);
+            node.count += file.operations.length;
+        });
+        node.files.push({ name, file });
+    });
+
+    return root;
+}
+
+export class FileHistoryView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.files = new Map();
+        this.selectedPath = null;
+
+        this.container.addEventListener('click', e => {
+            const fileLink = e.target.closest('[data-file-path]');
+            if (fileLink) {
+                e.preventDefault();
+                this.selectFile(fileLink.dataset.filePath);
+                return;
+            }
+
+            const opLink = e.target.closest('[data-op-index]');
+            if (opLink) {
+                e.preventDefault();
+                const op = this.files.get(this.selectedPath)?.operations[parseInt(opLink.dataset.opIndex)];
+                if (op) this.onSelect(op);
+            }
+        });
+    }
+
+    /**
+     * Rend l'arbre des fichiers: ceux modifiés par les outils, complétés par les
+     * diffs du serveur (modifications par bash, patch...)
+     */
+    render(messages, directory = '', serverDiffs = []) {
+        this.files = new Map();
+        reconcileDiffs(computeFileHistory(messages, directory), serverDiffs, directory).forEach(entry => {
+            const file = entry.tool || { path: entry.path, relative: entry.relative, operations: [], base: null, content: null, partial: false };
+            file.server = entry.server;
+            this.files.set(entry.path, file);
+        });
+
+        if (this.files.size === 0) {
+            this.selectedPath = null;
+            this.container.innerHTML = '<div class="empty-stats">Aucune modification detectee</div>';
+            return;
+        }
+
+        if (!this.files.has(this.selectedPath)) {
+            this.selectedPath = null;
+        }
+
+        const tree = buildDirectoryTree([...this.files.values()]);
+        this.container.innerHTML = `
+            <div class="file-history">
+                <div class="mods-header">
+                    <strong>${this.files.size} fichier(s) touché(s)</strong>
+                    ${directory ? `<span class="file-history-root" title="${escapeHtml(directory)}">dans ${escapeHtml(directory)}</span>` : ''}
+                </div>
+                <ul class="file-tree">${this.renderTreeNode(tree)}</ul>
+                <div class="file-history-detail"></div>
+            </div>
+        `;
+        this.renderDetail();
+    }
+
+    renderTreeNode(node) {
+        const dirs = [...node.dirs.values()].sort((a, b) => a.name.localeCompare(b.name));
+        const files = [...node.files].sort((a, b) => a.name.localeCompare(b.name));
+
+        return `
+            ${dirs.map(dir => `
+                <li class="file-tree-dir">
+                    <details open>
+                        <summary>${escapeHtml(dir.name)}/ <span class="file-tree-count">${dir.count}</span></summary>
+                        <ul>${this.renderTreeNode(dir)}</ul>
+                    </details>
+                </li>
+            `).join('')}
+            ${files.map(({ name, file }) => `
+                <li class="file-tree-file ${file.path === this.selectedPath ? 'selected' : ''}">
+                    <a href="#" data-file-path="${escapeHtml(file.path)}" title="${escapeHtml(file.path)}">${escapeHtml(name)}</a>
+                    ${file.operations.length ? `<span class="file-tree-count">${file.operations.length}</span>` : ''}
+                    ${file.server && file.operations.length === 0 ? '<span class="file-tree-badge" title="Modifié hors des outils edit/write (bash, patch...)">serveur</span>' : ''}
+                </li>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Sélectionne un fichier (chemin absolu ou relatif au dossier de la session)
+     */
+    selectFile(path) {
+        const file = this.files.get(path)
+            || [...this.files.values()].find(candidate => candidate.relative === path || candidate.path.endsWith(`/${path}`));
+        if (!file) return false;
+
+        this.selectedPath = file.path;
+        this.container.querySelectorAll('.file-tree-file').forEach(item => {
+            item.classList.toggle('selected', item.querySelector('a').dataset.filePath === file.path);
+        });
+        this.renderDetail();
+        this.container.querySelector('.file-history-detail')?.scrollIntoView({ block: 'nearest' });
+        return true;
+    }
+
+    /**
+     * Versions du fichier sélectionné: diff cumulé puis chaque opération avec son diff
+     */
+    renderDetail() {
+        const detailEl = this.container.querySelector('.file-history-detail');
+        if (!detailEl) return;
+
+        const file = this.files.get(this.selectedPath);
+        if (!file) {
+            detailEl.innerHTML = '<div class="empty-stats">Sélectionnez un fichier pour voir son historique</div>';
+            return;
+        }
+
+        const edits = file.operations.filter(op => op.kind !== 'patch');
+        const hasCumulative = file.content !== null && file.base !== null;
+        const cumulative = hasCumulative ? createUnifiedDiff(file.path, file.path, file.base, file.content) : null;
+
+        detailEl.innerHTML = `
+            <div class="file-history-title" title="${escapeHtml(file.path)}">${escapeHtml(file.relative)}</div>
+            <div class="file-history-summary">
+                ${file.operations.length} opération(s)
+                ${cumulative ? `· <span class="diff-add">+${cumulative.additions}</span> <span class="diff-del">-${cumulative.deletions}</span> au total` : ''}
+            </div>
+            ${file.server ? `
+                <details class="file-history-cumulative" open>
+                    <summary>
+                        État final (serveur)
+                        <span class="diff-add">+${file.server.additions || 0}</span> <span class="diff-del">-${file.server.deletions || 0}</span>
+                        ${file.operations.length === 0 ? '· modifié hors des outils edit/write' : ''}
+                    </summary>
+                    ${renderInlineDiff({ file: file.path, before: file.server.before || '', after: file.server.after || '' })}
+                </details>
+            ` : ''}
+            ${hasCumulative && edits.length > 0 ? `
+                <details class="file-history-cumulative" ${file.server ? '' : 'open'}>
+                    <summary>Diff cumulé des outils (première → dernière version)${file.partial ? ' · extraits modifiés uniquement' : ''}</summary>
+                    ${cumulative.text ? renderInlineDiff({ file: file.path, before: file.base, after: file.content }) : '<div class="empty-stats">Aucun changement net</div>'}
+                </details>
+            ` : ''}
+            <ol class="file-history-versions">
+                ${file.operations.map((op, index) => this.renderOperation(file, op, index)).join('')}
+            </ol>
+        `;
+    }
+
+    renderOperation(file, op, index) {
+        const origin = `message ${op.messageIndex + 1}${op.step ? ` · étape ${op.step}` : ''}${op.time ? ` · ${formatTime(op.time)}` : ''}`;
+
+        return `
+            <li class="file-history-version version-${op.kind}">
+                <div class="file-history-version-header">
+                    <span class="file-history-kind">${op.kind === 'write' ? WRITE_LABELS[op.created] : KIND_LABELS[op.kind]}</span>
+                    ${op.kind === 'patch' ? `<code>${escapeHtml(op.hash.slice(0, 8))}</code>` : ''}
+                    ${op.kind !== 'patch' && op.before !== null ? `<span class="diff-add">+${op.additions}</span> <span class="diff-del">-${op.deletions}</span>` : ''}
+                    <a href="#" data-op-index="${index}" title="Voir dans la timeline">${origin}</a>
+                </div>
+                ${op.kind !== 'patch' && op.before !== null ? `
+                    <details>
+                        <summary>Diff de l'étape</summary>
+                        ${renderInlineDiff({ file: file.path, before: op.before, after: op.after })}
+                    </details>
+                ` : ''}
+                ${op.kind === 'write' && op.before === null ? '<div class="empty-stats">Contenu écrasé inconnu</div>' : ''}
+            </li>
+        `;
+    }
+}
+
+/**
+ * Contenu écrasé par un write: filediff, sinon dernier contenu complet connu dans
+ * la session, sinon dernier read complet du fichier
+ */
+function findWriteBase(file, filediff, read) {
+    if (filediff) return { before: filediff.before, source: 'filediff' };
+    if (file.content !== null && !file.partial) return { before: file.content, source: 'session' };
+    if (read !== undefined) return { before: read, source: 'read' };
+    return { before: null, source: null };
+}
+
+/**
+ * metadata.filediff d'un outil ({ file, before, after, additions, deletions })
+ */
+export function readFileDiff(part) {
+    const filediff = part.state?.metadata?.filediff;
+    if (!filediff || typeof filediff.before !== 'string' || typeof filediff.after !== 'string') return null;
+    return filediff;
+}
+
+/**
+ * Contenu d'un read du fichier entier (lignes "00012| texte"), null si le read est
+ * partiel (offset, limite atteinte) ou sa sortie illisible
+ */
+function readFullContent(part) {
+    const input = part.state?.input || {};
+    const output = part.state?.output;
+    if (typeof output !== 'string' || input.offset || output.includes('(File has more lines')) return null;
+
+    const lines = output.split('\n').map(line => line.match(/^\s*\d+\| ?(.*)$/));
+    if (!lines.some(Boolean)) return null;
+    // La sortie ne dit pas si le fichier finit par un saut de ligne: cas le plus courant
+    return lines.filter(Boolean).map(match => `${match[1]}\n`).join('');
+}
+
+/**
+ * Chemin d'un fichier de patch: relatif au dossier de la session s'il n'est pas absolu,
+ * rapproché d'un fichier déjà connu qui se termine par ce chemin
+ */
+function resolvePath(file, directory, files) {
+    if (file.startsWith('/')) return file;
+    const known = [...files.keys()].find(path => path.endsWith(`/${file}`));
+    if (known) return known;
+    return directory ? `${directory.replace(/\/$/, '')}/${file}` : file;
+}
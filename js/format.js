@@ -0,0 +1,52 @@
+/**
+ * Mise en forme partagée par les vues: échappement HTML, textes courts, nombres,
+ * coûts, durées et heures
+ */
+
+/**
+ * Échappe le HTML d'un texte (null et undefined donnent une chaîne vide)
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * Texte sur une ligne (blancs réduits), coupé à length caractères avec une ellipse
+ */
+export function truncate(text, length) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > length ? `${line.slice(0, length)}…` : line;
+}
+
+/**
+ * Nombre avec séparateurs de milliers (0 si absent)
+ */
+export function formatNumber(value) {
+    return (value || 0).toLocaleString();
+}
+
+/**
+ * Coût en dollars: 4 décimales sous un dollar, 2 au-delà
+ */
+export function formatCost(value) {
+    return `$${(value || 0).toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Durée lisible: 850ms, 12.4s, 3m 20s, 1h 5m
+ */
+export function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    if (ms < 3600000) return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`;
+    return `${Math.floor(ms / 3600000)}h ${Math.floor((ms % 3600000) / 60000)}m`;
+}
+
+/**
+ * Heure d'un horodatage (hh:mm:ss)
+ */
+export function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
@@ -0,0 +1,63 @@
+/**
+ * Adresse d'une vue dans le hash de l'URL, pour les liens partageables et la
+ * navigation précédent/suivant:
+ *
+ *   #/session/<id>/message/<msgId>/part/<partId>/diff?tab=mods
+ *
+ * Tous les segments après la session sont facultatifs; /diff indique que le diff
+ * de la part est déplié. Une route est { sessionId, messageId, partId, diff, tab }.
+ */
+
+// Onglet affiché par défaut (absent de l'URL)
+export const DEFAULT_TAB = 'stats';
+
+/**
+ * Lit une route depuis un hash ("#/session/..."); route vide si le hash n'en est pas une
+ */
+export function parseRoute(hash) {
+    const route = { sessionId: null, messageId: null, partId: null, diff: false, tab: DEFAULT_TAB };
+    const [path, query = ''] = (hash || '').replace(/^#/, '').split('?');
+    const segments = path.split('/').filter(Boolean).map(segment => safeDecode(segment));
+
+    for (let index = 0; index < segments.length; index++) {
+        const key = segments[index];
+        const value = segments[index + 1];
+        if (key === 'diff') {
+            route.diff = true;
+            continue;
+        }
+        if (value === undefined) break;
+        if (key === 'session') route.sessionId = value;
+        else if (key === 'message') route.messageId = value;
+        else if (key === 'part') route.partId = value;
+        else break;
+        index++;
+    }
+
+    const tab = new URLSearchParams(query).get('tab');
+    if (tab) route.tab = tab;
+    if (!route.sessionId) return { ...route, messageId: null, partId: null, diff: false };
+    return route;
+}
+
+/**
+ * Hash d'une route (chaîne vide sans session)
+ */
+export function formatRoute(route) {
+    if (!route?.sessionId) return '';
+
+    let hash = `#/session/${encodeURIComponent(route.sessionId)}`;
+    if (route.messageId) hash += `/message/${encodeURIComponent(route.messageId)}`;
+    if (route.messageId && route.partId) hash += `/part/${encodeURIComponent(route.partId)}`;
+    if (route.messageId && route.partId && route.diff) hash += '/diff';
+    if (route.tab && route.tab !== DEFAULT_TAB) hash += `?tab=${encodeURIComponent(route.tab)}`;
+    return hash;
+}
+
+function safeDecode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
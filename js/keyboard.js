@@ -0,0 +1,161 @@
+/**
+ * Raccourcis clavier: liste des actions, touches par défaut et surcharges de
+ * l'utilisateur (mémorisées), puis aiguillage des frappes vers les actions.
+ *
+ * Une touche s'écrit comme `event.key`, précédée des modificateurs: "j", "E",
+ * "?", "Ctrl+k", "Alt+ArrowDown". Cmd (macOS) compte comme Ctrl.
+ */
+
+const BINDINGS_STORAGE_KEY = 'keyboard_bindings';
+
+// Actions disponibles, dans l'ordre de l'aide et des paramètres
+export const KEYBOARD_ACTIONS = [
+    { id: 'palette', key: 'Ctrl+k', group: 'Général', label: 'Palette de commandes' },
+    { id: 'help', key: '?', group: 'Général', label: 'Liste des raccourcis' },
+    { id: 'focusSearch', key: '/', group: 'Général', label: 'Rechercher dans les sessions' },
+    { id: 'findInSession', key: 'Ctrl+f', group: 'Général', label: 'Rechercher dans la session' },
+    { id: 'toggleSidebar', key: 'b', group: 'Affichage', label: 'Masquer/montrer les sessions' },
+    { id: 'toggleDetails', key: 'i', group: 'Affichage', label: 'Masquer/montrer les détails' },
+    { id: 'nextMessage', key: 'j', group: 'Timeline', label: 'Message suivant' },
+    { id: 'prevMessage', key: 'k', group: 'Timeline', label: 'Message précédent' },
+    { id: 'nextTool', key: 'n', group: 'Timeline', label: 'Appel d\'outil suivant' },
+    { id: 'prevTool', key: 'p', group: 'Timeline', label: 'Appel d\'outil précédent' },
+    { id: 'nextError', key: 'e', group: 'Timeline', label: 'Erreur suivante' },
+    { id: 'prevError', key: 'E', group: 'Timeline', label: 'Erreur précédente' },
+    { id: 'toggleResult', key: 'o', group: 'Timeline', label: 'Déplier/replier le résultat' },
+    { id: 'toggleDiff', key: 'd', group: 'Timeline', label: 'Déplier/replier le diff' },
+];
+
+export class KeyboardShortcuts {
+    constructor(handlers = {}, options = {}) {
+        this.handlers = handlers;
+        // Vrai quand une fenêtre (modale, palette) capte le clavier
+        this.isSuspended = options.isSuspended || (() => false);
+        this.bindings = loadBindings();
+        this.onKeydown = e => this.handleKeydown(e);
+        this.target = null;
+    }
+
+    /**
+     * Écoute le clavier sur target (une seule fois)
+     */
+    attach(target = document) {
+        if (this.target) return;
+        this.target = target;
+        target.addEventListener('keydown', this.onKeydown);
+    }
+
+    /**
+     * Touche associée à une action ('' si désactivée)
+     */
+    getBinding(actionId) {
+        return this.bindings[actionId] ?? '';
+    }
+
+    /**
+     * Remplace les touches ({ actionId: touche }) et les mémorise
+     */
+    setBindings(bindings) {
+        saveBindings(bindings);
+        this.bindings = loadBindings();
+    }
+
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.isComposing || this.isSuspended()) return;
+        const key = eventToKey(event);
+        if (!key) return;
+
+        const action = KEYBOARD_ACTIONS.find(candidate => this.bindings[candidate.id] === key);
+        if (!action || !this.handlers[action.id]) return;
+
+        // Dans un champ de saisie, seules les touches avec Ctrl/Alt restent actives
+        if (isEditable(event.target) && !/^(Ctrl|Alt)\+/.test(key)) return;
+
+        // Un gestionnaire qui retourne false laisse la touche au navigateur
+        if (this.handlers[action.id](event) !== false) event.preventDefault();
+    }
+}
+
+/**
+ * Touche normalisée d'un événement keydown (null pour un modificateur seul)
+ */
+export function eventToKey(event) {
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(event.key)) return null;
+
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    // Maj est déjà dans la touche pour les caractères ("E", "?")
+    if (event.shiftKey && event.key.length > 1) modifiers.push('Shift');
+
+    let key = event.key === ' ' ? 'Space' : event.key;
+    if (modifiers.length && key.length === 1) key = key.toLowerCase();
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * Normalise une touche saisie à la main ("ctrl+K" -> "Ctrl+k")
+ */
+export function normalizeKey(text) {
+    const parts = String(text || '').trim().split('+').filter(Boolean);
+    if (parts.length === 0) return '';
+
+    let key = parts.pop();
+    const modifiers = parts.map(part => {
+        const name = part.toLowerCase();
+        if (name === 'ctrl' || name === 'cmd' || name === 'meta') return 'Ctrl';
+        if (name === 'alt' || name === 'option') return 'Alt';
+        if (name === 'shift') return 'Shift';
+        return null;
+    });
+    if (modifiers.includes(null)) return '';
+
+    const ordered = ['Ctrl', 'Alt', 'Shift'].filter(name => modifiers.includes(name));
+    if (key.toLowerCase() === 'space') key = 'Space';
+    if (ordered.length && key.length === 1) key = key.toLowerCase();
+    return [...ordered, key].join('+');
+}
+
+/**
+ * Libellé affichable d'une touche ("Ctrl+k" -> "Ctrl+K", "E" inchangé)
+ */
+export function formatKey(key) {
+    if (!key) return '';
+    const parts = key.split('+');
+    const last = parts.pop();
+    // Sans modificateur la casse compte: "e" et "E" (Maj+e) sont distinctes
+    return [...parts, parts.length && last.length === 1 ? last.toUpperCase() : last].join('+');
+}
+
+/**
+ * Touches effectives: défauts de KEYBOARD_ACTIONS et surcharges mémorisées
+ */
+export function loadBindings() {
+    const bindings = Object.fromEntries(KEYBOARD_ACTIONS.map(action => [action.id, action.key]));
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) || '{}');
+        Object.entries(saved).forEach(([id, key]) => {
+            if (id in bindings && typeof key === 'string') bindings[id] = key;
+        });
+    } catch (error) {
+        console.error('Raccourcis clavier illisibles, touches par défaut utilisées:', error);
+    }
+    return bindings;
+}
+
+/**
+ * Mémorise les touches qui diffèrent des défauts
+ */
+export function saveBindings(bindings) {
+    const overrides = {};
+    KEYBOARD_ACTIONS.forEach(action => {
+        const key = bindings[action.id];
+        if (key !== undefined && key !== action.key) overrides[action.id] = key;
+    });
+    localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(overrides));
+}
+
+function isEditable(element) {
+    if (!element || !element.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable;
+}
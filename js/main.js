@@ -1,20 +1,123 @@
-import { OpencodeClient } from "./api-client.js";
 import { TimelineRenderer } from "./timeline-renderer.js";
-
-// Configuration (avec localStorage)
-const DEFAULT_API_URL = "http://localhost:3000";
-
-let API_URL = localStorage.getItem("opencode_url") || DEFAULT_API_URL;
+import { SearchIndex } from "./search-index.js";
+import { FileSessionSource, readDroppedItems, readFileList } from "./data-sources.js";
+import { renderDiffBlock, extractDiffsFromMessages, bindDiffControls, isFileChangePart } from "./diff.js";
+import { countTools, collectErrors } from "./session-stats.js";
+import { SessionExporter, downloadFile } from "./session-export.js";
+import { UsageAnalytics, sumMessageUsage } from "./usage-analytics.js";
+import { AnalyticsView } from "./analytics-view.js";
+import { CompareView, splitTurns } from "./compare-view.js";
+import { ContextChart } from "./context-chart.js";
+import { WaterfallView } from "./waterfall-view.js";
+import { SessionTree } from "./session-tree.js";
+import { TodoPanel } from "./todo-tracker.js";
+import { FileHistoryView, computeFileHistory, readFileDiff } from "./file-history.js";
+import { ServerDiffCache, findFileDiff, summarizeDiffs } from "./server-diffs.js";
+import { collectPatchChanges, buildUnifiedDiff, buildFormatPatch, patchFileName } from "./patch-export.js";
+import { parseRoute, formatRoute } from "./hash-route.js";
+import { KeyboardShortcuts, KEYBOARD_ACTIONS, eventToKey, formatKey } from "./keyboard.js";
+import { CommandPalette } from "./command-palette.js";
+import { SessionSearch } from "./session-search.js";
+import { TimelineFilterBar, BUILTIN_PRESETS, createPartFilter, countHiddenParts } from "./timeline-filter.js";
+import { ErrorPanel } from "./error-panel.js";
+import { ServerPool, loadServerSettings, saveServerSettings, normalizeServerSettings, createProfileId, pingServer } from "./server-profiles.js";
+import { escapeHtml, truncate } from "./format.js";
+import {
+  SubagentTracker,
+  findTaskParts,
+  resolveChildSession,
+  summarizeSubagent,
+  renderSubagentSummary,
+} from "./subagents.js";
+
+// Configuration (avec localStorage): profils de serveurs OpenCode
+let serverSettings = loadServerSettings();
 
 // Instances
-let client = new OpencodeClient(API_URL);
-const timeline = new TimelineRenderer(document.getElementById("timeline"));
+// Un client OpenCode par serveur; une session garde le client de son serveur
+const serverPool = new ServerPool();
+serverPool.setProfiles(serverSettings.profiles);
+const fileSource = new FileSessionSource();
+const searchIndex = createSearchIndex();
+const usageAnalytics = createUsageAnalytics();
+// Diffs calculés par le serveur (GET /session/:id/diff), par session et par message
+const serverDiffs = new ServerDiffCache((sessionId) => sourceForSession(sessionId));
+const subagents = new SubagentTracker({
+  getSessionMessages: (sessionId) => sourceForSession(sessionId).getSessionMessages(sessionId),
+});
+const timeline = new TimelineRenderer(document.getElementById("timeline"), { permalinks: true });
+const contextChart = new ContextChart(document.getElementById("context-chart"), {
+  onSelect: (step) => scrollTimelineTo(step),
+});
+const todoPanel = new TodoPanel(document.getElementById("todos-content"), {
+  onSelect: (snapshot) => scrollTimelineTo(snapshot),
+});
+const fileHistoryView = new FileHistoryView(document.getElementById("file-history"), {
+  onSelect: (operation) => scrollTimelineTo(operation),
+});
+const waterfallView = new WaterfallView(document.getElementById("waterfall-view"), {
+  onSelect: (row) => {
+    toggleWaterfall(false);
+    scrollTimelineTo(row);
+  },
+});
+const analyticsView = new AnalyticsView(document.getElementById("analytics-view"), usageAnalytics, {
+  onOpenSession: (sessionId) => loadSession(sessionId),
+  onClose: closeAnalytics,
+});
+const commandPalette = new CommandPalette(document.getElementById("command-palette"));
+const shortcuts = new KeyboardShortcuts(
+  {
+    palette: openCommandPalette,
+    help: openShortcutsModal,
+    focusSearch: () => document.getElementById("search").focus(),
+    findInSession,
+    toggleSidebar,
+    toggleDetails,
+    nextMessage: () => moveKeyboardFocus("message", 1),
+    prevMessage: () => moveKeyboardFocus("message", -1),
+    nextTool: () => moveKeyboardFocus("tool", 1),
+    prevTool: () => moveKeyboardFocus("tool", -1),
+    nextError: () => moveKeyboardFocus("error", 1),
+    prevError: () => moveKeyboardFocus("error", -1),
+    toggleResult: () => clickFocusedPart(".result-toggle-btn"),
+    toggleDiff: () => clickFocusedPart(".diff-toggle-btn"),
+  },
+  { isSuspended: () => commandPalette.isOpen() || Boolean(document.querySelector(".modal.active")) },
+);
+const sessionSearch = new SessionSearch(document.getElementById("session-search"), document.getElementById("timeline"), {
+  revealPart: revealSearchMatch,
+  expandDiff: expandSearchMatchDiff,
+});
+const filterBar = new TimelineFilterBar(document.getElementById("timeline-filters"), {
+  onChange: applyTimelineFilter,
+});
+const errorPanel = new ErrorPanel(document.getElementById("errors-content"), {
+  onSelect: (error) => scrollTimelineTo(error),
+});
+const compareView = new CompareView(document.getElementById("compare-view"), {
+  onChange: (leftId, rightId) => openCompare(leftId, rightId),
+  onClose: closeCompare,
+});
 
 // État
 let currentSessionId = null;
+let currentSession = null;
 let currentMessages = [];
+// Nombre d'erreurs de la session ouverte (onglet Erreurs, badge de la liste)
+let currentErrorCount = 0;
 let unsubscribe = null;
 let allSessions = [];
+let sessionTree = new SessionTree([]);
+let sessionsLoaded = false;
+// Sessions parentes dont les sous-sessions sont dépliées dans la liste
+const expandedSessions = new Set();
+// Déroulés de sous-agents ouverts dans la timeline: partKey -> { sessionId, renderer }
+const subagentTranscripts = new Map();
+// Liste fusionnée: serveur dont les sessions sont seules affichées (null: tous)
+let serverFilter = null;
+// Clients dont le flux d'événements est branché: client -> désabonnements
+const connectedClients = new Map();
 
 // ========== Initialisation ==========
 
@@ -22,48 +125,394 @@ async function init() {
   console.log("Initialisation de OpenCode Log Viewer");
 
   setupEventListeners();
+  serverPool.onHealthChange(renderServerBar);
+  renderServerBar();
 
-  // Vérifier la connexion
+  // Vérifier la connexion, charger les sessions et brancher les flux d'événements
   updateConnectionStatus("connecting");
-  const isConnected = await client.ping();
+  await connectServers();
+
+  // Rouvrir la vue décrite par l'URL (lien partagé, rechargement)
+  applyRoute(parseRoute(window.location.hash));
+
+  searchIndex.onProgress(renderSearchStatus);
+}
+
+/**
+ * Réagit aux changements d'état du flux d'événements d'un serveur
+ */
+function handleConnectionChange(serverId, connection) {
+  if (serverId === statusServerId()) updateConnectionStatus(connection.state, connection);
+
+  if (connection.state === "connected" && (connection.resumed || !sessionsLoaded)) {
+    // Combler les événements manqués pendant la coupure
+    loadSessions();
+    if (serverForSession(currentSessionId) === serverId) reloadCurrentSession();
+  }
+}
+
+// ========== Serveurs OpenCode ==========
+
+/**
+ * Profils dont les sessions sont listées: tous (liste fusionnée) ou le serveur actif
+ */
+function listedProfiles() {
+  return serverSettings.merged
+    ? serverSettings.profiles
+    : serverSettings.profiles.filter((profile) => profile.id === serverSettings.activeId);
+}
+
+/**
+ * Badges de serveur utiles seulement si la liste mélange plusieurs serveurs
+ */
+function showServerBadges() {
+  return listedProfiles().length > 1;
+}
+
+function activeClient() {
+  return serverPool.getClient(serverSettings.activeId);
+}
 
-  if (isConnected) {
-    updateConnectionStatus("connected");
+/**
+ * Serveur d'une session de la liste (undefined pour une session importée ou inconnue)
+ */
+function serverForSession(sessionId) {
+  return allSessions.find((s) => s.id === sessionId)?.server;
+}
+
+/**
+ * Serveur décrit par la barre d'état: celui de la session ouverte, sinon le serveur actif
+ */
+function statusServerId() {
+  return serverForSession(currentSessionId) || serverSettings.activeId;
+}
+
+/**
+ * Vérifie les serveurs listés, charge leurs sessions puis branche leurs flux
+ * d'événements (reconnexion automatique); les serveurs qui ne sont plus listés
+ * sont débranchés
+ */
+async function connectServers() {
+  const listed = listedProfiles();
+  const health = await serverPool.checkHealth();
+  const unreachable = listed.filter((profile) => !health.get(profile.id));
+
+  if (unreachable.length === 0) {
     console.log("Connecté au serveur OpenCode");
-    await loadSessions();
   } else {
-    updateConnectionStatus("error");
-    console.error("Impossible de se connecter au serveur OpenCode");
     showError(
       "Impossible de se connecter au serveur OpenCode. Vérifiez que le serveur est démarré sur " +
-        API_URL,
+        unreachable.map((profile) => profile.url).join(", "),
     );
   }
+  refreshConnectionStatus();
+
+  // Les sessions importées restent consultables sans serveur
+  await loadSessions();
+
+  const listedClients = new Set(listed.map((profile) => serverPool.getClient(profile.id)));
+  connectedClients.forEach((unsubscribes, client) => {
+    if (listedClients.has(client)) return;
+    unsubscribes.forEach((unsubscribeClient) => unsubscribeClient());
+    client.closeEventSource();
+    connectedClients.delete(client);
+  });
+
+  listed.forEach((profile) => {
+    const client = serverPool.getClient(profile.id);
+    if (connectedClients.has(client)) return;
+    connectedClients.set(client, [
+      client.onConnectionChange((connection) => handleConnectionChange(profile.id, connection)),
+      client.subscribeToEvents(handleIndexEvent),
+      client.subscribeToEvents((event) => handleSessionsEvent(event, profile.id)),
+      client.subscribeToEvents(handleSubagentEvent),
+    ]);
+  });
+}
+
+/**
+ * Applique les profils de serveurs sans recharger la page: clients recréés pour les
+ * URL modifiées, puis sessions et flux des serveurs listés
+ */
+async function applyServerSettings() {
+  const closed = serverPool.setProfiles(serverSettings.profiles);
+  if (!serverSettings.merged || !serverPool.getProfile(serverFilter)) serverFilter = null;
+
+  // Session ouverte sur un serveur retiré, modifié ou qui n'est plus listé
+  const server = serverForSession(currentSessionId);
+  if (server && (closed.includes(server) || !listedProfiles().some((profile) => profile.id === server))) {
+    clearSessionView();
+  }
+  if (closed.length) {
+    serverDiffs.clear();
+    subagents.clear();
+  }
+
+  renderServerBar();
+  await connectServers();
+}
+
+/**
+ * Barre des serveurs (au-dessus de la recherche): santé de chaque serveur, puis
+ * filtre de la liste fusionnée ou choix du serveur actif
+ */
+function renderServerBar() {
+  const bar = document.getElementById("server-bar");
+  const profiles = serverSettings.profiles;
+  bar.classList.toggle("hidden", profiles.length < 2);
+  if (profiles.length < 2) return;
+
+  const selected = serverSettings.merged ? serverFilter : serverSettings.activeId;
+  bar.innerHTML = `
+        ${
+          serverSettings.merged
+            ? `<button class="server-chip ${serverFilter ? "" : "active"}" data-server="" title="Sessions de tous les serveurs">Tous</button>`
+            : ""
+        }
+        ${profiles
+          .map((profile) => {
+            const health = serverPool.getHealth(profile.id);
+            return `
+            <button class="server-chip ${profile.id === selected ? "active" : ""}" data-server="${escapeHtml(profile.id)}" title="${escapeHtml(`${profile.url} - ${formatServerHealth(health)}`)}">
+                <span class="server-health health-${health.state}"></span>${escapeHtml(profile.name)}
+            </button>
+        `;
+          })
+          .join("")}
+    `;
+}
+
+function formatServerHealth(health) {
+  const labels = {
+    connected: "connecté",
+    connecting: "connexion...",
+    reconnecting: "reconnexion...",
+    offline: "hors ligne",
+    error: "injoignable",
+    unknown: "non vérifié",
+  };
+  const label = labels[health.state] || health.state;
+  return health.checkedAt ? `${label} (${new Date(health.checkedAt).toLocaleTimeString("fr-FR")})` : label;
+}
+
+/**
+ * Clic sur un serveur de la barre: filtre de la liste fusionnée, sinon bascule
+ * du serveur actif
+ */
+function selectServer(serverId) {
+  if (serverSettings.merged) {
+    serverFilter = serverId && serverId !== serverFilter ? serverId : null;
+    renderServerBar();
+    filterSessions(document.getElementById("search").value);
+    return;
+  }
+  if (!serverId || serverId === serverSettings.activeId) return;
+
+  serverSettings = { ...serverSettings, activeId: serverId };
+  saveServerSettings(serverSettings);
+  applyServerSettings();
+}
+
+function renderServerBadge(session) {
+  const profile = session.server && showServerBadges() ? serverPool.getProfile(session.server) : null;
+  if (!profile) return "";
+  return `<span class="session-badge badge-server" title="Serveur ${escapeHtml(profile.url)}">${escapeHtml(profile.name)}</span>`;
 }
 
 // ========== Gestion des sessions ==========
 
 async function loadSessions() {
-  try {
-    console.log("Chargement des sessions...");
-    const sessions = await client.getSessions();
+  console.log("Chargement des sessions...");
+  const results = await Promise.all(
+    listedProfiles().map(async (profile) => {
+      try {
+        const sessions = await serverPool.getClient(profile.id).getSessions();
+        console.log(`${sessions.length} session(s) chargee(s) depuis ${profile.name}`);
+        return sessions.map((session) => ({
+          ...session,
+          source: "live",
+          status: "idle",
+          server: profile.id,
+        }));
+      } catch (error) {
+        console.error(`Erreur chargement sessions (${profile.name}):`, error);
+        showError(`Erreur lors du chargement des sessions de ${profile.name}`);
+        return null;
+      }
+    }),
+  );
+  if (results.some(Boolean)) sessionsLoaded = true;
+
+  // Une session présente sur plusieurs serveurs n'est listée qu'une fois (premier profil)
+  const seenIds = new Set();
+  const liveSessions = results.flat().filter((session) => {
+    if (!session || seenIds.has(session.id)) return false;
+    seenIds.add(session.id);
+    return true;
+  });
 
-    allSessions = sessions.map((session) => ({
-      ...session,
-      status: "idle",
-    }));
+  // Sessions importées depuis des fichiers (une session live homonyme reste prioritaire)
+  const liveIds = new Set(liveSessions.map((session) => session.id));
+  const importedSessions = (await fileSource.getSessions()).filter(
+    (session) => !liveIds.has(session.id),
+  );
+
+  allSessions = [...liveSessions, ...importedSessions];
+  refreshSessionTree();
+  filterSessions(document.getElementById("search").value);
+
+  // Indexation plein texte en arrière-plan
+  // (la liste est redessinée ensuite pour les badges d'erreurs)
+  searchIndex.build(allSessions).then(() => {
+    filterSessions(document.getElementById("search").value);
+  });
+}
+
+/**
+ * Reconstruit l'arbre parent/sous-sessions et charge en arrière-plan l'usage des
+ * familles (pour les totaux affichés sur les sessions parentes)
+ */
+function refreshSessionTree() {
+  sessionTree = new SessionTree(allSessions);
+  usageAnalytics.retain(allSessions);
+  usageAnalytics.collect(sessionTree.getFamilyMembers()).then(() => {
+    filterSessions(document.getElementById("search").value);
+  });
+  if (currentSession) renderSessionFamily(currentSession);
+}
+
+function createSearchIndex() {
+  return new SearchIndex({
+    getSessionMessages: (sessionId) => sourceForSession(sessionId).getSessionMessages(sessionId),
+  });
+}
 
-    console.log(`${sessions.length} session(s) chargee(s)`);
-    renderSessionsList(allSessions);
+function createUsageAnalytics() {
+  const analytics = new UsageAnalytics({
+    getSessionMessages: (sessionId) => sourceForSession(sessionId).getSessionMessages(sessionId),
+  });
+  analytics.onProgress((status) => analyticsView.setStatus(status));
+  return analytics;
+}
+
+// ========== Analyse de l'usage ==========
+
+function openAnalytics() {
+  document.querySelector(".main").classList.add("analytics-mode");
+  document.getElementById("analytics-view").classList.remove("hidden");
+  analyticsView.render();
+  usageAnalytics.collect(allSessions);
+}
+
+function closeAnalytics() {
+  document.querySelector(".main").classList.remove("analytics-mode");
+  document.getElementById("analytics-view").classList.add("hidden");
+}
+
+// ========== Comparaison de sessions ==========
+
+async function openCompare(leftId, rightId) {
+  if (!leftId || !rightId) return;
+
+  closeAnalytics();
+  toggleWaterfall(false);
+  document.querySelector(".main").classList.add("compare-mode");
+  const container = document.getElementById("compare-view");
+  container.classList.remove("hidden");
+  container.innerHTML = '<div class="loading">Chargement des deux sessions...</div>';
+
+  try {
+    const [left, right] = await Promise.all(
+      [leftId, rightId].map(async (sessionId) => {
+        const source = sourceForSession(sessionId);
+        const [session, messages] = await Promise.all([
+          source.getSession(sessionId),
+          source.getSessionMessages(sessionId),
+        ]);
+        if (!session) throw new Error(`Session ${sessionId} non trouvée`);
+        return { session, messages: messages || [] };
+      }),
+    );
+    const sessions = [...allSessions].sort((a, b) => (b.time?.created || 0) - (a.time?.created || 0));
+    compareView.render(left, right, sessions);
   } catch (error) {
-    console.error("Erreur chargement sessions:", error);
-    allSessions = [];
-    renderSessionsList([]);
-    showError("Erreur lors du chargement des sessions");
+    console.error("Erreur comparaison:", error);
+    container.innerHTML = `<div class="empty-stats">Comparaison impossible: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function closeCompare() {
+  document.querySelector(".main").classList.remove("compare-mode");
+  const container = document.getElementById("compare-view");
+  container.classList.add("hidden");
+  container.innerHTML = "";
+}
+
+/**
+ * Session à comparer par défaut: même titre (relance du même prompt) sinon la plus récente
+ */
+function findCompareCandidate(sessionId) {
+  const current = allSessions.find((s) => s.id === sessionId);
+  const others = allSessions
+    .filter((s) => s.id !== sessionId)
+    .sort((a, b) => (b.time?.created || 0) - (a.time?.created || 0));
+  return (others.find((s) => current?.title && s.title === current.title) || others[0])?.id;
+}
+
+/**
+ * Source de données d'une session: client de son serveur OpenCode (à défaut le
+ * serveur actif) ou fichiers importés
+ */
+function sourceForSession(sessionId) {
+  const session = allSessions.find((s) => s.id === sessionId);
+  if (session?.source === "file" || (!session && fileSource.hasSession(sessionId))) {
+    return fileSource;
+  }
+  return serverPool.getClient(session?.server) || activeClient();
+}
+
+async function importSessionFiles(entries) {
+  if (!entries.length) return;
+
+  const imported = await fileSource.importFiles(entries);
+  if (imported.length === 0) {
+    alert("Aucune session OpenCode reconnue dans les fichiers importés");
+    return;
+  }
+
+  console.log(`${imported.length} session(s) importee(s)`);
+  await loadSessions();
+  loadSession(imported[0].id);
+}
+
+function removeImportedSession(sessionId) {
+  fileSource.removeSession(sessionId);
+  if (currentSessionId === sessionId) clearSessionView();
+  loadSessions();
+}
+
+/**
+ * Ferme la session ouverte (session retirée, serveur retiré)
+ */
+function clearSessionView() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
   }
+  currentSessionId = null;
+  currentSession = null;
+  currentMessages = [];
+  timeline.renderEmpty();
+  toggleWaterfall(false);
+  document.getElementById("export-btn").disabled = true;
+  document.getElementById("waterfall-btn").disabled = true;
+  document.getElementById("compare-btn").disabled = true;
+  document.getElementById("session-title").textContent = "Selectionnez une session";
+  document.getElementById("session-date").textContent = "";
+  document.getElementById("session-server").classList.add("hidden");
 }
 
-function renderSessionsList(sessions) {
+function renderSessionsList(sessions, hits = null) {
   const list = document.getElementById("sessions-list");
 
   if (!sessions || sessions.length === 0) {
@@ -75,27 +524,43 @@ function renderSessionsList(sessions) {
     return;
   }
 
-  // Trier par date (plus recent en premier)
-  const sorted = [...sessions].sort((a, b) => {
-    const timeA = a.time?.created || 0;
-    const timeB = b.time?.created || 0;
-    return timeB - timeA;
-  });
+  // Arbre parent / sous-sessions (les plus récentes d'abord)
+  const tree = new SessionTree(sessions);
+  // Pendant une recherche, les résultats sont tous dépliés
+  const expandAll = Boolean(hits);
 
-  list.innerHTML = sorted
-    .map((session) => {
-      const isActive = session.id === currentSessionId;
-      return `
-            <div class="session-item ${isActive ? "active" : ""}" data-id="${session.id}">
-                <div class="session-title" contenteditable="false" data-session-id="${session.id}">${escapeHtml(session.title || "Sans titre")}</div>
-                <div class="session-meta">
-                    <span class="date">${formatDate(session.time?.created)}</span>
-                </div>
-            </div>
-        `;
-    })
+  list.innerHTML = tree.roots
+    .map((session) => renderSessionItem(session, tree, hits, expandAll))
     .join("");
 
+  list.querySelectorAll(".session-tree-toggle").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const sessionId = btn.dataset.sessionId;
+      if (expandedSessions.has(sessionId)) {
+        expandedSessions.delete(sessionId);
+      } else {
+        expandedSessions.add(sessionId);
+      }
+      filterSessions(document.getElementById("search").value);
+    });
+  });
+
+  list.querySelectorAll(".session-remove-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeImportedSession(btn.dataset.sessionId);
+    });
+  });
+
+  // Résultats de la recherche plein texte
+  list.querySelectorAll(".session-hit").forEach((hit) => {
+    hit.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openSearchHit(hit.dataset.sessionId, hit.dataset.partId);
+    });
+  });
+
   // Event listeners
   list.querySelectorAll(".session-item").forEach((item) => {
     item.addEventListener("click", (e) => {
@@ -133,7 +598,7 @@ function renderSessionsList(sessions) {
       const session = allSessions.find(s => s.id === sessionId);
       if (session && newTitle && newTitle !== session.title) {
         try {
-          await client.updateSession(sessionId, { title: newTitle });
+          await sourceForSession(sessionId).updateSession(sessionId, { title: newTitle });
           session.title = newTitle;
         } catch (err) {
           console.error("Erreur lors du renommage:", err);
@@ -158,12 +623,104 @@ function renderSessionsList(sessions) {
   });
 }
 
+/**
+ * Rend une session de la liste et, si elle est dépliée, ses sous-sessions
+ */
+function renderSessionItem(session, tree, hits, expandAll) {
+  const isActive = session.id === currentSessionId;
+  const children = tree.getChildren(session.id);
+  const expanded = children.length > 0 && (expandAll || expandedSessions.has(session.id));
+
+  return `
+        <div class="session-node">
+            <div class="session-item ${isActive ? "active" : ""} ${session.parentID ? "session-child" : ""}" data-id="${session.id}">
+                <div class="session-title-row">
+                    ${
+                      children.length
+                        ? `<button class="session-tree-toggle ${expanded ? "expanded" : ""}" data-session-id="${session.id}" title="Afficher/masquer les sous-sessions">▸</button>`
+                        : ""
+                    }
+                    <div class="session-title" contenteditable="false" data-session-id="${session.id}">${escapeHtml(session.title || "Sans titre")}</div>
+                </div>
+                <div class="session-meta">
+                    <span class="date">${formatDate(session.time?.created)}</span>
+                    ${
+                      session.source === "file"
+                        ? `<span class="session-badge badge-file" title="${escapeHtml(session.importedFrom || "Fichier importé")}">Importé
+                            <button class="session-remove-btn" data-session-id="${session.id}" title="Retirer cette session importée">×</button>
+                          </span>`
+                        : ""
+                    }
+                    ${renderServerBadge(session)}
+                    ${renderErrorBadge(session)}
+                </div>
+                ${children.length ? renderFamilySummary(session) : ""}
+                ${hits?.has(session.id) ? renderSessionHits(session.id, hits.get(session.id)) : ""}
+            </div>
+            ${
+              expanded
+                ? `<div class="session-children">${children.map((child) => renderSessionItem(child, tree, hits, expandAll)).join("")}</div>`
+                : ""
+            }
+        </div>
+    `;
+}
+
+/**
+ * Badge rouge d'une session contenant des erreurs (la session ouverte est à jour,
+ * les autres selon l'index de recherche)
+ */
+function renderErrorBadge(session) {
+  const count = session.id === currentSessionId ? currentErrorCount : searchIndex.getErrorCount(session.id);
+  if (!count) return "";
+  return `<span class="session-badge badge-error" title="${count} erreur(s) dans cette session">${count}</span>`;
+}
+
+/**
+ * Nombre de sous-sessions et usage cumulé de la famille (parent + descendants)
+ */
+function renderFamilySummary(session) {
+  const children = sessionTree.getChildren(session.id);
+  const descendants = sessionTree.getDescendants(session.id);
+  const members = [session, ...descendants];
+  const totals = members.map((member) => usageAnalytics.getSessionTotals(member.id));
+  const known = totals.filter(Boolean);
+  const tokens = known.reduce((sum, total) => sum + total.total, 0);
+  const cost = known.reduce((sum, total) => sum + total.cost, 0);
+  const partial = known.length < members.length;
+
+  return `
+        <div class="session-family-summary">
+            <span class="session-children-count">${children.length} sous-session(s)${descendants.length > children.length ? ` · ${descendants.length} au total` : ""}</span>
+            ${
+              known.length
+                ? `<span title="Usage cumulé de la session et de ses sous-sessions${partial ? " (chargement en cours)" : ""}">${tokens.toLocaleString()} tok · $${cost.toFixed(2)}${partial ? "…" : ""}</span>`
+                : ""
+            }
+        </div>
+    `;
+}
+
 async function loadSession(sessionId) {
+  closeAnalytics();
+  closeCompare();
+
   if (currentSessionId === sessionId) {
     return; // Déjà chargée
   }
 
+  // Nouvelle entrée d'historique, sauf si la session vient déjà de l'URL
+  if (currentRoute.sessionId !== sessionId) {
+    updateRoute({ sessionId, messageId: null, partId: null, diff: false }, { push: currentRoute.sessionId !== null });
+  }
+
   currentSessionId = sessionId;
+  currentServerDiffs = [];
+  currentErrorCount = searchIndex.getErrorCount(sessionId);
+  keyboardFocus = null;
+
+  // Déplier l'arbre jusqu'à la session ouverte
+  sessionTree.getAncestors(sessionId).forEach((ancestor) => expandedSessions.add(ancestor.id));
 
   // Désabonner de l'ancienne session
   if (unsubscribe) {
@@ -173,9 +730,10 @@ async function loadSession(sessionId) {
 
   try {
     console.log(`Chargement de la session ${sessionId}...`);
+    const source = sourceForSession(sessionId);
 
     // Charger les détails complets de la session (contient les tokens)
-    const session = await client.getSession(sessionId);
+    const session = await source.getSession(sessionId);
     console.log("Session trouvée:", session);
 
     if (!session) {
@@ -184,7 +742,7 @@ async function loadSession(sessionId) {
 
     // Charger les messages
     console.log("Appel API pour les messages...");
-    const messages = await client.getSessionMessages(sessionId);
+    const messages = await source.getSessionMessages(sessionId);
     console.log("Messages reçus:", messages);
 
     console.log(`Session chargee: ${messages.length} message(s)`);
@@ -192,13 +750,15 @@ async function loadSession(sessionId) {
     // Afficher dans l'interface
     displaySession(session, messages);
 
-    // S'abonner aux événements temps réel
-    unsubscribe = client.subscribeToSession(sessionId, (event) => {
-      handleSessionEvent(event);
-    });
+    // S'abonner aux événements temps réel (pas pour une session importée)
+    if (source !== fileSource) {
+      unsubscribe = source.subscribeToSession(sessionId, (event) => {
+        handleSessionEvent(event);
+      });
+    }
 
     // Mettre à jour la liste (pour l'état actif)
-    renderSessionsList(allSessions);
+    filterSessions(document.getElementById("search").value);
   } catch (error) {
     console.error("Erreur chargement session:", error);
     showError("Erreur lors du chargement de la session: " + error.message);
@@ -206,18 +766,39 @@ async function loadSession(sessionId) {
 }
 
 function displaySession(session, messages) {
-  // Store messages globally for diff extraction
+  // Store session and messages globally for diff extraction and live updates
+  currentSession = session;
   currentMessages = messages;
   
   // Header
   document.getElementById("session-title").textContent =
     session.title || "Sans titre";
+  document.getElementById("export-btn").disabled = false;
+  document.getElementById("waterfall-btn").disabled = false;
+  document.getElementById("compare-btn").disabled = false;
+  document
+    .getElementById("session-source")
+    .classList.toggle("hidden", session.source !== "file" && sourceForSession(session.id) !== fileSource);
   document.getElementById("session-date").textContent = formatDateTime(
     session.time?.created,
   );
+  const server = showServerBadges() ? serverPool.getProfile(serverForSession(session.id)) : null;
+  const serverBadge = document.getElementById("session-server");
+  serverBadge.classList.toggle("hidden", !server);
+  serverBadge.textContent = server?.name || "";
+  serverBadge.title = server ? `Serveur ${server.url}` : "";
+  refreshConnectionStatus();
+  renderSessionFamily(session);
 
   // Timeline
+  subagentTranscripts.clear();
   timeline.render(messages);
+  document.getElementById("session-search").classList.remove("hidden");
+  document.getElementById("timeline-filters").classList.remove("hidden");
+  sessionSearch.setMessages(messages);
+  updateFilterSummary();
+  refreshSubagents();
+  if (isWaterfallActive()) waterfallView.render(messages);
 
   // Stats
   renderStats(session, messages);
@@ -228,41 +809,413 @@ function displaySession(session, messages) {
   // Outils
   renderTools(messages);
 
+  // Tâches (todowrite)
+  todoPanel.render(messages);
+
   // Modifications
   renderModifications(messages);
+
+  // Erreurs
+  renderErrors(messages);
+}
+
+/**
+ * Navigation parent <-> sous-sessions dans l'en-tête
+ */
+function renderSessionFamily(session) {
+  const familyEl = document.getElementById("session-family");
+  const parent = session.parentID ? sessionTree.byId.get(session.parentID) : null;
+  const children = sessionTree.getChildren(session.id);
+
+  familyEl.innerHTML = `
+        ${
+          session.parentID
+            ? `<button class="session-family-parent" data-session-id="${escapeHtml(session.parentID)}" title="Ouvrir la session parente">↰ ${escapeHtml(parent?.title || session.parentID)}</button>`
+            : ""
+        }
+        ${
+          children.length
+            ? `<select class="session-family-children" title="Ouvrir une sous-session">
+                <option value="">${children.length} sous-session(s)</option>
+                ${children.map((child) => `<option value="${escapeHtml(child.id)}">${escapeHtml(child.title || child.id)}</option>`).join("")}
+              </select>`
+            : ""
+        }
+    `;
+  familyEl.classList.toggle("hidden", !session.parentID && children.length === 0);
 }
 
 // ========== Gestion des événements ==========
 
-let reloadTimeout = null;
+let panelsTimeout = null;
 
 function handleSessionEvent(event) {
-  if (event.type === 'session.updated' && currentSessionId) {
-    scheduleReload();
+  if (!currentSessionId || !event) return;
+  const props = event.properties || {};
+
+  switch (event.type) {
+    case "message.updated":
+      if (props.info?.sessionID !== currentSessionId) return;
+      applyMessageUpdated(props.info);
+      break;
+
+    case "message.part.updated":
+      if (props.part?.sessionID !== currentSessionId) return;
+      applyPartUpdated(props.part);
+      break;
+
+    case "message.removed":
+      if (props.sessionID !== currentSessionId) return;
+      applyMessageRemoved(props.messageID);
+      break;
+
+    case "message.part.removed":
+      if (props.sessionID !== currentSessionId) return;
+      applyPartRemoved(props.messageID, props.partID);
+      break;
+
+    case "session.updated":
+      if (props.info?.id !== currentSessionId) return;
+      applySessionUpdated(props.info);
+      break;
+
+    case "session.diff":
+      if (props.sessionID !== currentSessionId) return;
+      serverDiffs.invalidate(currentSessionId);
+      schedulePanelsRefresh();
+      break;
   }
 }
 
-function scheduleReload() {
-  if (reloadTimeout) return;
-  
-  reloadTimeout = setTimeout(() => {
-    reloadTimeout = null;
-    reloadCurrentSession();
-  }, 0);
+let sessionsListTimeout = null;
+
+/**
+ * Tient la liste (et l'arbre) des sessions à jour: nouvelles sous-sessions, renommages, suppressions
+ */
+function handleSessionsEvent(event, serverId) {
+  const info = event?.properties?.info;
+  if (!info?.id) return;
+
+  if (event.type === "session.created" || event.type === "session.updated") {
+    const session = allSessions.find((s) => s.id === info.id);
+    if (!session) {
+      allSessions.push({ ...info, source: "live", status: "idle", server: serverId });
+    } else {
+      // Seuls un renommage ou un rattachement changent la liste
+      const changed = session.title !== info.title || session.parentID !== info.parentID;
+      Object.assign(session, info);
+      if (!changed) return;
+    }
+  } else if (event.type === "session.deleted") {
+    allSessions = allSessions.filter((s) => s.id !== info.id);
+  } else {
+    return;
+  }
+
+  scheduleSessionsListRefresh();
+}
+
+/**
+ * Regroupe les rafraîchissements de la liste (une session en cours est mise à jour très souvent)
+ */
+function scheduleSessionsListRefresh() {
+  if (sessionsListTimeout) return;
+  sessionsListTimeout = setTimeout(() => {
+    sessionsListTimeout = null;
+    refreshSessionTree();
+    filterSessions(document.getElementById("search").value);
+  }, 300);
+}
+
+/**
+ * Tient l'index de recherche à jour et redessine la liste quand le nombre
+ * d'erreurs d'une session change
+ */
+function handleIndexEvent(event) {
+  const props = event?.properties || {};
+  const sessionId = props.part?.sessionID || props.info?.sessionID || props.sessionID;
+  const before = searchIndex.getErrorCount(sessionId);
+  searchIndex.applyEvent(event);
+  if (sessionId && sessionId !== currentSessionId && searchIndex.getErrorCount(sessionId) !== before) {
+    scheduleSessionsListRefresh();
+  }
+}
+
+function getMessageId(msg) {
+  return msg.info?.id || msg.id;
+}
+
+/**
+ * Insère un élément dans une liste triée par identifiant (les ids OpenCode sont croissants)
+ */
+function insertById(list, item, getId) {
+  const id = getId(item);
+  const index = list.findIndex((existing) => getId(existing) > id);
+  if (index < 0) {
+    list.push(item);
+  } else {
+    list.splice(index, 0, item);
+  }
+}
+
+function applyMessageUpdated(info) {
+  const existing = currentMessages.find((m) => getMessageId(m) === info.id);
+  if (existing) {
+    existing.info = { ...existing.info, ...info };
+  } else {
+    insertById(currentMessages, { info, parts: [] }, getMessageId);
+  }
+
+  timeline.updateMessage(currentMessages, info.id);
+  schedulePanelsRefresh();
+}
+
+function applyPartUpdated(part) {
+  let msg = currentMessages.find((m) => getMessageId(m) === part.messageID);
+  if (!msg) {
+    // La part arrive avant son message: on crée un message provisoire
+    msg = { info: { id: part.messageID, sessionID: part.sessionID }, parts: [] };
+    insertById(currentMessages, msg, getMessageId);
+  }
+
+  msg.parts = msg.parts || [];
+  const index = msg.parts.findIndex((p) => p.id === part.id);
+  if (index >= 0) {
+    msg.parts[index] = part;
+  } else {
+    insertById(msg.parts, part, (p) => p.id || "");
+  }
+
+  // Un patch change l'état des fichiers: les diffs serveur sont à recharger
+  if (part.type === "patch") serverDiffs.invalidate(currentSessionId);
+
+  timeline.updateMessage(currentMessages, part.messageID);
+  schedulePanelsRefresh();
+}
+
+function applyMessageRemoved(messageId) {
+  currentMessages = currentMessages.filter((m) => getMessageId(m) !== messageId);
+  // Réindexe la timeline (index des messages et des patchs décalés)
+  timeline.updateIncremental(currentMessages);
+  schedulePanelsRefresh();
+}
+
+function applyPartRemoved(messageId, partId) {
+  const msg = currentMessages.find((m) => getMessageId(m) === messageId);
+  if (!msg || !msg.parts) return;
+
+  msg.parts = msg.parts.filter((p) => p.id !== partId);
+  timeline.updateMessage(currentMessages, messageId);
+  schedulePanelsRefresh();
+}
+
+function applySessionUpdated(info) {
+  if (info.summary && JSON.stringify(info.summary) !== JSON.stringify(currentSession?.summary)) {
+    serverDiffs.invalidate(info.id);
+  }
+  currentSession = { ...currentSession, ...info };
+
+  const session = allSessions.find((s) => s.id === info.id);
+  if (session) {
+    Object.assign(session, info);
+  }
+
+  document.getElementById("session-title").textContent =
+    currentSession.title || "Sans titre";
+  schedulePanelsRefresh();
+}
+
+/**
+ * Regroupe les rafraîchissements des panneaux (stats, outils, modifs) pendant le streaming
+ */
+function schedulePanelsRefresh() {
+  if (panelsTimeout) return;
+
+  panelsTimeout = setTimeout(() => {
+    panelsTimeout = null;
+    if (!currentSession) return;
+    renderStats(currentSession, currentMessages);
+    renderTools(currentMessages);
+    todoPanel.render(currentMessages);
+    renderModifications(currentMessages);
+    renderErrors(currentMessages);
+    if (isWaterfallActive()) waterfallView.render(currentMessages);
+    sessionSearch.setMessages(currentMessages);
+    updateFilterSummary();
+    refreshSubagents();
+  }, 250);
+}
+
+// ========== Sous-agents (outil task) ==========
+
+let subagentsTimeout = null;
+
+/**
+ * Met à jour le résumé des appels task de la session et de ses déroulés ouverts
+ */
+async function refreshSubagents() {
+  const sessionId = currentSessionId;
+  await refreshSubagentSummaries(timeline, currentMessages, sessionId);
+
+  for (const [partKey, transcript] of subagentTranscripts) {
+    if (currentSessionId !== sessionId) return;
+    if (!transcript.renderer.container.isConnected) {
+      subagentTranscripts.delete(partKey);
+      continue;
+    }
+    try {
+      const messages = await subagents.getMessages(transcript.sessionId);
+      transcript.renderer.updateIncremental(messages);
+      await refreshSubagentSummaries(transcript.renderer, messages, transcript.sessionId);
+    } catch (error) {
+      console.error(`Déroulé du sous-agent ${transcript.sessionId} non rafraîchi:`, error);
+    }
+  }
+}
+
+async function refreshSubagentSummaries(renderer, messages, parentSessionId) {
+  const used = new Set();
+  for (const { part, partKey } of findTaskParts(messages)) {
+    const child = resolveChildSession(part, parentSessionId, allSessions, used);
+    if (!child) {
+      renderer.setSubagentSummary(partKey, '<span class="subagent-status status-pending">Session du sous-agent introuvable</span>');
+      continue;
+    }
+    used.add(child.id);
+    try {
+      const childMessages = await subagents.getMessages(child.id);
+      renderer.setSubagentSummary(partKey, renderSubagentSummary(summarizeSubagent(childMessages)));
+    } catch (error) {
+      console.error(`Sous-agent ${child.id} non chargé:`, error);
+    }
+  }
+}
+
+/**
+ * Suit l'activité des sessions enfants affichées (résumés et déroulés en direct)
+ */
+function handleSubagentEvent(event) {
+  const props = event?.properties || {};
+  const sessionId = props.info?.sessionID || props.part?.sessionID || props.sessionID;
+  if (!sessionId || !subagents.isTracked(sessionId)) return;
+
+  subagents.invalidate(sessionId);
+  if (subagentsTimeout) return;
+  subagentsTimeout = setTimeout(() => {
+    subagentsTimeout = null;
+    refreshSubagents();
+  }, 500);
+}
+
+/**
+ * Déroulé de sous-agent ({ sessionId, renderer }) qui contient un élément, null
+ * dans la timeline principale
+ */
+function findSubagentTranscript(el) {
+  const transcriptEl = el.closest(".timeline-subagent");
+  if (!transcriptEl) return null;
+  return [...subagentTranscripts.values()].find((transcript) => transcript.renderer.container.closest(".timeline-subagent") === transcriptEl) || null;
+}
+
+/**
+ * Déplie/replie sous une part task le déroulé de la session du sous-agent
+ */
+async function toggleSubagentTranscript(toggleBtn) {
+  const partEl = toggleBtn.closest(".part");
+  const partKey = toggleBtn.dataset.partKey;
+  const existing = subagentTranscripts.get(partKey);
+
+  // Déroulé ouvert (ou resté en erreur): on le replie
+  if (existing || toggleBtn.classList.contains("expanded")) {
+    const openEl = existing?.renderer.container.closest(".timeline-subagent") || partEl.nextElementSibling;
+    if (openEl?.classList.contains("timeline-subagent")) openEl.remove();
+    subagentTranscripts.delete(partKey);
+    toggleBtn.classList.remove("expanded");
+    return;
+  }
+
+  const transcriptEl = document.createElement("div");
+  transcriptEl.className = "timeline-subagent";
+  transcriptEl.innerHTML = `
+    <div class="subagent-transcript-header"></div>
+    <div class="timeline-nested"><div class="loading">Chargement du déroulé...</div></div>
+  `;
+  partEl.after(transcriptEl);
+  toggleBtn.classList.add("expanded");
+
+  try {
+    // Session parente: celle du déroulé englobant, ou la session affichée
+    const parentSessionId = toggleBtn.closest(".timeline-subagent")?.dataset.sessionId || currentSessionId;
+    const parentMessages = parentSessionId === currentSessionId ? currentMessages : await subagents.getMessages(parentSessionId);
+    const used = new Set();
+    let child = null;
+    for (const task of findTaskParts(parentMessages)) {
+      const resolved = resolveChildSession(task.part, parentSessionId, allSessions, used);
+      if (resolved) used.add(resolved.id);
+      if (task.partKey === partKey) {
+        child = resolved;
+        break;
+      }
+    }
+
+    if (!child) {
+      transcriptEl.remove();
+      toggleBtn.classList.remove("expanded");
+      showError("Session du sous-agent introuvable");
+      return;
+    }
+
+    transcriptEl.dataset.sessionId = child.id;
+    transcriptEl.querySelector(".subagent-transcript-header").innerHTML = `
+      <span>${escapeHtml(child.title || child.id)}</span>
+      <a href="#" class="session-link" data-session-id="${escapeHtml(child.id)}">Ouvrir la session</a>
+    `;
+    const renderer = new TimelineRenderer(transcriptEl.querySelector(".timeline-nested"), { virtualize: false });
+    subagentTranscripts.set(partKey, { sessionId: child.id, renderer });
+
+    const messages = await subagents.getMessages(child.id);
+    renderer.render(messages);
+    await refreshSubagentSummaries(renderer, messages, child.id);
+  } catch (error) {
+    transcriptEl.querySelector(".timeline-nested").innerHTML = '<div class="empty-stats">Déroulé indisponible</div>';
+    console.error("Erreur chargement sous-agent:", error);
+  }
+}
+
+// ========== Vue cascade ==========
+
+function isWaterfallActive() {
+  return document.querySelector(".main").classList.contains("waterfall-mode");
+}
+
+/**
+ * Bascule entre la timeline et la vue cascade (temps passé par étape/outil)
+ */
+function toggleWaterfall(force) {
+  const active = force ?? !isWaterfallActive();
+  document.querySelector(".main").classList.toggle("waterfall-mode", active);
+  document.getElementById("waterfall-view").classList.toggle("hidden", !active);
+  document.getElementById("waterfall-btn").classList.toggle("active", active);
+  if (active) waterfallView.render(currentMessages);
 }
 
 async function reloadCurrentSession() {
-  if (!currentSessionId) return;
+  const sessionId = currentSessionId;
+  if (!sessionId) return;
+  const source = sourceForSession(sessionId);
+  if (source === fileSource) return;
 
   try {
-    const session = await client.getSession(currentSessionId);
-    const messages = await client.getSessionMessages(currentSessionId);
+    const session = await source.getSession(sessionId);
+    // Autre session ouverte pendant le chargement: ses données ne sont pas écrasées
+    if (currentSessionId !== sessionId) return;
+    const messages = await source.getSessionMessages(sessionId);
+    if (currentSessionId !== sessionId) return;
     currentMessages = messages;
-    timeline.render(messages);
-    renderModifications(messages);
-    if (session) {
-      renderStats(session, messages);
-    }
+    timeline.updateIncremental(messages);
+    serverDiffs.invalidate(sessionId);
+    if (session) currentSession = session;
+    schedulePanelsRefresh();
   } catch (error) {
     console.error("Erreur rechargement messages:", error);
   }
@@ -287,30 +1240,11 @@ function renderStats(session, messages) {
     });
   });
 
-  // Compter les tokens (depuis la session ou le dernier message)
-  let totalTokens = 0;
-  let inputTokens = 0;
-  let outputTokens = 0;
-  
-  // D'abord essayer depuis la session
-  if (session.tokens) {
-    totalTokens = session.tokens.total || 0;
-    inputTokens = session.tokens.input || 0;
-    outputTokens = session.tokens.output || 0;
-  } else {
-    // Sinon utiliser le dernier message (total cumulé)
-    const lastMessageWithTokens = [...messages].reverse().find((msg) => {
-      const tokens = msg.info?.tokens || msg.tokens;
-      return tokens && (tokens.total || tokens.input || tokens.output);
-    });
-    
-    if (lastMessageWithTokens) {
-      const tokens = lastMessageWithTokens.info?.tokens || lastMessageWithTokens.tokens;
-      totalTokens = tokens.total || 0;
-      inputTokens = tokens.input || 0;
-      outputTokens = tokens.output || 0;
-    }
-  }
+  // Tokens et coût: somme de tous les messages assistant
+  const usage = sumMessageUsage(messages);
+
+  // Évolution du contexte étape par étape
+  contextChart.render(messages);
 
   statsContent.innerHTML = `
         <div class="stat">
@@ -327,15 +1261,27 @@ function renderStats(session, messages) {
         </div>
         <div class="stat">
             <label>Tokens totaux:</label>
-            <value>${totalTokens.toLocaleString()}</value>
+            <value>${usage.total.toLocaleString()}</value>
         </div>
         <div class="stat">
             <label>Tokens input:</label>
-            <value>${inputTokens.toLocaleString()}</value>
+            <value>${usage.input.toLocaleString()}</value>
         </div>
         <div class="stat">
             <label>Tokens output:</label>
-            <value>${outputTokens.toLocaleString()}</value>
+            <value>${usage.output.toLocaleString()}</value>
+        </div>
+        <div class="stat">
+            <label>Tokens raisonnement:</label>
+            <value>${usage.reasoning.toLocaleString()}</value>
+        </div>
+        <div class="stat">
+            <label>Cache lu / écrit:</label>
+            <value>${usage.cacheRead.toLocaleString()} / ${usage.cacheWrite.toLocaleString()}</value>
+        </div>
+        <div class="stat">
+            <label>Coût:</label>
+            <value>$${usage.cost.toFixed(4)}</value>
         </div>
         ${Object.entries(partTypes)
           .map(
@@ -350,6 +1296,15 @@ function renderStats(session, messages) {
     `;
 }
 
+/**
+ * Amène la timeline sur une part (ou à défaut un message): { partKey, messageIndex }
+ */
+function scrollTimelineTo(target) {
+  if (!target) return;
+  if (target.partKey && timeline.scrollToPart(target.partKey)) return;
+  timeline.revealMessage(target.messageIndex)?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
 function renderMetadata(session) {
   const metadataContent = document.getElementById("metadata-content");
 
@@ -358,6 +1313,16 @@ function renderMetadata(session) {
             <strong>ID:</strong>
             <span>${escapeHtml(session.id)}</span>
         </div>
+        ${
+          sourceForSession(session.id) === fileSource
+            ? `
+            <div class="metadata-item">
+                <strong>Source:</strong>
+                <span>Importé depuis ${escapeHtml(session.importedFrom || "un fichier")}</span>
+            </div>
+        `
+            : ""
+        }
         <div class="metadata-item">
             <strong>Slug:</strong>
             <span>${escapeHtml(session.slug || "N/A")}</span>
@@ -387,7 +1352,7 @@ function renderMetadata(session) {
             ? `
             <div class="metadata-item">
                 <strong>Session parente:</strong>
-                <span>${escapeHtml(session.parentID)}</span>
+                <a href="#" class="session-link" data-session-id="${escapeHtml(session.parentID)}">${escapeHtml(sessionTree.byId.get(session.parentID)?.title || session.parentID)}</a>
             </div>
         `
             : ""
@@ -398,22 +1363,9 @@ function renderMetadata(session) {
 function renderTools(messages) {
   const toolsContent = document.getElementById("tools-content");
 
-  // Compter les outils utilisés
-  const tools = {};
-  messages.forEach((msg) => {
-    (msg.info?.parts || msg.parts || []).forEach((part) => {
-      if (part.type === "tool") {
-        // Le nom peut être une string directe ou dans un objet
-        let name = part.tool;
-        if (typeof name !== 'string') {
-          name = part.tool?.name || part.call?.name || 'unknown';
-        }
-        if (name) {
-          tools[name] = (tools[name] || 0) + 1;
-        }
-      }
-    });
-  });
+  // Compter les outils utilisés (aussi proposés dans les filtres de la timeline)
+  const tools = countTools(messages);
+  filterBar.setTools(tools);
 
   const toolEntries = Object.entries(tools);
 
@@ -438,30 +1390,84 @@ function renderTools(messages) {
     .join("");
 }
 
+/**
+ * Onglet Erreurs, nombre affiché sur l'onglet et badge de la session dans la liste
+ */
+function renderErrors(messages) {
+  const count = errorPanel.render(messages);
+  const tab = document.querySelector('.tab[data-tab="errors"]');
+  tab.classList.toggle("has-errors", count > 0);
+  if (count) tab.dataset.count = count;
+  else delete tab.dataset.count;
+
+  if (count !== currentErrorCount) {
+    currentErrorCount = count;
+    filterSessions(document.getElementById("search").value);
+  }
+}
+
 // ========== Event Listeners ==========
 
 function setupEventListeners() {
-  // Bouton refresh - hard refresh comme Ctrl+Shift+R
+  // Diffs: bascule vue unifiée / côte à côte (timeline, comparaison)
+  bindDiffControls(document.querySelector(".app"));
+
+  // Bouton refresh - hard refresh comme Ctrl+Shift+R (la vue est restaurée depuis l'URL)
   document.getElementById("refresh-btn").addEventListener("click", () => {
     window.location.reload();
   });
 
+  // Navigation précédent/suivant entre les vues
+  window.addEventListener("popstate", handleRouteChange);
+  window.addEventListener("hashchange", handleRouteChange);
+  document.getElementById("timeline").addEventListener("scroll", trackTimelineScroll, { passive: true });
+
   // Toggle left sidebar (sessions) - only from header button
   const toggleLeftHeaderBtn = document.getElementById("toggle-left-header-btn");
   if (toggleLeftHeaderBtn) {
-    toggleLeftHeaderBtn.addEventListener("click", () => {
-      document.querySelector(".app").classList.toggle("sidebar-collapsed");
-    });
+    toggleLeftHeaderBtn.addEventListener("click", toggleSidebar);
   }
 
   // Toggle right panel (details)
   const toggleRightBtn = document.getElementById("toggle-right-btn");
   if (toggleRightBtn) {
-    toggleRightBtn.addEventListener("click", () => {
-      document.querySelector(".app").classList.toggle("details-collapsed");
-    });
+    toggleRightBtn.addEventListener("click", toggleDetails);
   }
 
+  // Raccourcis clavier et palette de commandes (Ctrl+K)
+  shortcuts.attach(document);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && document.querySelector(".modal.active")) closeModals();
+  });
+  document.getElementById("close-shortcuts-modal").addEventListener("click", closeShortcutsModal);
+  document.getElementById("shortcuts-modal").addEventListener("click", (e) => {
+    if (e.target.id === "shortcuts-modal") {
+      closeShortcutsModal();
+    }
+  });
+  document.getElementById("keyboard-bindings").addEventListener("keydown", captureBinding);
+  document.getElementById("add-server-profile").addEventListener("click", (e) => {
+    e.preventDefault();
+    const settings = readServerProfileInputs();
+    renderServerProfileInputs({ ...settings, profiles: [...settings.profiles, { id: createProfileId(), name: "", url: "" }] });
+    document.querySelector("#server-profiles .server-profile:last-child .server-profile-name").focus();
+  });
+  document.getElementById("check-server-profiles").addEventListener("click", (e) => {
+    e.preventDefault();
+    checkServerProfileInputs();
+  });
+  document.getElementById("server-profiles").addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".server-profile-remove");
+    if (!removeBtn) return;
+    const settings = readServerProfileInputs();
+    const id = removeBtn.closest(".server-profile").dataset.id;
+    renderServerProfileInputs({ ...settings, profiles: settings.profiles.filter((profile) => profile.id !== id) });
+  });
+  document.getElementById("reset-bindings").addEventListener("click", (e) => {
+    e.preventDefault();
+    renderBindingInputs(Object.fromEntries(KEYBOARD_ACTIONS.map((action) => [action.id, action.key])));
+  });
+
   // Event delegation for patch file links in timeline
   document.getElementById("timeline").addEventListener("click", (e) => {
     // Handle diff toggle button
@@ -472,7 +1478,54 @@ function setupEventListeners() {
       const partIndex = parseInt(toggleBtn.dataset.partIndex);
       const patchIndex = parseInt(toggleBtn.dataset.patchIndex);
       if (isNaN(msgIndex)) return;
-      toggleDiffInTimeline(msgIndex, isNaN(partIndex) ? 0 : partIndex, toggleBtn, isNaN(patchIndex) ? -1 : patchIndex);
+      toggleDiffInTimeline(msgIndex, isNaN(partIndex) ? 0 : partIndex, toggleBtn, isNaN(patchIndex) ? -1 : patchIndex).then(() => {
+        // Diff déplié: gardé dans l'URL pour le lien et le rechargement (pas ceux des sous-agents)
+        if (toggleBtn.closest(".timeline-subagent")) return;
+        const partEl = toggleBtn.closest(".part");
+        updateRoute({
+          messageId: toggleBtn.closest(".message")?.dataset.messageId || null,
+          partId: partEl?.dataset.partKey || null,
+          diff: toggleBtn.classList.contains("expanded"),
+        });
+      });
+      return;
+    }
+
+    // Nombre de parts filtrées: les affiche (atténuées) ou les masque à nouveau
+    const hiddenCount = e.target.closest(".message-hidden-count");
+    if (hiddenCount) {
+      hiddenCount.closest(".message").classList.toggle("show-filtered");
+      return;
+    }
+
+    // Lien partageable vers un message ou une part
+    const permalink = e.target.closest(".part-permalink, .message-permalink");
+    if (permalink) {
+      e.preventDefault();
+      copyPermalink(permalink);
+      return;
+    }
+
+    // Déroulé d'un sous-agent (outil task)
+    const subagentToggleBtn = e.target.closest(".subagent-toggle");
+    if (subagentToggleBtn) {
+      e.preventDefault();
+      toggleSubagentTranscript(subagentToggleBtn);
+      return;
+    }
+
+    const sessionLink = e.target.closest(".session-link");
+    if (sessionLink) {
+      e.preventDefault();
+      loadSession(sessionLink.dataset.sessionId);
+      return;
+    }
+
+    // Chemin affiché par un outil (read, grep, glob...)
+    const toolPath = e.target.closest(".tool-path");
+    if (toolPath) {
+      e.preventDefault();
+      openToolPath(toolPath);
       return;
     }
 
@@ -491,105 +1544,776 @@ function setupEventListeners() {
       return;
     }
 
-    if (e.target.classList.contains("file-link") || e.target.closest(".file-link")) {
-      e.preventDefault();
-      const link = e.target.classList.contains("file-link") ? e.target : e.target.closest(".file-link");
-      const patchId = link.dataset.patchId;
-      const file = link.dataset.file;
-      
-      // Find the patch by file path (simpler approach)
-      const patchIndex = currentPatches.findIndex((p) => p.file === file);
-      
-      if (patchIndex >= 0) {
-        // Expand the mod item in the mods tab
-        const modsTab = document.getElementById('mods-tab');
-        const modItem = modsTab.querySelector(`[data-patch-index="${patchIndex}"]`);
-        if (modItem) {
-          const diffEl = modItem.querySelector('.mod-diff');
-          const expandIcon = modItem.querySelector('.mod-expand');
-          diffEl.classList.remove('hidden');
-          expandIcon.classList.add('expanded');
-        }
-      }
-    }
-  });
+    const patchFileLink = e.target.closest(".patch-file-link");
+    if (patchFileLink) {
+      e.preventDefault();
+      togglePatchFileDiff(patchFileLink);
+    }
+  });
+
+  // Import de sessions exportées (fichiers JSON ou dossier de stockage OpenCode)
+  const importFilesInput = document.getElementById("import-files-input");
+  const importFolderInput = document.getElementById("import-folder-input");
+  document.getElementById("import-files-btn").addEventListener("click", () => importFilesInput.click());
+  document.getElementById("import-folder-btn").addEventListener("click", () => importFolderInput.click());
+  [importFilesInput, importFolderInput].forEach((input) => {
+    input.addEventListener("change", async () => {
+      await importSessionFiles(readFileList(input.files));
+      input.value = "";
+    });
+  });
+
+  const app = document.querySelector(".app");
+  app.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    app.classList.add("drop-target");
+  });
+  app.addEventListener("dragleave", (e) => {
+    if (e.relatedTarget && app.contains(e.relatedTarget)) return;
+    app.classList.remove("drop-target");
+  });
+  app.addEventListener("drop", async (e) => {
+    if (!e.dataTransfer?.types?.includes("Files")) return;
+    e.preventDefault();
+    app.classList.remove("drop-target");
+    await importSessionFiles(await readDroppedItems(e.dataTransfer));
+  });
+
+  // Reconnexion manuelle du flux d'événements
+  document.getElementById("retry-connection-btn").addEventListener("click", () => {
+    serverPool.getClient(statusServerId())?.reconnectNow();
+  });
+
+  // Serveurs: filtre de la liste fusionnée ou changement de serveur actif
+  document.getElementById("server-bar").addEventListener("click", (e) => {
+    const chip = e.target.closest(".server-chip");
+    if (chip) selectServer(chip.dataset.server || null);
+  });
+
+  // Analyse de l'usage sur toutes les sessions
+  document.getElementById("analytics-btn").addEventListener("click", () => {
+    openAnalytics();
+  });
+
+  // Navigation parent / sous-sessions
+  document.getElementById("session-family").addEventListener("click", (e) => {
+    const parentBtn = e.target.closest(".session-family-parent");
+    if (parentBtn) loadSession(parentBtn.dataset.sessionId);
+  });
+  document.getElementById("session-family").addEventListener("change", (e) => {
+    if (e.target.classList.contains("session-family-children") && e.target.value) {
+      loadSession(e.target.value);
+    }
+  });
+  document.getElementById("metadata-content").addEventListener("click", (e) => {
+    const link = e.target.closest(".session-link");
+    if (!link) return;
+    e.preventDefault();
+    loadSession(link.dataset.sessionId);
+  });
+
+  // Onglet Modifs: chronologique / par fichier
+  document.querySelectorAll(".mods-mode-btn").forEach((btn) => {
+    btn.addEventListener("click", () => setModsMode(btn.dataset.mode));
+  });
+
+  // Vue cascade
+  document.getElementById("waterfall-btn").addEventListener("click", () => {
+    toggleWaterfall();
+  });
+
+  // Comparaison avec une autre session
+  document.getElementById("compare-btn").addEventListener("click", () => {
+    openCompare(currentSessionId, findCompareCandidate(currentSessionId));
+  });
+
+  // Export de la session
+  document.getElementById("export-btn").addEventListener("click", openExportModal);
+  document.getElementById("close-export-modal").addEventListener("click", closeExportModal);
+  document.getElementById("cancel-export").addEventListener("click", closeExportModal);
+  document.getElementById("confirm-export").addEventListener("click", () => {
+    exportCurrentSession();
+  });
+  document.getElementById("export-modal").addEventListener("click", (e) => {
+    if (e.target.id === "export-modal") {
+      closeExportModal();
+    }
+  });
+
+  // Export des modifications en diff / patch git
+  document.getElementById("patch-export-btn").addEventListener("click", openPatchModal);
+  document.getElementById("close-patch-modal").addEventListener("click", closePatchModal);
+  document.getElementById("cancel-patch").addEventListener("click", closePatchModal);
+  document.getElementById("confirm-patch").addEventListener("click", downloadPatch);
+  document.getElementById("patch-from").addEventListener("change", () => renderPatchFiles());
+  document.getElementById("patch-to").addEventListener("change", () => renderPatchFiles());
+  document.getElementById("patch-files").addEventListener("change", renderPatchSummary);
+  document.querySelectorAll('input[name="patch-format"]').forEach((input) => {
+    input.addEventListener("change", renderPatchSummary);
+  });
+  document.getElementById("patch-modal").addEventListener("click", (e) => {
+    if (e.target.id === "patch-modal") {
+      closePatchModal();
+    }
+  });
+
+  // Bouton settings
+  document.getElementById("settings-btn").addEventListener("click", () => {
+    openSettingsModal();
+  });
+
+  // Modal settings
+  document.getElementById("close-modal").addEventListener("click", () => {
+    closeSettingsModal();
+  });
+
+  document.getElementById("cancel-settings").addEventListener("click", () => {
+    closeSettingsModal();
+  });
+
+  document.getElementById("save-settings").addEventListener("click", () => {
+    saveSettings();
+  });
+
+  // Fermer modal en cliquant à l'extérieur
+  document.getElementById("settings-modal").addEventListener("click", (e) => {
+    if (e.target.id === "settings-modal") {
+      closeSettingsModal();
+    }
+  });
+
+  // Recherche
+  const searchInput = document.getElementById("search");
+  let searchDebounce = null;
+  searchInput.addEventListener("input", (e) => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(() => filterSessions(e.target.value), 150);
+  });
+
+  // Tabs
+  document.querySelectorAll(".tab").forEach((tab) => {
+    tab.addEventListener("click", () => {
+      const tabName = tab.dataset.tab;
+      switchTab(tabName);
+    });
+  });
+}
+
+function filterSessions(searchTerm = "") {
+  let filtered = [...allSessions];
+  let hits = null;
+
+  // Liste fusionnée: sessions d'un seul serveur
+  if (serverFilter) {
+    filtered = filtered.filter((session) => session.server === serverFilter);
+  }
+
+  // Filtre par recherche (titre/id, puis contenu indexé)
+  if (searchTerm.trim()) {
+    const term = searchTerm.toLowerCase();
+    hits = searchIndex.search(searchTerm);
+    filtered = filtered.filter((session) => {
+      const title = (session.title || "").toLowerCase();
+      const id = (session.id || "").toLowerCase();
+      return title.includes(term) || id.includes(term) || hits.has(session.id);
+    });
+  }
+
+  renderSessionsList(filtered, hits);
+}
+
+function renderSessionHits(sessionId, result) {
+  if (!result.hits.length) return "";
+
+  const fieldLabels = {
+    text: "texte",
+    reasoning: "raisonnement",
+    tool: "outil",
+    cmd: "commande",
+    file: "fichier",
+    input: "arguments",
+    output: "résultat",
+  };
+
+  return `
+    <div class="session-hits">
+      ${result.hits
+        .map(
+          (hit) => `
+        <div class="session-hit" data-session-id="${escapeHtml(sessionId)}" data-part-id="${escapeHtml(hit.partId)}">
+          <span class="session-hit-field">${fieldLabels[hit.field] || hit.field}</span>
+          <span class="session-hit-snippet">${escapeHtml(hit.snippet.before)}<mark>${escapeHtml(hit.snippet.match)}</mark>${escapeHtml(hit.snippet.after)}</span>
+        </div>
+      `,
+        )
+        .join("")}
+      ${result.total > result.hits.length ? `<div class="session-hit-more">+${result.total - result.hits.length} autre(s) résultat(s)</div>` : ""}
+    </div>
+  `;
+}
+
+async function openSearchHit(sessionId, partId) {
+  await loadSession(sessionId);
+  timeline.scrollToPart(partId);
+}
+
+function renderSearchStatus(status) {
+  const statusEl = document.getElementById("search-status");
+  if (status.building) {
+    statusEl.textContent = `Indexation du contenu... ${status.done}/${status.total}`;
+  } else {
+    statusEl.textContent = status.sessions
+      ? `Contenu de ${status.sessions} session(s) indexé (champs: tool: file: cmd: output: text:)`
+      : "";
+  }
+}
+
+function switchTab(tabName) {
+  if (!document.getElementById(`${tabName}-tab`)) return;
+
+  document.querySelectorAll(".tab").forEach((tab) => {
+    tab.classList.remove("active");
+  });
+  document.querySelectorAll(".tab-content").forEach((content) => {
+    content.classList.remove("active");
+  });
+
+  document.querySelector(`[data-tab="${tabName}"]`).classList.add("active");
+  document.getElementById(`${tabName}-tab`).classList.add("active");
+  updateRoute({ tab: tabName });
+}
+
+// ========== Routage (hash de l'URL) ==========
+
+// Vue décrite par l'URL: { sessionId, messageId, partId, diff, tab }
+let currentRoute = parseRoute("");
+
+/**
+ * Reporte la vue dans l'URL: nouvelle entrée d'historique (push) quand on change de
+ * session, remplacement pour l'onglet, le défilement ou un diff déplié
+ */
+function updateRoute(changes, { push = false } = {}) {
+  currentRoute = { ...currentRoute, ...changes };
+  const hash = formatRoute(currentRoute);
+  if (hash === window.location.hash) return;
+  const url = hash || `${window.location.pathname}${window.location.search}`;
+  window.history[push ? "pushState" : "replaceState"](null, "", url);
+}
+
+/**
+ * Ouvre la vue d'une route: onglet, session, puis message ou part visés
+ */
+async function applyRoute(route) {
+  currentRoute = route;
+  switchTab(route.tab);
+  if (!route.sessionId) return;
+
+  await loadSession(route.sessionId);
+  if (currentSessionId !== route.sessionId) return;
+  revealRouteTarget(route);
+}
+
+/**
+ * Amène la timeline sur la part (diff déplié si demandé) ou le message de la route
+ */
+function revealRouteTarget(route) {
+  if (route.partId && timeline.scrollToPart(route.partId)) {
+    const toggleBtn = document.querySelector(
+      `#timeline .part[data-part-key="${CSS.escape(route.partId)}"] .diff-toggle-btn`,
+    );
+    if (route.diff && toggleBtn && !toggleBtn.classList.contains("expanded")) toggleBtn.click();
+    return;
+  }
+
+  const messageIndex = currentMessages.findIndex((msg) => getMessageId(msg) === route.messageId);
+  if (messageIndex >= 0) scrollTimelineTo({ messageIndex });
+}
+
+/**
+ * Précédent/suivant ou hash modifié à la main
+ */
+function handleRouteChange() {
+  // Hash qui n'est pas une route (lien "#" non intercepté...): l'URL garde la route courante
+  if (!window.location.hash.startsWith("#/") && window.location.href.includes("#")) {
+    window.history.replaceState(null, "", formatRoute(currentRoute) || `${window.location.pathname}${window.location.search}`);
+    return;
+  }
+
+  const route = parseRoute(window.location.hash);
+  if (formatRoute(route) === formatRoute(currentRoute)) return;
+  applyRoute(route);
+}
+
+let routeScrollTimeout = null;
+
+/**
+ * Garde dans l'URL le premier message visible de la timeline (rien en bas de la
+ * timeline, qui suit alors les nouveaux messages)
+ */
+function trackTimelineScroll() {
+  clearTimeout(routeScrollTimeout);
+  routeScrollTimeout = setTimeout(() => {
+    const container = document.getElementById("timeline");
+    if (!currentSessionId || container.offsetParent === null) return;
+    const top = container.getBoundingClientRect().top;
+
+    // Part visée encore à l'écran: le lien reste valable
+    if (currentRoute.partId) {
+      const partEl = container.querySelector(`.part[data-part-key="${CSS.escape(currentRoute.partId)}"]`);
+      const rect = partEl?.getBoundingClientRect();
+      if (rect && rect.bottom > top && rect.top < top + container.clientHeight) return;
+    }
+
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+    const firstVisible = [...container.querySelectorAll(":scope > .message")].find(
+      (el) => el.getBoundingClientRect().bottom > top,
+    );
+    const messageId = atBottom ? null : firstVisible?.dataset.messageId || null;
+    if (messageId !== currentRoute.messageId || currentRoute.partId) {
+      updateRoute({ messageId, partId: null, diff: false });
+    }
+  }, 300);
+}
+
+/**
+ * Lien vers un message ou une part: ajouté à l'historique et copié
+ */
+function copyPermalink(linkEl) {
+  const messageEl = linkEl.closest(".message");
+  const partEl = linkEl.closest(".part");
+  if (!currentSessionId || !messageEl) return;
+
+  updateRoute(
+    { messageId: messageEl.dataset.messageId, partId: partEl?.dataset.partKey || null, diff: false },
+    { push: true },
+  );
+  navigator.clipboard?.writeText(window.location.href).then(() => {
+    linkEl.classList.add("copied");
+    setTimeout(() => linkEl.classList.remove("copied"), 1200);
+  });
+}
+
+/**
+ * Clic sur un chemin d'outil: ouvre le fichier dans l'onglet Modifications s'il a
+ * été modifié pendant la session, sinon copie le chemin
+ */
+function openToolPath(linkEl) {
+  const path = linkEl.dataset.path;
+  const patchIndex = currentPatches.findIndex((p) => p.file === path || p.file.endsWith(`/${path}`) || path.endsWith(`/${p.file}`));
+
+  if (modsMode === "files" && fileHistoryView.selectFile(path)) {
+    switchTab("mods");
+    return;
+  }
+
+  // Liste chronologique: comme un clic sur la modification, diff déplié dans la timeline
+  if (patchIndex >= 0) {
+    switchTab("mods");
+    document.getElementById("mods-tab").querySelector(`[data-patch-index="${patchIndex}"]`)?.scrollIntoView({ block: "nearest" });
+    scrollToMessage(currentPatches[patchIndex].msgIndex, currentPatches[patchIndex]);
+    return;
+  }
+
+  navigator.clipboard?.writeText(path).then(() => {
+    linkEl.classList.add("copied");
+    setTimeout(() => linkEl.classList.remove("copied"), 1200);
+  });
+}
+
+// ========== Clavier ==========
+
+// Élément de la timeline sélectionné au clavier: { messageIndex, partIndex, partKey },
+// partIndex valant -1 (et partKey null) pour le message lui-même
+let keyboardFocus = null;
+
+/**
+ * Revient à la timeline depuis les vues usage, comparaison ou cascade
+ */
+function showTimeline() {
+  closeAnalytics();
+  closeCompare();
+  toggleWaterfall(false);
+}
+
+function toggleSidebar() {
+  document.querySelector(".app").classList.toggle("sidebar-collapsed");
+}
+
+function toggleDetails() {
+  document.querySelector(".app").classList.toggle("details-collapsed");
+}
+
+/**
+ * Cibles de j/k (messages), n/p (appels d'outils) ou des erreurs, dans l'ordre de la session
+ */
+function listKeyboardTargets(kind) {
+  if (kind === "error") {
+    return collectErrors(currentMessages)
+      .map((error) => ({
+        messageIndex: error.messageIndex,
+        partIndex: error.partKey ? findPartIndex(error.messageIndex, error.partKey) : -1,
+        partKey: error.partKey || null,
+      }))
+      .filter(isTargetVisible);
+  }
+
+  const targets = [];
+  currentMessages.forEach((msg, messageIndex) => {
+    if (kind === "message") {
+      targets.push({ messageIndex, partIndex: -1, partKey: null });
+      return;
+    }
+    timeline.getParts(msg).forEach((part, partIndex) => {
+      if (part.type !== "tool") return;
+      targets.push({ messageIndex, partIndex, partKey: timeline.getPartKey(part, messageIndex, partIndex) });
+    });
+  });
+  return targets.filter(isTargetVisible);
+}
+
+/**
+ * Cible non masquée par les filtres de la timeline (message: au moins une part visible)
+ */
+function isTargetVisible(target) {
+  const filter = timeline.partFilter;
+  const msg = currentMessages[target.messageIndex];
+  if (!filter || !msg) return true;
+  const parts = timeline.getParts(msg);
+  if (target.partIndex >= 0) return filter(parts[target.partIndex], msg);
+  return parts.length === 0 ? filter(null, msg) : parts.some((part) => filter(part, msg));
+}
+
+function findPartIndex(messageIndex, partKey) {
+  return timeline
+    .getParts(currentMessages[messageIndex] || {})
+    .findIndex((part, partIndex) => timeline.getPartKey(part, messageIndex, partIndex) === partKey);
+}
+
+function compareTargets(a, b) {
+  return a.messageIndex - b.messageIndex || a.partIndex - b.partIndex;
+}
+
+/**
+ * Sélectionne la cible suivante/précédente d'un type; sans sélection, part du
+ * premier message visible
+ */
+function moveKeyboardFocus(kind, direction) {
+  if (!currentSessionId) return;
+  showTimeline();
+
+  const targets = listKeyboardTargets(kind);
+  if (targets.length === 0) return;
+
+  const from = keyboardFocus || { messageIndex: firstVisibleMessageIndex(), partIndex: direction > 0 ? -2 : -1 };
+  const next =
+    direction > 0
+      ? targets.find((target) => compareTargets(target, from) > 0)
+      : [...targets].reverse().find((target) => compareTargets(target, from) < 0);
+  const target = next || (keyboardFocus ? null : targets[direction > 0 ? 0 : targets.length - 1]);
+  if (target) focusTimelineTarget(target);
+}
+
+function firstVisibleMessageIndex() {
+  const container = document.getElementById("timeline");
+  const top = container.getBoundingClientRect().top;
+  const firstVisible = [...container.querySelectorAll(":scope > .message")].find(
+    (el) => el.getBoundingClientRect().bottom > top,
+  );
+  if (!firstVisible) return -1;
+  return currentMessages.findIndex((msg) => getMessageId(msg) === firstVisible.dataset.messageId);
+}
+
+/**
+ * Met en évidence un message ou une part et l'amène à l'écran (lien mis à jour)
+ */
+function focusTimelineTarget(target) {
+  const messageEl = timeline.revealMessage(target.messageIndex);
+  if (!messageEl) return;
+  const partEl = target.partKey
+    ? messageEl.querySelector(`.part[data-part-key="${CSS.escape(target.partKey)}"]`)
+    : null;
+  const el = partEl || messageEl;
+
+  document.querySelectorAll("#timeline .keyboard-focus").forEach((node) => node.classList.remove("keyboard-focus"));
+  el.classList.add("keyboard-focus");
+  el.scrollIntoView({ block: partEl ? "center" : "start" });
+  keyboardFocus = target;
+  updateRoute({ messageId: messageEl.dataset.messageId, partId: partEl ? target.partKey : null, diff: false });
+}
+
+/**
+ * Déplie/replie le résultat ou le diff de la part sélectionnée (même effet qu'un clic)
+ */
+function clickFocusedPart(selector) {
+  if (!keyboardFocus?.partKey) return;
+  const partEl = document.querySelector(`#timeline .part[data-part-key="${CSS.escape(keyboardFocus.partKey)}"]`);
+  partEl?.querySelector(`:scope > .tool-header ${selector}`)?.click();
+}
+
+/**
+ * Palette: actions, onglets du panneau de détails puis sessions (plus récentes d'abord)
+ */
+function openCommandPalette() {
+  const shortcut = (actionId) => formatKey(shortcuts.getBinding(actionId));
+  const hasSession = Boolean(currentSessionId);
+  const actions = [
+    { label: "Vue cascade", run: () => toggleWaterfall(), enabled: hasSession },
+    {
+      label: "Comparer avec une autre session",
+      run: () => openCompare(currentSessionId, findCompareCandidate(currentSessionId)),
+      enabled: hasSession,
+    },
+    {
+      label: "Rechercher dans la session",
+      run: findInSession,
+      enabled: hasSession,
+      shortcut: shortcut("findInSession"),
+    },
+    { label: "Exporter la session", run: openExportModal, enabled: hasSession },
+    { label: "Exporter les modifications en patch", run: openPatchModal, enabled: hasSession },
+    { label: "Usage et coût sur toutes les sessions", run: openAnalytics, enabled: true },
+    { label: "Masquer/montrer les sessions", run: toggleSidebar, enabled: true, shortcut: shortcut("toggleSidebar") },
+    { label: "Masquer/montrer les détails", run: toggleDetails, enabled: true, shortcut: shortcut("toggleDetails") },
+    {
+      label: "Importer des sessions",
+      run: () => document.getElementById("import-files-btn").click(),
+      enabled: true,
+    },
+    { label: "Raccourcis clavier", run: openShortcutsModal, enabled: true, shortcut: shortcut("help") },
+    { label: "Paramètres", run: openSettingsModal, enabled: true },
+  ];
+
+  const tabs = [...document.querySelectorAll(".tab")].map((tab) => ({
+    group: "Onglet",
+    label: tab.textContent.trim(),
+    run: () => {
+      document.querySelector(".app").classList.remove("details-collapsed");
+      switchTab(tab.dataset.tab);
+    },
+  }));
+
+  const filters = BUILTIN_PRESETS.map((preset) => ({
+    group: "Filtre",
+    label: preset.label,
+    run: () => {
+      showTimeline();
+      filterBar.setFilter(preset.filter);
+    },
+  }));
+
+  const sessions = [...allSessions]
+    .sort((a, b) => (b.time?.updated || b.time?.created || 0) - (a.time?.updated || a.time?.created || 0))
+    .map((session) => ({
+      group: "Session",
+      label: session.title || session.id,
+      hint: [
+        showServerBadges() ? serverPool.getProfile(session.server)?.name : "",
+        formatDate(session.time?.updated || session.time?.created),
+      ].filter(Boolean).join(" · "),
+      keywords: `${session.id} ${session.directory || ""}`,
+      run: () => loadSession(session.id),
+    }));
+
+  commandPalette.open([
+    ...actions.filter((action) => action.enabled).map((action) => ({ ...action, group: "Action" })),
+    ...tabs,
+    ...(hasSession ? filters : []),
+    ...sessions,
+  ]);
+}
 
-  // Bouton settings
-  document.getElementById("settings-btn").addEventListener("click", () => {
-    openSettingsModal();
+/**
+ * Aide: touches de chaque action, par groupe
+ */
+function openShortcutsModal() {
+  const groups = new Map();
+  KEYBOARD_ACTIONS.forEach((action) => {
+    if (!groups.has(action.group)) groups.set(action.group, []);
+    groups.get(action.group).push(action);
   });
 
-  // Modal settings
-  document.getElementById("close-modal").addEventListener("click", () => {
-    closeSettingsModal();
-  });
+  const rows = (entries) =>
+    entries
+      .map(
+        ([label, key]) => `
+          <div class="shortcut-row">
+            <span>${escapeHtml(label)}</span>
+            ${key ? `<kbd>${escapeHtml(key)}</kbd>` : '<span class="shortcut-none">désactivé</span>'}
+          </div>
+        `,
+      )
+      .join("");
+
+  document.getElementById("shortcuts-content").innerHTML =
+    [...groups]
+      .map(
+        ([group, actions]) => `
+          <div class="shortcuts-group">
+            <h3>${escapeHtml(group)}</h3>
+            ${rows(actions.map((action) => [action.label, formatKey(shortcuts.getBinding(action.id))]))}
+          </div>
+        `,
+      )
+      .join("") +
+    `
+      <div class="shortcuts-group">
+        <h3>Palette et fenêtres</h3>
+        ${rows([
+          ["Choisir une commande", "↑ ↓"],
+          ["Exécuter", "Entrée"],
+          ["Fermer", "Échap"],
+        ])}
+      </div>
+    `;
+  document.getElementById("shortcuts-modal").classList.add("active");
+}
 
-  document.getElementById("cancel-settings").addEventListener("click", () => {
-    closeSettingsModal();
-  });
+function closeShortcutsModal() {
+  document.getElementById("shortcuts-modal").classList.remove("active");
+}
 
-  document.getElementById("save-settings").addEventListener("click", () => {
-    saveSettings();
-  });
+function closeModals() {
+  closeSettingsModal();
+  closeExportModal();
+  closePatchModal();
+  closeShortcutsModal();
+}
 
-  // Fermer modal en cliquant à l'extérieur
-  document.getElementById("settings-modal").addEventListener("click", (e) => {
-    if (e.target.id === "settings-modal") {
-      closeSettingsModal();
-    }
-  });
+/**
+ * Champs des paramètres: une touche par action (saisie en tapant la touche)
+ */
+function renderBindingInputs(bindings) {
+  document.getElementById("keyboard-bindings").innerHTML = KEYBOARD_ACTIONS.map(
+    (action) => `
+      <label class="keyboard-binding">
+        <span>${escapeHtml(action.label)}</span>
+        <input type="text" readonly data-action="${action.id}" data-key="${escapeHtml(bindings[action.id] || "")}"
+          value="${escapeHtml(formatKey(bindings[action.id]))}" placeholder="désactivé">
+      </label>
+    `,
+  ).join("");
+  markBindingConflicts();
+}
 
-  // Recherche
-  const searchInput = document.getElementById("search");
-  searchInput.addEventListener("input", (e) => {
-    filterSessions(e.target.value);
+function readBindingInputs() {
+  const bindings = {};
+  document.querySelectorAll("#keyboard-bindings input").forEach((input) => {
+    bindings[input.dataset.action] = input.dataset.key || "";
   });
+  return bindings;
+}
 
-  // Tabs
-  document.querySelectorAll(".tab").forEach((tab) => {
-    tab.addEventListener("click", () => {
-      const tabName = tab.dataset.tab;
-      switchTab(tabName);
-    });
+/**
+ * Touche attribuée à plusieurs actions (null si aucune)
+ */
+function findBindingConflict(bindings) {
+  const keys = Object.values(bindings).filter(Boolean);
+  return keys.find((key, index) => keys.indexOf(key) !== index) || null;
+}
+
+function markBindingConflicts() {
+  const conflict = findBindingConflict(readBindingInputs());
+  document.querySelectorAll("#keyboard-bindings input").forEach((input) => {
+    input.classList.toggle("conflict", Boolean(conflict) && input.dataset.key === conflict);
   });
 }
 
-function filterSessions(searchTerm = "") {
-  let filtered = [...allSessions];
+/**
+ * Saisie d'un raccourci: la touche tapée remplace la précédente, Retour arrière
+ * le désactive; Tab et Échap gardent leur rôle
+ */
+function captureBinding(e) {
+  const input = e.target.closest("input[data-action]");
+  if (!input || e.key === "Tab" || e.key === "Escape") return;
+  e.preventDefault();
+
+  const key = e.key === "Backspace" || e.key === "Delete" ? "" : eventToKey(e);
+  if (key === null) return;
+  input.dataset.key = key;
+  input.value = formatKey(key);
+  markBindingConflicts();
+}
 
-  // Filtre par recherche
-  if (searchTerm) {
-    const term = searchTerm.toLowerCase();
-    filtered = filtered.filter((session) => {
-      const title = (session.title || "").toLowerCase();
-      const id = (session.id || "").toLowerCase();
-      return title.includes(term) || id.includes(term);
-    });
-  }
+// ========== Filtres de la timeline ==========
 
-  renderSessionsList(filtered);
+function applyTimelineFilter(filter) {
+  timeline.setPartFilter(createPartFilter(filter));
+  updateFilterSummary();
 }
 
-function switchTab(tabName) {
-  document.querySelectorAll(".tab").forEach((tab) => {
-    tab.classList.remove("active");
-  });
-  document.querySelectorAll(".tab-content").forEach((content) => {
-    content.classList.remove("active");
-  });
+function updateFilterSummary() {
+  filterBar.setHiddenCount(countHiddenParts(currentMessages, timeline.partFilter));
+}
 
-  document.querySelector(`[data-tab="${tabName}"]`).classList.add("active");
-  document.getElementById(`${tabName}-tab`).classList.add("active");
+// ========== Recherche dans la session ==========
+
+/**
+ * Ctrl+F: barre de recherche de la session (recherche du navigateur sans session)
+ */
+function findInSession() {
+  if (!currentSessionId) return false;
+  showTimeline();
+  sessionSearch.focus();
+}
+
+/**
+ * Élément de la part d'une occurrence, son message étant rendu au besoin
+ */
+function revealSearchMatch(match) {
+  showTimeline();
+  const messageEl = timeline.revealMessage(match.messageIndex);
+  const partEl = messageEl?.querySelector(`.part[data-part-key="${CSS.escape(match.partKey)}"]`) || null;
+  if (partEl?.classList.contains("filtered-out")) messageEl.classList.add("show-filtered");
+  return partEl;
+}
+
+/**
+ * Déplie le diff d'une part (occurrence dans un edit) et retourne son élément
+ */
+async function expandSearchMatchDiff(match, partEl) {
+  const toggleBtn = partEl.querySelector(":scope > .tool-header .diff-toggle-btn");
+  if (!toggleBtn) return null;
+  if (!toggleBtn.classList.contains("expanded")) {
+    const patchIndex = parseInt(toggleBtn.dataset.patchIndex);
+    await toggleDiffInTimeline(match.messageIndex, match.partIndex, toggleBtn, isNaN(patchIndex) ? -1 : patchIndex);
+  }
+  const diffEl = partEl.nextElementSibling;
+  return diffEl?.classList.contains("timeline-diff-inline") ? diffEl : null;
 }
 
 // ========== Modifications & Diff ==========
 
 let currentPatches = [];
+// Onglet Modifs: liste chronologique des edits ou historique par fichier
+let modsMode = "list";
+
+function setModsMode(mode) {
+  modsMode = mode;
+  document.querySelectorAll(".mods-mode-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.mode === mode);
+  });
+  document.getElementById("mods-content").classList.toggle("hidden", mode !== "list");
+  document.getElementById("file-history").classList.toggle("hidden", mode !== "files");
+  if (mode === "files" && currentSession) {
+    fileHistoryView.render(currentMessages, currentSession.directory, currentServerDiffs);
+  }
+}
+
+// Diffs serveur de la session affichée ([] tant qu'ils ne sont pas chargés)
+let currentServerDiffs = [];
 
 function renderModifications(messages) {
   const modsContent = document.getElementById("mods-content");
   currentPatches = [];
 
+  loadServerDiffs(messages);
+  renderModsSummary();
+
+  if (modsMode === "files") {
+    fileHistoryView.render(messages, currentSession?.directory, currentServerDiffs);
+  }
+
   const allDiffs = extractDiffsFromMessages(messages);
   
   if (allDiffs && allDiffs.length > 0) {
@@ -598,6 +2322,7 @@ function renderModifications(messages) {
         patchIndex: diff.patchIndex,
         msgIndex: diff.msgIndex,
         msgTime: diff.msgTime,
+        partKey: diff.partKey,
         file: diff.file,
       });
     });
@@ -606,47 +2331,56 @@ function renderModifications(messages) {
   renderModificationsList(modsContent);
 }
 
-function extractDiffsFromMessages(messages) {
-  const diffs = [];
-  let patchIndex = 0;
-  
-  if (!messages || !Array.isArray(messages)) {
-    return diffs;
-  }
-  
-  messages.forEach((msg, msgIndex) => {
-    const parts = msg.parts || msg.info?.parts || [];
-    const msgTime = msg.info?.time?.created || msg.time?.created || null;
-    
-    parts.forEach((part) => {
-      if (part.type === 'tool') {
-        const state = part.state || {};
-        const input = state.input || {};
-        
-        if (input.oldString !== undefined || input.newString !== undefined) {
-          const oldStr = input.oldString || '';
-          const newStr = input.newString || '';
-          
-          if (oldStr || newStr) {
-            const filePath = input.filePath || 'unknown';
-            
-            diffs.push({
-              patchIndex: patchIndex++,
-              msgIndex: msgIndex,
-              msgTime: msgTime,
-              file: filePath,
-            });
-          }
-        }
-      }
-    });
+/**
+ * Charge (ou relit dans le cache) les diffs serveur puis rafraîchit l'onglet s'ils ont changé
+ */
+function loadServerDiffs(messages) {
+  const sessionId = currentSessionId;
+  if (!sessionId) return;
+
+  serverDiffs.getSessionDiff(sessionId).then((diffs) => {
+    if (sessionId !== currentSessionId || diffs === currentServerDiffs) return;
+    currentServerDiffs = diffs;
+    renderModsSummary();
+    if (modsMode === "files") {
+      fileHistoryView.render(messages, currentSession?.directory, diffs);
+    }
+    renderModificationsList(document.getElementById("mods-content"));
   });
-  
-  return diffs;
+}
+
+/**
+ * Totaux de la session (session.summary, sinon somme des diffs serveur)
+ */
+function renderModsSummary() {
+  const summaryEl = document.getElementById("mods-summary");
+  const summary = summarizeDiffs(currentSession, currentServerDiffs);
+
+  summaryEl.classList.toggle("hidden", !summary);
+  if (!summary) return;
+
+  summaryEl.innerHTML = `
+    <span><strong>${summary.files}</strong> fichier(s)</span>
+    <span class="diff-add">+${summary.additions}</span>
+    <span class="diff-del">-${summary.deletions}</span>
+    <span class="mods-summary-source">${summary.fromServer ? "résumé de la session" : "diffs du serveur"}</span>
+  `;
+}
+
+/**
+ * Fichiers des diffs serveur qu'aucun edit/write ne couvre (bash, patch...)
+ */
+function findUntrackedServerDiffs() {
+  const directory = currentSession?.directory || "";
+  return currentServerDiffs.filter(
+    (diff) => !currentPatches.some((patch) => findFileDiff([diff], patch.file, directory)),
+  );
 }
 
 function renderModificationsList(modsContent) {
-  if (currentPatches.length === 0) {
+  const untracked = findUntrackedServerDiffs();
+
+  if (currentPatches.length === 0 && untracked.length === 0) {
     modsContent.innerHTML = '<div class="empty-stats">Aucune modification detectee</div>';
     return;
   }
@@ -656,7 +2390,7 @@ function renderModificationsList(modsContent) {
   
   modsContent.innerHTML = `
     <div class="mods-header">
-      <strong>${uniqueFiles.size} fichier(s) modifie(s)</strong>
+      <strong>${uniqueFiles.size + untracked.length} fichier(s) modifie(s)</strong>
     </div>
     <div class="mods-list">
     ${currentPatches
@@ -677,7 +2411,40 @@ function renderModificationsList(modsContent) {
       }
     )
     .join("")}
-    </div>`;
+    </div>
+    ${
+      untracked.length
+        ? `<div class="mods-untracked">
+            <div class="mods-untracked-title">Modifications hors outils d'édition</div>
+            ${untracked
+              .map(
+                (diff, index) => `
+              <details class="mod-server" data-diff-index="${index}">
+                <summary>
+                  <span class="mod-file">${escapeHtml(diff.file.split("/").pop())}</span>
+                  <span class="diff-add">+${diff.additions || 0}</span>
+                  <span class="diff-del">-${diff.deletions || 0}</span>
+                  <div class="mod-path">${escapeHtml(diff.file)}</div>
+                </summary>
+              </details>
+            `,
+              )
+              .join("")}
+          </div>`
+        : ""
+    }`;
+
+  // Diff rendu à la première ouverture
+  modsContent.querySelectorAll(".mod-server").forEach((item) => {
+    item.addEventListener("toggle", () => {
+      if (!item.open || item.querySelector(".mod-server-diff")) return;
+      const diff = untracked[parseInt(item.dataset.diffIndex)];
+      item.insertAdjacentHTML(
+        "beforeend",
+        `<div class="mod-server-diff">${renderDiffBlock({ file: diff.file, before: diff.before || "", after: diff.after || "" })}</div>`,
+      );
+    });
+  });
 
   modsContent.querySelectorAll(".mod-item").forEach((item) => {
     item.addEventListener("click", (e) => {
@@ -692,114 +2459,165 @@ function renderModificationsList(modsContent) {
   });
 }
 
-function scrollToMessage(msgIndex, patch) {
-  const timeline = document.getElementById('timeline');
-  const messages = timeline.querySelectorAll('.message');
-  
-  if (messages[msgIndex]) {
-    const diffId = patch.patchIndex;
-    const existingDiff = messages[msgIndex].querySelector(`.timeline-diff-inline[data-patch-index="${diffId}"]`);
-    
-    if (existingDiff) {
-      existingDiff.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      return;
-    }
-    
-    const messageEl = messages[msgIndex];
-    const domMsgId = messageEl.dataset.messageId;
-    const msgData = currentMessages.find(m => (m.info?.id || m.id) === domMsgId);
-    
-    if (msgData) {
-      const parts = msgData.parts || (msgData.info || {}).parts || [];
-      
-      for (const part of parts) {
-        if (part.type === 'tool') {
-          const state = part.state || {};
-          const input = state.input || {};
-          
-          if (input.filePath === patch.file && (input.oldString !== undefined || input.newString !== undefined)) {
-            const oldString = input.oldString || '';
-            const newString = input.newString || '';
-            
-            const newPatch = {
-              msgIndex: msgIndex,
-              file: patch.file,
-              before: oldString,
-              after: newString,
-              additions: newString.split('\n').length - oldString.split('\n').length,
-              deletions: 0,
-            };
-            
-            addDiffToMessage(messageEl, newPatch, -1, null, diffId);
-            
-            const newDiff = messageEl.querySelector(`.timeline-diff-inline[data-patch-index="${diffId}"]`);
-            if (newDiff) {
-              newDiff.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            }
-            return;
-          }
-        }
-      }
+async function scrollToMessage(msgIndex, patch) {
+  // Charge et rend le message s'il est hors de la partie affichée de la timeline
+  const messageEl = timeline.revealMessage(msgIndex);
+  if (!messageEl) return;
+
+  const diffId = patch.patchIndex;
+  const existingDiff = messageEl.querySelector(`.timeline-diff-inline[data-patch-index="${diffId}"]`);
+  if (existingDiff) {
+    existingDiff.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return;
+  }
+
+  const msgData = currentMessages.find(m => (m.info?.id || m.id) === messageEl.dataset.messageId);
+  const parts = msgData ? msgData.parts || (msgData.info || {}).parts || [] : [];
+  const partIndex = parts.findIndex((part, index) => (part.id || `${msgIndex}-${index}`) === patch.partKey);
+  if (partIndex < 0) return;
+
+  const change = await resolveFileChange(parts[partIndex]);
+  const toggleBtn = messageEl.querySelector(`.part-tool[data-part-index="${partIndex}"] .diff-toggle-btn`);
+  addDiffToMessage(messageEl, { ...change, msgIndex }, partIndex, toggleBtn, diffId, true);
+
+  const newDiff = messageEl.querySelector(`.timeline-diff-inline[data-patch-index="${diffId}"]`);
+  if (newDiff) {
+    newDiff.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+}
+
+/**
+ * Avant/après d'une part edit ou write: metadata.filediff, sinon les arguments de
+ * l'edit. Pour un write sans filediff, le contenu écrasé vient de l'historique du
+ * fichier, du diff serveur (première modification) ou en dernier recours du fichier
+ * actuel; label précise nouveau fichier / écrasement.
+ */
+async function resolveFileChange(part, { sessionId = currentSessionId, messages = currentMessages } = {}) {
+  const input = part.state?.input || {};
+  const file = input.filePath || "unknown";
+  const existed = part.state?.metadata?.exists;
+  const writeLabel = existed === false ? "Nouveau fichier" : "Écrasement";
+  const filediff = readFileDiff(part);
+
+  if (filediff) {
+    const created = existed === false || (existed === undefined && filediff.before === "");
+    const label = part.tool === "write" ? (created ? "Nouveau fichier" : "Écrasement") : "";
+    return { file, before: filediff.before, after: filediff.after, label };
+  }
+  if (part.tool !== "write") {
+    return { file, before: input.oldString || "", after: input.newString || "", label: "" };
+  }
+
+  const directory = (sessionId === currentSessionId ? currentSession : allSessions.find((s) => s.id === sessionId))?.directory || "";
+  const history = computeFileHistory(messages, directory).get(input.filePath);
+  const operations = (history?.operations || []).filter((op) => op.kind !== "patch");
+  const op = operations.find((candidate) => candidate.partKey === part.id);
+  if (op && op.before !== null) {
+    return { file, before: op.before, after: input.content, label: op.created ? "Nouveau fichier" : "Écrasement" };
+  }
+
+  // Première modification du fichier: le serveur connaît son état de début de session
+  if (op && operations[0] === op) {
+    const serverDiff = findFileDiff(await serverDiffs.getSessionDiff(sessionId), file, directory);
+    if (serverDiff) {
+      return { file, before: serverDiff.before || "", after: input.content, label: `${writeLabel} · contenu d'origine (serveur)` };
     }
   }
+
+  const current = await sourceForSession(sessionId).getFileContent(file);
+  const currentContent = typeof current === "string" ? current : current?.content;
+  if (typeof currentContent === "string" && currentContent !== input.content) {
+    return { file, before: currentContent, after: input.content, label: `${writeLabel} · comparé au fichier actuel` };
+  }
+  return { file, before: "", after: input.content, label: `${writeLabel} · contenu écrasé inconnu` };
+}
+
+/**
+ * Affiche sous une part patch le diff réel d'un de ses fichiers: diff serveur du
+ * message (rattaché au message utilisateur), sinon de la session, sinon des outils
+ */
+async function togglePatchFileDiff(link) {
+  const partEl = link.closest(".part-patch");
+  const messageEl = link.closest(".message");
+  if (!partEl || !messageEl) return;
+
+  const file = link.dataset.file;
+  const diffKey = `${link.dataset.patchId}:${file}`;
+  const existing = [...messageEl.querySelectorAll(".timeline-diff-inline.patch-diff")].find(
+    (el) => el.dataset.diffKey === diffKey,
+  );
+  if (existing) {
+    existing.classList.toggle("hidden");
+    link.classList.toggle("expanded", !existing.classList.contains("hidden"));
+    return;
+  }
+
+  const sessionId = currentSessionId;
+  const directory = currentSession?.directory || "";
+  const msg = currentMessages.find((m) => getMessageId(m) === messageEl.dataset.messageId);
+  const info = msg?.info || msg || {};
+
+  let diff = null;
+  if (info.parentID || info.id) {
+    diff = findFileDiff(await serverDiffs.getMessageDiff(sessionId, info.parentID || info.id), file, directory);
+  }
+  if (!diff) {
+    diff = findFileDiff(await serverDiffs.getSessionDiff(sessionId), file, directory);
+  }
+  if (!diff) {
+    const history = [...computeFileHistory(currentMessages, directory).values()].find(
+      (candidate) => candidate.base !== null && findFileDiff([{ file }], candidate.path, directory),
+    );
+    if (history) diff = { file: history.relative, before: history.base, after: history.content };
+  }
+  if (sessionId !== currentSessionId) return;
+
+  const diffContainer = document.createElement("div");
+  diffContainer.className = "timeline-diff-inline patch-diff";
+  diffContainer.dataset.diffKey = diffKey;
+  diffContainer.innerHTML = diff
+    ? renderDiffBlock({ file: diff.file, before: diff.before || "", after: diff.after || "" })
+    : `<div class="empty-stats">Diff indisponible pour ${escapeHtml(file)}</div>`;
+
+  // Les diffs déjà ouverts sous ce patch restent au-dessus
+  const siblings = messageEl.querySelectorAll(".timeline-diff-inline.patch-diff");
+  const anchor = [...siblings].filter((el) => el.dataset.diffKey.startsWith(`${link.dataset.patchId}:`)).pop() || partEl;
+  anchor.after(diffContainer);
+  link.classList.add("expanded");
 }
 
-function toggleDiffInTimeline(msgIndex, partIndex, toggleBtn, patchIndex) {
-  const timeline = document.getElementById('timeline');
-  const messagesEl = timeline.querySelectorAll('.message');
-  const messageEl = messagesEl[msgIndex];
+async function toggleDiffInTimeline(msgIndex, partIndex, toggleBtn, patchIndex) {
+  // Les index peuvent être décalés par les mises à jour en direct: on part du bouton
+  const messageEl = toggleBtn.closest('.message') || timeline.getMessageElement(msgIndex);
   
   if (!messageEl) return;
   
+  // Bouton d'un déroulé de sous-agent: le message est dans la session enfant
+  const transcript = findSubagentTranscript(toggleBtn);
+  const messages = transcript ? transcript.renderer.messages : currentMessages;
   const domMsgId = messageEl.dataset.messageId;
-  let msgData = currentMessages.find(m => (m.info?.id || m.id) === domMsgId);
+  let msgData = messages.find(m => (m.info?.id || m.id) === domMsgId);
   
   if (!msgData) return;
 
   const parts = msgData.parts || (msgData.info || {}).parts || [];
+  const fileParts = parts
+    .map((part, index) => ({ part, index }))
+    .filter(({ part }) => isFileChangePart(part));
   
-  const editToolParts = [];
-  parts.forEach((part, idx) => {
-    if (part.type === 'tool') {
-      const state = part.state || {};
-      const input = state.input || {};
-      if (input.oldString !== undefined || input.newString !== undefined) {
-        editToolParts.push({ part, index: idx });
-      }
-    }
-  });
-  
-  if (editToolParts.length === 0) return;
-  
-  const toolData = editToolParts[partIndex] || editToolParts[0];
-  const toolPart = toolData.part;
-  
-  const state = toolPart.state || {};
-  const input = state.input || {};
-  
-  const oldString = input.oldString;
-  const newString = input.newString;
-  
-  if (oldString === undefined && newString === undefined) return;
-  
-  const filePath = input.filePath || 'unknown';
-  const oldStr = oldString || '';
-  const newStr = newString || '';
-  
-  const additions = newStr.split('\n').length - oldStr.split('\n').length;
-  const deletions = additions < 0 ? -additions : 0;
-  const posAdditions = additions > 0 ? additions : 0;
-  
-  const patch = {
-    msgIndex: msgIndex,
-    file: filePath,
-    before: oldStr,
-    after: newStr,
-    additions: posAdditions,
-    deletions: deletions,
-  };
+  if (fileParts.length === 0) return;
   
+  const toolData = fileParts.find((t) => t.index === partIndex) || fileParts[0];
   const diffId = patchIndex >= 0 ? patchIndex : msgIndex;
+
+  // Diff déjà affiché: simple bascule, sans recalcul
+  if (messageEl.querySelector(`.timeline-diff-inline[data-patch-index="${diffId}"]`)) {
+    addDiffToMessage(messageEl, null, partIndex, toggleBtn, diffId, true);
+    return;
+  }
+
+  const context = transcript ? { sessionId: transcript.sessionId, messages } : {};
+  const patch = { ...(await resolveFileChange(toolData.part, context)), msgIndex };
   addDiffToMessage(messageEl, patch, partIndex, toggleBtn, diffId, true);
   messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
@@ -825,24 +2643,14 @@ function addDiffToMessage(messageEl, patch, partIndex = -1, toggleBtn = null, pa
   // If we get here, diff doesn't exist and we're not just toggling - create it
   if (isToggle) {
     // If toggle and no diff exists, create it visible
-    const diffHtml = renderInlineDiff(patch);
     const diffContainer = document.createElement('div');
     diffContainer.className = 'timeline-diff-inline';
     diffContainer.dataset.patchIndex = diffId;
-    diffContainer.innerHTML = `
-      <div class="timeline-diff-header">
-        <span class="timeline-diff-file">${escapeHtml(patch.file)}</span>
-        <span class="timeline-diff-stats">
-          <span class="diff-add">+${patch.additions || 0}</span>
-          <span class="diff-del">-${patch.deletions || 0}</span>
-        </span>
-      </div>
-      ${diffHtml}
-    `;
+    diffContainer.innerHTML = renderDiffBlock(patch);
     
     const toolParts = messageEl.querySelectorAll('.part-tool');
-    let toolPart = null;
-    if (toolParts.length > 0) {
+    let toolPart = toggleBtn ? toggleBtn.closest('.part-tool') : null;
+    if (!toolPart && toolParts.length > 0) {
       if (partIndex >= 0 && partIndex < toolParts.length) {
         toolPart = toolParts[partIndex];
       } else {
@@ -859,20 +2667,10 @@ function addDiffToMessage(messageEl, patch, partIndex = -1, toggleBtn = null, pa
     return;
   }
   
-  const diffHtml = renderInlineDiff(patch);
   const diffContainer = document.createElement('div');
   diffContainer.className = 'timeline-diff-inline';
   diffContainer.dataset.patchIndex = diffId;
-  diffContainer.innerHTML = `
-    <div class="timeline-diff-header">
-      <span class="timeline-diff-file">${escapeHtml(patch.file)}</span>
-      <span class="timeline-diff-stats">
-        <span class="diff-add">+${patch.additions || 0}</span>
-        <span class="diff-del">-${patch.deletions || 0}</span>
-      </span>
-    </div>
-    ${diffHtml}
-  `;
+  diffContainer.innerHTML = renderDiffBlock(patch);
   
   // Find the tool part and append diff after it
   const toolParts = messageEl.querySelectorAll('.part-tool');
@@ -895,136 +2693,330 @@ function addDiffToMessage(messageEl, patch, partIndex = -1, toggleBtn = null, pa
   }
 }
 
-function renderInlineDiff(patch) {
-  const before = patch.before || '';
-  const after = patch.after || '';
-  
-  if (!before && !after) {
-    return '<div class="empty-stats">Contenu non disponible</div>';
-  }
-  
-  const beforeLines = before.split('\n');
-  const afterLines = after.split('\n');
-  const diff = computeLineDiff(beforeLines, afterLines);
-  
-  let html = '<div class="inline-diff">';
-  
-  diff.forEach((item) => {
-    if (item.type === 'equal') {
-      html += `<div class="diff-line diff-equal"><span class="line-num">${item.oldLineNum || ''}</span><span class="line-content">${escapeHtml(item.line)}</span></div>`;
-    } else if (item.type === 'deleted') {
-      html += `<div class="diff-line diff-deleted"><span class="line-num">${item.oldLineNum || ''}</span><span class="line-content">- ${escapeHtml(item.line)}</span></div>`;
-    } else if (item.type === 'added') {
-      html += `<div class="diff-line diff-added"><span class="line-num">${item.newLineNum || ''}</span><span class="line-content">+ ${escapeHtml(item.line)}</span></div>`;
-    }
+// ========== Export ==========
+
+/**
+ * Ouvre l'export en patch: plage de tours (message utilisateur → fin du tour) et
+ * fichiers modifiés dans cette plage
+ */
+async function openPatchModal() {
+  if (!currentSession) return;
+
+  let start = 0;
+  const turns = splitTurns(currentMessages).map((turn, index) => {
+    const range = { index, start, end: start + turn.messages.length - 1, prompt: turn.prompt };
+    start += turn.messages.length;
+    return range;
   });
-  
-  html += '</div>';
-  return html;
+  const label = (turn) =>
+    `${turn.prompt !== undefined ? `Tour ${turn.index + 1}` : "Début"} (message ${turn.start + 1}) ${truncate(turn.prompt || "", 50)}`;
+
+  document.getElementById("patch-from").innerHTML = turns
+    .map((turn) => `<option value="${turn.start}">${escapeHtml(label(turn))}</option>`)
+    .join("");
+  document.getElementById("patch-to").innerHTML = turns
+    .map((turn, index) => `<option value="${turn.end}" ${index === turns.length - 1 ? "selected" : ""}>${escapeHtml(label(turn))}</option>`)
+    .join("");
+
+  document.getElementById("patch-modal").classList.add("active");
+  renderPatchFiles(await serverDiffs.getSessionDiff(currentSession.id));
 }
 
-function computeLineDiff(beforeLines, afterLines) {
-  const result = [];
-  const m = beforeLines.length;
-  const n = afterLines.length;
-  
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-  
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (beforeLines[i - 1] === afterLines[j - 1]) {
-        dp[i][j] = dp[i - 1][j - 1] + 1;
-      } else {
-        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-      }
-    }
+function closePatchModal() {
+  document.getElementById("patch-modal").classList.remove("active");
+}
+
+// Changements de la plage choisie, tous fichiers confondus
+let patchChanges = [];
+
+function renderPatchFiles(diffs = currentServerDiffs) {
+  const from = parseInt(document.getElementById("patch-from").value) || 0;
+  const to = Math.max(from, parseInt(document.getElementById("patch-to").value) || 0);
+
+  patchChanges = collectPatchChanges(currentMessages, {
+    from,
+    to,
+    directory: currentSession?.directory || "",
+    serverDiffs: diffs,
+  });
+
+  document.getElementById("patch-files").innerHTML = patchChanges.length
+    ? patchChanges
+        .map(
+          (change, index) => `
+        <label title="${escapeHtml(change.path)}">
+          <input type="checkbox" data-change-index="${index}" checked>
+          ${escapeHtml(change.relative)}
+          ${change.created ? '<span class="patch-file-note">nouveau</span>' : ""}
+          ${change.exact ? "" : '<span class="patch-file-note" title="Contenu complet inconnu: hunks sans contexte, à appliquer avec git apply --unidiff-zero">approximatif</span>'}
+        </label>
+      `,
+        )
+        .join("")
+    : '<div class="empty-stats">Aucune modification dans cette plage</div>';
+  renderPatchSummary();
+}
+
+function getSelectedPatchChanges() {
+  return [...document.querySelectorAll("#patch-files input:checked")].map(
+    (input) => patchChanges[parseInt(input.dataset.changeIndex)],
+  );
+}
+
+function renderPatchSummary() {
+  const changes = getSelectedPatchChanges();
+  const diff = buildUnifiedDiff(changes);
+
+  // git am refuse les hunks approximatifs: seul le diff unifié les exporte
+  const approximate = changes.some((change) => !change.exact);
+  const patchInput = document.querySelector('input[name="patch-format"][value="patch"]');
+  patchInput.disabled = approximate;
+  if (approximate && patchInput.checked) {
+    document.querySelector('input[name="patch-format"][value="diff"]').checked = true;
   }
-  
-  let i = m, j = n;
-  const lcs = [];
-  
-  while (i > 0 || j > 0) {
-    if (i > 0 && j > 0 && beforeLines[i - 1] === afterLines[j - 1]) {
-      lcs.push({ type: 'equal', line: beforeLines[i - 1], oldLineNum: i, newLineNum: j });
-      i--; j--;
-    } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
-      lcs.push({ type: 'added', line: afterLines[j - 1], newLineNum: j });
-      j--;
-    } else if (i > 0) {
-      lcs.push({ type: 'deleted', line: beforeLines[i - 1], oldLineNum: i });
-      i--;
+
+  document.getElementById("patch-summary").innerHTML = `
+    ${diff.files.length} fichier(s)
+    <span class="diff-add">+${diff.additions}</span>
+    <span class="diff-del">-${diff.deletions}</span>
+    ${approximate ? '<div class="patch-file-note">Fichiers approximatifs sélectionnés: diff unifié uniquement, à appliquer avec git apply --unidiff-zero</div>' : ""}
+  `;
+  document.getElementById("confirm-patch").disabled = diff.files.length === 0;
+}
+
+function downloadPatch() {
+  const changes = getSelectedPatchChanges();
+  if (!currentSession || changes.length === 0) return;
+
+  const format = document.querySelector('input[name="patch-format"]:checked').value;
+  const fromEl = document.getElementById("patch-from");
+  const toEl = document.getElementById("patch-to");
+  const from = parseInt(fromEl.value) + 1;
+  const to = Math.max(from, parseInt(toEl.value) + 1);
+  const wholeSession = from === 1 && to === currentMessages.length;
+
+  if (format === "patch") {
+    const content = buildFormatPatch(currentSession, changes, { range: wholeSession ? null : `${from}–${to}` });
+    downloadFile(patchFileName(currentSession), content, "text/x-patch");
+  } else {
+    const baseName = (currentSession.slug || currentSession.id).replace(/[^\w.-]+/g, "_");
+    downloadFile(`${baseName}.diff`, buildUnifiedDiff(changes).text, "text/x-diff");
+  }
+  closePatchModal();
+}
+
+function openExportModal() {
+  document.getElementById("export-modal").classList.add("active");
+}
+
+function closeExportModal() {
+  document.getElementById("export-modal").classList.remove("active");
+}
+
+async function exportCurrentSession() {
+  if (!currentSession) return;
+
+  const format = document.querySelector('input[name="export-format"]:checked').value;
+  const exporter = new SessionExporter({
+    includeReasoning: document.getElementById("export-reasoning").checked,
+    includeToolOutputs: document.getElementById("export-outputs").checked,
+    includeLargeContent: document.getElementById("export-large").checked,
+  });
+  const baseName = (currentSession.slug || currentSession.id).replace(/[^\w.-]+/g, "_");
+
+  try {
+    switch (format) {
+      case "html":
+        downloadFile(`${baseName}.html`, await exporter.toHTML(currentSession, currentMessages), "text/html");
+        break;
+      case "markdown":
+        downloadFile(`${baseName}.md`, exporter.toMarkdown(currentSession, currentMessages), "text/markdown");
+        break;
+      case "json":
+        downloadFile(
+          `${baseName}.json`,
+          exporter.toJSON(currentSession, currentMessages, await serverDiffs.getSessionDiff(currentSession.id)),
+          "application/json",
+        );
+        break;
     }
+    closeExportModal();
+  } catch (error) {
+    console.error("Erreur export:", error);
+    showError("Erreur lors de l'export de la session: " + error.message);
   }
-  
-  return lcs.reverse();
 }
 
 // ========== Settings Modal ==========
 
 function openSettingsModal() {
   const modal = document.getElementById("settings-modal");
-  const urlInput = document.getElementById("server-url");
 
-  urlInput.value = API_URL;
+  renderServerProfileInputs(serverSettings);
+  renderBindingInputs(shortcuts.bindings);
 
   modal.classList.add("active");
 }
 
+/**
+ * Champs des paramètres: un profil par ligne (serveur actif, santé, nom, URL)
+ */
+function renderServerProfileInputs(settings) {
+  const profiles = settings.profiles.length ? settings.profiles : [{ id: createProfileId(), name: "", url: "" }];
+  const activeId = profiles.some((profile) => profile.id === settings.activeId) ? settings.activeId : profiles[0].id;
+
+  document.getElementById("server-profiles").innerHTML = profiles
+    .map((profile) => {
+      const health = serverPool.getProfile(profile.id)?.url === profile.url ? serverPool.getHealth(profile.id) : { state: "unknown" };
+      return `
+      <div class="server-profile" data-id="${escapeHtml(profile.id)}">
+        <input type="radio" name="active-server" value="${escapeHtml(profile.id)}" ${profile.id === activeId ? "checked" : ""} title="Serveur actif">
+        <span class="server-health health-${health.state}" title="${escapeHtml(formatServerHealth(health))}"></span>
+        <input type="text" class="server-profile-name" value="${escapeHtml(profile.name)}" placeholder="Nom">
+        <input type="text" class="server-profile-url" value="${escapeHtml(profile.url)}" placeholder="http://localhost:3000">
+        ${profiles.length > 1 ? '<button type="button" class="btn-icon server-profile-remove" title="Retirer ce serveur">×</button>' : ""}
+      </div>
+    `;
+    })
+    .join("");
+  document.getElementById("merge-servers").checked = Boolean(settings.merged);
+}
+
+function readServerProfileInputs() {
+  const rows = [...document.querySelectorAll("#server-profiles .server-profile")];
+  return {
+    profiles: rows.map((row) => ({
+      id: row.dataset.id,
+      name: row.querySelector(".server-profile-name").value.trim(),
+      url: row.querySelector(".server-profile-url").value.trim(),
+    })),
+    activeId: document.querySelector('#server-profiles input[name="active-server"]:checked')?.value || null,
+    merged: document.getElementById("merge-servers").checked,
+  };
+}
+
+/**
+ * Teste les URL saisies (avant enregistrement) et affiche le résultat sur chaque ligne
+ */
+async function checkServerProfileInputs() {
+  const rows = [...document.querySelectorAll("#server-profiles .server-profile")];
+  await Promise.all(
+    rows.map(async (row) => {
+      const url = row.querySelector(".server-profile-url").value.trim();
+      const indicator = row.querySelector(".server-health");
+      if (!url) return;
+      indicator.className = "server-health health-connecting";
+      const alive = await pingServer(url);
+      const health = { state: alive ? "connected" : "error", checkedAt: Date.now() };
+      indicator.className = `server-health health-${health.state}`;
+      indicator.title = formatServerHealth(health);
+    }),
+  );
+}
+
 function closeSettingsModal() {
   const modal = document.getElementById("settings-modal");
   modal.classList.remove("active");
 }
 
 function saveSettings() {
-  const urlInput = document.getElementById("server-url");
-
-  const newURL = urlInput.value.trim();
-
-  if (!newURL) {
+  const input = readServerProfileInputs();
+  const missingUrl = input.profiles.find((profile) => profile.name && !profile.url);
+  if (missingUrl) {
+    alert(`Attention: L'URL du serveur ${missingUrl.name} ne peut pas être vide`);
+    return;
+  }
+  const settings = normalizeServerSettings(input);
+  if (settings.profiles.length === 0) {
     alert("Attention: L'URL du serveur ne peut pas être vide");
     return;
   }
 
-  localStorage.setItem("opencode_url", newURL);
-
-  API_URL = newURL;
-
-  if (unsubscribe) {
-    unsubscribe();
-    unsubscribe = null;
+  const bindings = readBindingInputs();
+  const conflict = findBindingConflict(bindings);
+  if (conflict) {
+    alert(`Attention: la touche ${formatKey(conflict)} est attribuée à plusieurs actions`);
+    return;
   }
-  client.closeEventSource();
-
-  client = new OpencodeClient(API_URL);
+  shortcuts.setBindings(bindings);
 
-  currentSessionId = null;
-  init();
+  // Les serveurs inchangés gardent leur client, leurs sessions et leur flux d'événements
+  serverSettings = settings;
+  saveServerSettings(serverSettings);
+  applyServerSettings();
 
   closeSettingsModal();
 
-  console.log(`Parametres sauvegardes: URL=${API_URL}`);
+  console.log(`Parametres sauvegardes: ${serverSettings.profiles.map((profile) => profile.url).join(", ")}`);
 }
 
 // ========== Utilitaires ==========
 
-function updateConnectionStatus(status) {
+let connectionCountdown = null;
+
+/**
+ * Barre d'état alignée sur le serveur décrit (session ouverte ou serveur actif)
+ */
+function refreshConnectionStatus() {
+  const serverId = statusServerId();
+  const connection = serverPool.getClient(serverId)?.connectionState;
+  if (connection && connection.state !== "idle") {
+    updateConnectionStatus(connection.state, connection);
+    return;
+  }
+  const { state } = serverPool.getHealth(serverId);
+  updateConnectionStatus(state === "connected" || state === "error" ? state : "connecting");
+}
+
+function updateConnectionStatus(status, details = {}) {
   const statusEl = document.getElementById("connection-status");
   const indicator = statusEl.querySelector(".status-indicator");
   const text = statusEl.querySelector(".status-text");
+  const retryBtn = document.getElementById("retry-connection-btn");
+
+  const profile = serverPool.getProfile(statusServerId());
+  const server = profile ? (serverSettings.profiles.length > 1 ? `${profile.name} (${profile.url})` : profile.url) : "";
 
   indicator.className = "status-indicator";
+  statusEl.classList.remove("attention");
+  retryBtn.classList.add("hidden");
+  if (connectionCountdown) {
+    clearInterval(connectionCountdown);
+    connectionCountdown = null;
+  }
 
   switch (status) {
     case "connected":
       indicator.classList.add("connected");
-      text.textContent = `Connecté à ${API_URL}`;
+      text.textContent = `Connecté à ${server}`;
       break;
     case "connecting":
-      text.textContent = `Connexion à ${API_URL}...`;
+      text.textContent = `Connexion à ${server}...`;
+      break;
+    case "reconnecting":
+    case "offline": {
+      indicator.classList.add(status === "offline" ? "error" : "reconnecting");
+      statusEl.classList.add("attention");
+      retryBtn.classList.remove("hidden");
+
+      const label = status === "offline" ? `Hors ligne (${server})` : `Reconnexion à ${server}`;
+      const renderCountdown = () => {
+        if (!details.retryAt) {
+          text.textContent = `${label}...`;
+          return;
+        }
+        const seconds = Math.max(0, Math.ceil((details.retryAt - Date.now()) / 1000));
+        text.textContent = `${label} - nouvelle tentative dans ${seconds}s (essai ${details.attempt})`;
+      };
+      renderCountdown();
+      if (details.retryAt) {
+        connectionCountdown = setInterval(renderCountdown, 1000);
+      }
       break;
+    }
     case "error":
       indicator.classList.add("error");
-      text.textContent = `Déconnecté de ${API_URL}`;
+      text.textContent = `Déconnecté de ${server}`;
       break;
   }
 }
@@ -1034,12 +3026,6 @@ function showError(message) {
   // TODO: Afficher une notification d'erreur
 }
 
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 function formatDate(timestamp) {
   if (!timestamp) return "N/A";
   const date = new Date(timestamp);
@@ -0,0 +1,196 @@
+/**
+ * Export des modifications d'une session en diff unifié (git apply) ou en patch
+ * au format `git format-patch` (git am), sur toute la session ou une plage de
+ * messages et un sous-ensemble de fichiers.
+ *
+ * Les fichiers dont on connaît le contenu entier donnent un seul diff avec des
+ * numéros de ligne exacts. Pour les autres (edits sur des extraits), chaque edit
+ * devient un hunk approximatif, sans contexte: `git apply --unidiff-zero` le place
+ * d'après son contenu. `git am` n'accepte pas ces hunks: le format-patch ne
+ * contient que les fichiers exacts.
+ */
+import { createUnifiedDiff, extractDiffsFromMessages } from './diff.js';
+import { computeFileHistory } from './file-history.js';
+import { reconcileDiffs } from './server-diffs.js';
+
+// Auteur des commits générés (git am exige un nom et une adresse)
+const PATCH_AUTHOR = 'OpenCode <opencode@localhost>';
+
+/**
+ * Changements par fichier entre les messages from et to (inclus):
+ * [{ path, relative, before, after, created, hunks, exact }]. hunks est renseigné
+ * (edits isolés) quand le contenu entier n'est pas connu; exact vaut alors false.
+ * Sur toute la session, les diffs du serveur priment s'ils couvrent le fichier et
+ * ajoutent les fichiers modifiés hors des edit/write (bash, parts patch).
+ */
+export function collectPatchChanges(messages, options = {}) {
+    const { directory = '', serverDiffs = [], files = null } = options;
+    const from = options.from ?? 0;
+    const to = options.to ?? (messages || []).length - 1;
+    const wholeSession = from === 0 && to >= (messages || []).length - 1;
+
+    const changedPaths = new Set(extractDiffsFromMessages(messages)
+        .filter(diff => diff.msgIndex >= from && diff.msgIndex <= to)
+        .map(diff => diff.file));
+    const history = computeFileHistory(messages, directory);
+    const serverEntries = new Map(wholeSession
+        ? reconcileDiffs(history, serverDiffs, directory).filter(entry => entry.server).map(entry => [entry.path, entry])
+        : []);
+    const changes = [];
+
+    new Set([...changedPaths, ...serverEntries.keys()]).forEach(path => {
+        if (files && !files.has(path)) return;
+        const file = history.get(path);
+        const operations = (file?.operations || [])
+            .filter(op => op.kind !== 'patch' && op.messageIndex >= from && op.messageIndex <= to);
+        const entry = serverEntries.get(path);
+
+        if (entry) {
+            const { server } = entry;
+            changes.push({
+                path,
+                relative: patchPath(entry.relative),
+                before: server.before || '',
+                after: server.after || '',
+                // Sans edit/write (bash, patch), un fichier vide au départ est un nouveau fichier
+                created: !server.before && (operations.length === 0 || operations[0].created === true),
+                exact: true,
+            });
+            return;
+        }
+        if (operations.length === 0) return;
+
+        const first = operations[0];
+        const last = operations[operations.length - 1];
+        const change = { path, relative: patchPath(file.relative), created: first.created === true, exact: true };
+
+        if (first.previous !== null && last.version !== null) {
+            change.before = first.previous;
+            change.after = last.version;
+        } else {
+            change.exact = false;
+            change.hunks = operations
+                .filter(op => op.before !== null)
+                .map(op => ({ before: op.before, after: op.after }));
+        }
+        changes.push(change);
+    });
+
+    return changes.sort((a, b) => a.relative.localeCompare(b.relative));
+}
+
+/**
+ * Diff unifié au format git (diff --git, new file mode, hunks) des changements
+ * Retourne { text, files, additions, deletions }
+ */
+export function buildUnifiedDiff(changes) {
+    const sections = [];
+    const stats = [];
+
+    changes.forEach(change => {
+        const diffs = change.exact
+            ? [createUnifiedDiff(change.created ? null : change.relative, change.relative, change.before, change.after, 3, { fullFiles: true })]
+            : change.hunks.map(hunk => createUnifiedDiff(change.relative, change.relative, hunk.before, hunk.after));
+        const changed = diffs.filter(diff => diff.text);
+        if (changed.length === 0) return;
+
+        const header = [`diff --git a/${change.relative} b/${change.relative}`];
+        if (change.created) header.push('new file mode 100644');
+        changed.forEach((diff, index) => {
+            // Les hunks approximatifs d'un même fichier partagent l'en-tête
+            const body = index === 0 ? diff.text : diff.text.split('\n').slice(2).join('\n');
+            sections.push(index === 0 ? `${header.join('\n')}\n${body}` : body);
+        });
+        stats.push({
+            relative: change.relative,
+            additions: changed.reduce((sum, diff) => sum + diff.additions, 0),
+            deletions: changed.reduce((sum, diff) => sum + diff.deletions, 0),
+        });
+    });
+
+    return {
+        text: sections.join(''),
+        files: stats,
+        additions: stats.reduce((sum, file) => sum + file.additions, 0),
+        deletions: stats.reduce((sum, file) => sum + file.deletions, 0),
+    };
+}
+
+/**
+ * Patch au format `git format-patch`: en-têtes mail, message de commit tiré du
+ * titre de la session, diffstat puis diff. À appliquer avec `git am`; les fichiers
+ * approximatifs en sont exclus (cités dans le message de commit).
+ */
+export function buildFormatPatch(session, changes, options = {}) {
+    const diff = buildUnifiedDiff(changes.filter(change => change.exact));
+    const date = new Date(options.date || session?.time?.updated || session?.time?.created || Date.now());
+    const subject = (session?.title || 'Modifications de la session').replace(/\s+/g, ' ').trim();
+    const approximate = changes.filter(change => !change.exact).map(change => change.relative);
+
+    const body = [
+        `Session OpenCode ${session?.id || ''}`.trim(),
+        options.range ? `Messages ${options.range}` : null,
+        approximate.length ? `\nNon inclus (hunks approximatifs, exporter le diff unifié pour git apply --unidiff-zero):\n${approximate.map(path => `  ${path}`).join('\n')}` : null,
+    ].filter(line => line !== null);
+
+    return [
+        'From 0000000000000000000000000000000000000000 Mon Sep 17 00:00:00 2001',
+        `From: ${PATCH_AUTHOR}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Subject: [PATCH] ${subject}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body.join('\n'),
+        '---',
+        formatDiffstat(diff),
+        '',
+        diff.text + '-- ',
+        'opencode-log-viewer',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Nom de fichier à la manière de format-patch: 0001-titre-de-la-session.patch
+ */
+export function patchFileName(session) {
+    const slug = (session?.title || session?.id || 'session')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\w]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 52);
+    return `0001-${slug || 'session'}.patch`;
+}
+
+/**
+ * Diffstat de git: une ligne par fichier puis le total
+ */
+function formatDiffstat(diff) {
+    const width = Math.max(0, ...diff.files.map(file => file.relative.length));
+    const largest = Math.max(0, ...diff.files.map(file => file.additions + file.deletions));
+    const scale = largest > 50 ? 50 / largest : 1;
+    const countWidth = String(largest).length;
+
+    const lines = diff.files.map(file => {
+        const total = file.additions + file.deletions;
+        const plus = Math.round(file.additions * scale);
+        const minus = Math.round(file.deletions * scale);
+        return ` ${file.relative.padEnd(width)} | ${String(total).padStart(countWidth)} ${'+'.repeat(plus)}${'-'.repeat(minus)}`;
+    });
+
+    const summary = [`${diff.files.length} file${diff.files.length === 1 ? '' : 's'} changed`];
+    if (diff.additions) summary.push(`${diff.additions} insertion${diff.additions === 1 ? '' : 's'}(+)`);
+    if (diff.deletions) summary.push(`${diff.deletions} deletion${diff.deletions === 1 ? '' : 's'}(-)`);
+    lines.push(` ${summary.join(', ')}`);
+    return lines.join('\n');
+}
+
+/**
+ * Chemin dans le patch: relatif au dossier de la session, sans / initial
+ */
+function patchPath(relative) {
+    return relative.replace(/^\/+/, '');
+}
@@ -0,0 +1,77 @@
+/**
+ * Registre des renderers de la timeline: un renderer par type de part et par nom
+ * d'outil. Les renderers des outils OpenCode sont dans tool-renderers.js.
+ *
+ * Ajouter un renderer pour un outil MCP maison, sans modifier le viewer: créer un
+ * module (ex. js/custom/mon-serveur.js) chargé avant main.js dans index.html
+ *
+ *     <script type="module" src="js/custom/mon-serveur.js"></script>
+ *
+ * qui enregistre ses renderers dans le registre par défaut:
+ *
+ *     import { renderers } from '../renderer-registry.js';
+ *
+ *     // Nom exact, ou expression régulière pour tous les outils d'un serveur MCP
+ *     renderers.registerTool(/^jira_/, (tool, view) => `
+ *         <div class="tool-args">Ticket <code>${view.escapeHtml(tool.args.key)}</code></div>
+ *         ${tool.hasResult ? `<pre class="tool-result">${view.escapeHtml(tool.output)}</pre>` : ''}
+ *     `);
+ *
+ * Un renderer d'outil reçoit tool = { name, args, state, status, output, hasResult,
+ * metadata, part, partKey, messageIndex, partIndex } et la TimelineRenderer (view:
+ * escapeHtml, formatToolResult, renderToolArgs, renderToolResult...). Il retourne le
+ * HTML du corps de la part, sous l'en-tête commun (nom, statut, boutons), ou null
+ * pour laisser le rendu générique. Le bouton "résultat" masque l'élément .tool-result.
+ *
+ * Un renderer de part reçoit (part, context) avec context = { view, messageIndex,
+ * partIndex, partKey } et retourne le HTML complet de la part.
+ */
+
+export class RendererRegistry {
+    constructor() {
+        this.partRenderers = new Map();
+        this.toolRenderers = new Map();
+        this.toolPatterns = [];
+        // Renderers livrés avec le viewer: un renderer enregistré par un module
+        // maison prime, quel que soit l'ordre de chargement
+        this.builtinPartRenderers = new Map();
+        this.builtinToolRenderers = new Map();
+    }
+
+    /**
+     * Enregistre le renderer d'un type de part (remplace le précédent)
+     */
+    registerPart(type, renderer, { builtin = false } = {}) {
+        (builtin ? this.builtinPartRenderers : this.partRenderers).set(type, renderer);
+        return this;
+    }
+
+    /**
+     * Enregistre le renderer d'un outil, par nom exact ou par expression régulière.
+     * Les noms exacts priment; parmi les expressions, la dernière enregistrée gagne.
+     */
+    registerTool(name, renderer, { builtin = false } = {}) {
+        if (name instanceof RegExp) {
+            this.toolPatterns.unshift({ pattern: name, renderer, builtin });
+        } else {
+            (builtin ? this.builtinToolRenderers : this.toolRenderers).set(name, renderer);
+        }
+        return this;
+    }
+
+    getPartRenderer(type) {
+        return this.partRenderers.get(type) || this.builtinPartRenderers.get(type) || null;
+    }
+
+    getToolRenderer(name) {
+        const match = builtin => this.toolPatterns.find(entry => entry.builtin === builtin && entry.pattern.test(name));
+        return this.toolRenderers.get(name)
+            || match(false)?.renderer
+            || this.builtinToolRenderers.get(name)
+            || match(true)?.renderer
+            || null;
+    }
+}
+
+// Registre partagé par toutes les timelines (viewer, exports, comparaison)
+export const renderers = new RendererRegistry();
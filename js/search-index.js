@@ -0,0 +1,374 @@
+/**
+ * Index de recherche plein texte sur toutes les sessions
+ *
+ * Chaque part (texte, raisonnement, appel d'outil) est indexée avec ses champs:
+ * text, reasoning, tool, cmd, file, input, output. L'index est construit en tâche
+ * de fond, session par session, et tenu à jour par les événements temps réel.
+ */
+import { collectErrors } from './session-stats.js';
+
+// Alias acceptés dans les requêtes "champ:valeur"
+const FIELD_ALIASES = {
+    text: 'text',
+    reasoning: 'reasoning',
+    tool: 'tool',
+    cmd: 'cmd',
+    command: 'cmd',
+    file: 'file',
+    path: 'file',
+    input: 'input',
+    args: 'input',
+    output: 'output',
+    title: 'title',
+};
+
+const SNIPPET_RADIUS = 40;
+const MAX_HITS_PER_SESSION = 5;
+
+export class SearchIndex {
+    constructor(client) {
+        this.client = client;
+        this.sessions = new Map();
+        this.entries = new Map();
+        // Erreurs par session (badge de la liste): sessionId -> Map(clé -> messageId)
+        this.errors = new Map();
+        this.building = false;
+        this.running = null;
+        // Sessions en attente d'indexation: sessionId -> session
+        this.queue = new Map();
+        this.current = null;
+        this.cancelled = false;
+        this.progressListeners = new Set();
+    }
+
+    /**
+     * Indexe en arrière-plan les sessions nouvelles ou modifiées depuis la dernière passe.
+     * Pendant une passe, les sessions à indexer sont mises en file et traitées à sa suite.
+     */
+    build(sessions) {
+        this.cancelled = false;
+        sessions.forEach(session => this.sessions.set(session.id, { ...this.sessions.get(session.id), session }));
+
+        sessions
+            .filter(session => this.sessions.get(session.id).indexedAt !== (session.time?.updated || 0))
+            .filter(session => !this.isIndexing(session))
+            .forEach(session => this.queue.set(session.id, session));
+
+        if (this.building) {
+            this.progress.total = this.progress.done + this.queue.size + (this.current ? 1 : 0);
+            this.notifyProgress();
+            return this.running;
+        }
+        if (this.queue.size === 0) {
+            this.notifyProgress();
+            return Promise.resolve();
+        }
+
+        this.building = true;
+        this.progress = { done: 0, total: this.queue.size };
+        this.notifyProgress();
+        this.running = this.drainQueue().finally(() => {
+            this.building = false;
+            this.running = null;
+            this.notifyProgress();
+        });
+        return this.running;
+    }
+
+    async drainQueue() {
+        while (this.queue.size > 0 && !this.cancelled) {
+            const [id, session] = this.queue.entries().next().value;
+            this.queue.delete(id);
+            this.current = session;
+            try {
+                const messages = await this.client.getSessionMessages(session.id);
+                this.indexSession(session, messages);
+            } catch (error) {
+                console.error(`Indexation impossible pour ${session.id}:`, error);
+            }
+            this.current = null;
+            this.progress.done++;
+            this.notifyProgress();
+            // Laisser respirer l'interface entre deux sessions
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        this.queue.clear();
+    }
+
+    /**
+     * Session en cours d'indexation, dans la même version
+     */
+    isIndexing(session) {
+        return this.current?.id === session.id && this.current.time?.updated === session.time?.updated;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * (Ré)indexe toutes les parts d'une session
+     */
+    indexSession(session, messages) {
+        this.entries.set(session.id, new Map());
+        this.errors.set(session.id, new Map(collectErrors(messages).map(error => [
+            error.partKey || `message:${error.messageId}`,
+            error.messageId,
+        ])));
+        (messages || []).forEach(msg => {
+            const info = msg.info || msg;
+            (msg.parts || info.parts || []).forEach((part, partIndex) => {
+                this.indexPart(session.id, info.id, part, partIndex);
+            });
+        });
+        this.sessions.set(session.id, { session, indexedAt: session.time?.updated || 0 });
+    }
+
+    /**
+     * Indexe (ou remplace) une part
+     */
+    indexPart(sessionId, messageId, part, partIndex = 0) {
+        const fields = this.extractFields(part);
+        if (!fields) return;
+
+        if (!this.entries.has(sessionId)) {
+            this.entries.set(sessionId, new Map());
+        }
+        const key = part.id || `${messageId}-${partIndex}`;
+        this.entries.get(sessionId).set(key, {
+            sessionId,
+            messageId,
+            partId: key,
+            type: part.type,
+            fields,
+            lowered: Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, value.toLowerCase()])),
+        });
+    }
+
+    /**
+     * Nombre d'erreurs connues d'une session (0 si elle n'est pas encore indexée)
+     */
+    getErrorCount(sessionId) {
+        return this.errors.get(sessionId)?.size || 0;
+    }
+
+    /**
+     * Note ou retire une erreur d'une session indexée
+     */
+    setError(sessionId, key, messageId, failed) {
+        const errors = this.errors.get(sessionId);
+        if (!errors) return;
+        if (failed) errors.set(key, messageId);
+        else errors.delete(key);
+    }
+
+    /**
+     * Extrait les champs indexables d'une part (null si rien à indexer)
+     */
+    extractFields(part) {
+        switch (part.type) {
+            case 'text':
+                return part.text ? { text: part.text } : null;
+
+            case 'reasoning':
+                return part.text ? { reasoning: part.text } : null;
+
+            case 'tool': {
+                const name = typeof part.tool === 'string' ? part.tool : (part.tool?.name || 'unknown');
+                const state = part.state || {};
+                const input = state.input || {};
+                const fields = { tool: name };
+                if (input.command) fields.cmd = String(input.command);
+                const file = input.filePath || input.path || input.pattern || state.metadata?.filepath;
+                if (file) fields.file = String(file);
+                if (Object.keys(input).length > 0) fields.input = JSON.stringify(input);
+                const output = state.output ?? state.error;
+                if (output) fields.output = typeof output === 'string' ? output : JSON.stringify(output);
+                return fields;
+            }
+
+            case 'patch':
+                return part.files?.length ? { file: part.files.join('\n') } : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Tient l'index à jour à partir d'un événement du flux /event
+     */
+    applyEvent(event) {
+        const props = event.properties || {};
+        switch (event.type) {
+            case 'message.part.updated':
+                if (props.part?.sessionID && this.entries.has(props.part.sessionID)) {
+                    const part = props.part;
+                    this.indexPart(part.sessionID, part.messageID, part);
+                    if (part.id) {
+                        const failed = (part.type === 'tool' && part.state?.status === 'error')
+                            || (part.type === 'step-finish' && Boolean(part.error));
+                        this.setError(part.sessionID, part.id, part.messageID, failed);
+                    }
+                }
+                break;
+
+            case 'message.updated': {
+                const info = props.info || {};
+                if (info.id) {
+                    this.setError(info.sessionID, `message:${info.id}`, info.id, Boolean(info.error) || info.finish === 'error');
+                }
+                break;
+            }
+
+            case 'message.part.removed':
+                this.entries.get(props.sessionID)?.delete(props.partID);
+                this.errors.get(props.sessionID)?.delete(props.partID);
+                break;
+
+            case 'message.removed':
+                this.entries.get(props.sessionID)?.forEach((entry, key, map) => {
+                    if (entry.messageId === props.messageID) map.delete(key);
+                });
+                this.errors.get(props.sessionID)?.forEach((messageId, key, map) => {
+                    if (messageId === props.messageID) map.delete(key);
+                });
+                break;
+
+            case 'session.updated': {
+                const known = this.sessions.get(props.info?.id);
+                if (known) known.session = { ...known.session, ...props.info };
+                break;
+            }
+
+            case 'session.deleted':
+                this.sessions.delete(props.info?.id);
+                this.entries.delete(props.info?.id);
+                this.errors.delete(props.info?.id);
+                break;
+        }
+    }
+
+    /**
+     * Découpe une requête en termes: mots, "phrases exactes" et champ:valeur
+     * (ex: tool:bash file:src/api.ts "npm publish")
+     */
+    parseQuery(query) {
+        const terms = [];
+        const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [raw, fieldName, phrase, word] = match;
+            const field = fieldName ? FIELD_ALIASES[fieldName.toLowerCase()] : null;
+            // Un préfixe inconnu fait partie du mot recherché (ex: "http://...")
+            const value = fieldName && !field ? raw.replace(/"/g, '') : (phrase ?? word);
+            if (value) {
+                terms.push({ field, value: value.toLowerCase() });
+            }
+        }
+
+        return terms;
+    }
+
+    /**
+     * Recherche les sessions dont le contenu satisfait tous les termes.
+     * Retourne une Map sessionId -> { session, hits: [{ messageId, partId, field, snippet }] }
+     */
+    search(query) {
+        const terms = this.parseQuery(query || '');
+        const results = new Map();
+        if (terms.length === 0) return results;
+
+        this.sessions.forEach(({ session }, sessionId) => {
+            const entries = [...(this.entries.get(sessionId)?.values() || [])];
+            const title = (session.title || '').toLowerCase();
+            const matched = new Set();
+            const hits = [];
+
+            entries.forEach(entry => {
+                let hitField = null;
+                terms.forEach((term, termIndex) => {
+                    const field = this.matchTerm(entry, term);
+                    if (field) {
+                        matched.add(termIndex);
+                        // Le nom de l'outil seul fait un extrait pauvre: préférer un autre champ
+                        if (!hitField || hitField === 'tool') hitField = field;
+                    }
+                });
+                if (hitField) {
+                    hits.push({
+                        messageId: entry.messageId,
+                        partId: entry.partId,
+                        type: entry.type,
+                        field: hitField,
+                        snippet: this.makeSnippet(entry, hitField, terms),
+                    });
+                }
+            });
+
+            terms.forEach((term, termIndex) => {
+                if ((!term.field || term.field === 'title') && title.includes(term.value)) {
+                    matched.add(termIndex);
+                }
+            });
+
+            if (matched.size === terms.length) {
+                results.set(sessionId, {
+                    session,
+                    total: hits.length,
+                    hits: hits.slice(0, MAX_HITS_PER_SESSION),
+                });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Retourne le nom du champ de l'entrée qui contient le terme (ou null)
+     */
+    matchTerm(entry, term) {
+        if (term.field === 'title') return null;
+        if (term.field) {
+            return entry.lowered[term.field]?.includes(term.value) ? term.field : null;
+        }
+        return Object.keys(entry.lowered).find(name => entry.lowered[name].includes(term.value)) || null;
+    }
+
+    /**
+     * Extrait un court passage autour de la première occurrence
+     */
+    makeSnippet(entry, field, terms) {
+        const text = entry.fields[field];
+        const lowered = entry.lowered[field];
+        const term = terms.find(t => lowered.includes(t.value));
+        const index = term ? lowered.indexOf(term.value) : 0;
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, index + (term?.value.length || 0) + SNIPPET_RADIUS);
+
+        return {
+            before: (start > 0 ? '…' : '') + text.slice(start, index).replace(/\s+/g, ' '),
+            match: text.slice(index, index + (term?.value.length || 0)),
+            after: text.slice(index + (term?.value.length || 0), end).replace(/\s+/g, ' ') + (end < text.length ? '…' : ''),
+        };
+    }
+
+    /**
+     * S'abonne à l'avancement de l'indexation
+     */
+    onProgress(callback) {
+        this.progressListeners.add(callback);
+        return () => this.progressListeners.delete(callback);
+    }
+
+    notifyProgress() {
+        const status = {
+            building: this.building,
+            done: this.progress?.done || 0,
+            total: this.progress?.total || 0,
+            sessions: this.entries.size,
+        };
+        this.progressListeners.forEach(listener => listener(status));
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Diffs calculés par le serveur OpenCode (GET /session/:id/diff, éventuellement
+ * limité à un message avec ?messageID=). Ils couvrent toutes les modifications,
+ * y compris celles faites par bash ou un patch, là où les entrées d'outils ne
+ * montrent que les edit/write.
+ *
+ * Un diff serveur: { file, before, after, additions, deletions }, file étant
+ * relatif au dossier de la session.
+ */
+
+export class ServerDiffCache {
+    constructor(getSource) {
+        this.getSource = getSource;
+        this.entries = new Map();
+    }
+
+    /**
+     * Diffs de la session entière
+     */
+    getSessionDiff(sessionId) {
+        return this.load(sessionId, null);
+    }
+
+    /**
+     * Diffs produits par un message (le serveur les rattache au message utilisateur)
+     */
+    getMessageDiff(sessionId, messageId) {
+        return this.load(sessionId, messageId);
+    }
+
+    load(sessionId, messageId) {
+        const key = `${sessionId}:${messageId || ''}`;
+        if (!this.entries.has(key)) {
+            const request = Promise.resolve(this.getSource(sessionId).getSessionDiff(sessionId, messageId || undefined))
+                .then(diffs => (Array.isArray(diffs) ? diffs : []))
+                .catch(error => {
+                    console.error('Erreur chargement des diffs serveur:', error);
+                    this.entries.delete(key);
+                    return [];
+                });
+            this.entries.set(key, request);
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Oublie les diffs d'une session (nouveau patch, fin d'étape...)
+     */
+    invalidate(sessionId) {
+        [...this.entries.keys()]
+            .filter(key => key.startsWith(`${sessionId}:`))
+            .forEach(key => this.entries.delete(key));
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Diff d'un fichier dans une liste de diffs serveur (chemin absolu ou relatif)
+ */
+export function findFileDiff(diffs, path, directory = '') {
+    const relative = relativeTo(path, directory);
+    return (diffs || []).find(diff => {
+        return diff.file === path || diff.file === relative || path.endsWith(`/${diff.file}`);
+    }) || null;
+}
+
+/**
+ * Rapproche les fichiers modifiés par les outils et les diffs du serveur:
+ * [{ path, relative, server, tool }] où server est le diff serveur (ou null) et tool
+ * l'historique issu des outils (ou null: modification par bash, patch...)
+ */
+export function reconcileDiffs(toolFiles, serverDiffs, directory = '') {
+    const root = (directory || '').replace(/\/$/, '');
+    const entries = [];
+    const matched = new Set();
+
+    toolFiles.forEach((history, path) => {
+        const server = findFileDiff(serverDiffs, path, directory);
+        if (server) matched.add(server);
+        entries.push({ path, relative: relativeTo(path, directory), server, tool: history });
+    });
+
+    (serverDiffs || []).forEach(diff => {
+        if (matched.has(diff)) return;
+        const path = diff.file.startsWith('/') || !root ? diff.file : `${root}/${diff.file}`;
+        entries.push({ path, relative: relativeTo(path, directory), server: diff, tool: null });
+    });
+
+    return entries;
+}
+
+/**
+ * Totaux de la session: summary du serveur si présent, sinon somme des diffs
+ */
+export function summarizeDiffs(session, serverDiffs) {
+    const summary = session?.summary;
+    if (summary && (summary.additions !== undefined || summary.files !== undefined)) {
+        return {
+            additions: summary.additions || 0,
+            deletions: summary.deletions || 0,
+            files: Array.isArray(summary.files) ? summary.files.length : (summary.files || 0),
+            fromServer: true,
+        };
+    }
+    if (!serverDiffs || serverDiffs.length === 0) return null;
+    return {
+        additions: serverDiffs.reduce((sum, diff) => sum + (diff.additions || 0), 0),
+        deletions: serverDiffs.reduce((sum, diff) => sum + (diff.deletions || 0), 0),
+        files: serverDiffs.length,
+        fromServer: false,
+    };
+}
+
+/**
+ * Chemin relatif au dossier de la session (inchangé s'il est en dehors)
+ */
+export function relativeTo(path, directory) {
+    const root = (directory || '').replace(/\/$/, '');
+    if (root && path.startsWith(`${root}/`)) return path.slice(root.length + 1);
+    return path;
+}
@@ -0,0 +1,163 @@
+/**
+ * Profils de serveurs OpenCode: plusieurs serveurs nommés (par exemple un
+ * conteneur par projet), un OpencodeClient par profil et l'état de santé de
+ * chacun.
+ *
+ * Réglages: { profiles: [{ id, name, url }], activeId, merged }. merged affiche
+ * les sessions de tous les serveurs dans une seule liste; sinon seul le serveur
+ * actif est listé.
+ */
+import { OpencodeClient } from './api-client.js';
+
+const SETTINGS_STORAGE_KEY = 'opencode_servers';
+// Ancien réglage à un seul serveur, repris comme premier profil
+const LEGACY_URL_STORAGE_KEY = 'opencode_url';
+
+export const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+export function loadServerSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+        if (stored?.profiles?.length) return normalizeServerSettings(stored);
+    } catch (error) {
+        console.error('Profils de serveurs illisibles:', error);
+    }
+
+    const url = localStorage.getItem(LEGACY_URL_STORAGE_KEY) || DEFAULT_SERVER_URL;
+    return normalizeServerSettings({ profiles: [{ id: 'default', name: '', url }] });
+}
+
+export function saveServerSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(normalizeServerSettings(settings)));
+}
+
+/**
+ * Réglages complétés: profils sans URL écartés, noms par défaut, serveur actif valide
+ */
+export function normalizeServerSettings(settings) {
+    const profiles = (settings?.profiles || [])
+        .filter(profile => profile?.url?.trim())
+        .map(profile => ({
+            id: profile.id || createProfileId(),
+            name: profile.name?.trim() || defaultProfileName(profile.url),
+            url: profile.url.trim().replace(/\/+$/, ''),
+        }));
+    const activeId = profiles.some(profile => profile.id === settings?.activeId) ? settings.activeId : profiles[0]?.id || null;
+
+    return { profiles, activeId, merged: Boolean(settings?.merged) };
+}
+
+export function createProfileId() {
+    return `srv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Nom par défaut d'un profil: hôte et port de son URL
+ */
+export function defaultProfileName(url) {
+    try {
+        return new URL(url).host || url;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Teste une URL de serveur sans créer de profil (paramètres)
+ */
+export function pingServer(url) {
+    return new OpencodeClient(url.trim().replace(/\/+$/, '')).ping();
+}
+
+/**
+ * Clients des profils et état de santé de chaque serveur:
+ * { state: connecting | connected | reconnecting | offline | error, checkedAt }
+ */
+export class ServerPool {
+    constructor() {
+        this.profiles = [];
+        this.clients = new Map();
+        this.health = new Map();
+        this.healthListeners = new Set();
+    }
+
+    /**
+     * Aligne les clients sur les profils: un client par profil, fermé et recréé
+     * si son URL change. Retourne les identifiants des clients fermés.
+     */
+    setProfiles(profiles) {
+        const closed = [];
+        this.clients.forEach((client, id) => {
+            const profile = profiles.find(candidate => candidate.id === id);
+            if (profile && profile.url === client.baseURL) return;
+            client.closeEventSource();
+            this.clients.delete(id);
+            this.health.delete(id);
+            closed.push(id);
+        });
+
+        profiles.forEach(profile => {
+            if (this.clients.has(profile.id)) return;
+            const client = new OpencodeClient(profile.url);
+            // Un flux d'événements ouvert renseigne la santé en continu
+            client.onConnectionChange(connection => {
+                if (this.clients.get(profile.id) === client) this.setHealth(profile.id, connection.state);
+            });
+            this.clients.set(profile.id, client);
+        });
+
+        this.profiles = profiles;
+        this.notifyHealth();
+        return closed;
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getClient(id) {
+        return this.clients.get(id) || null;
+    }
+
+    getHealth(id) {
+        return this.health.get(id) || { state: 'unknown', checkedAt: null };
+    }
+
+    /**
+     * Teste les serveurs sans flux d'événements ouvert (les autres sont suivis par
+     * leur flux). Retourne une Map id -> joignable.
+     */
+    async checkHealth() {
+        const results = new Map();
+        await Promise.all(this.profiles.map(async profile => {
+            const client = this.clients.get(profile.id);
+            const streaming = !client.stopped && client.connectionState.state !== 'idle';
+            if (streaming && client.connectionState.state === 'connected') {
+                results.set(profile.id, true);
+                return;
+            }
+            if (!streaming) this.setHealth(profile.id, 'connecting');
+            const alive = await client.ping();
+            results.set(profile.id, alive);
+            if (!streaming || alive) this.setHealth(profile.id, alive ? 'connected' : 'error');
+        }));
+        return results;
+    }
+
+    setHealth(id, state) {
+        this.health.set(id, { state, checkedAt: Date.now() });
+        this.notifyHealth();
+    }
+
+    /**
+     * S'abonne aux changements de santé des serveurs
+     */
+    onHealthChange(callback) {
+        this.healthListeners.add(callback);
+        return () => this.healthListeners.delete(callback);
+    }
+
+    notifyHealth() {
+        this.healthListeners.forEach(listener => listener(this.health));
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * Export d'une session: page HTML autonome, transcript Markdown ou bundle JSON
+ * (ré-importable dans le viewer via la source "fichier")
+ */
+import { TimelineRenderer } from './timeline-renderer.js';
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from './data-sources.js';
+import { createUnifiedDiff, renderDiffBlock, languageForPath } from './diff.js';
+import { readFileDiff } from './file-history.js';
+import { relativeTo } from './server-diffs.js';
+
+// Au-delà, les contenus de fichiers et sorties d'outils sont tronqués (sauf option contraire)
+const LARGE_CONTENT_LIMIT = 10000;
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    includeReasoning: true,
+    includeToolOutputs: true,
+    includeLargeContent: false,
+};
+
+export class SessionExporter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    }
+
+    /**
+     * Copie les messages en appliquant les options (raisonnement, sorties, gros contenus)
+     */
+    prepareMessages(messages) {
+        const copy = JSON.parse(JSON.stringify(messages || []));
+
+        copy.forEach(msg => {
+            const holder = msg.parts ? msg : (msg.info || msg);
+            holder.parts = (holder.parts || []).filter(part => {
+                return part.type !== 'reasoning' || this.options.includeReasoning;
+            });
+
+            holder.parts.forEach(part => {
+                if (part.type === 'tool' && part.state) {
+                    if (!this.options.includeToolOutputs) {
+                        delete part.state.output;
+                    }
+                    if (!this.options.includeLargeContent) {
+                        const input = part.state.input || {};
+                        ['content', 'oldString', 'newString'].forEach(key => {
+                            if (typeof input[key] === 'string') input[key] = this.truncate(input[key]);
+                        });
+                        if (typeof part.state.output === 'string') {
+                            part.state.output = this.truncate(part.state.output);
+                        }
+                    }
+                }
+
+                if (part.type === 'file' && part.source?.text?.value && !this.options.includeLargeContent) {
+                    part.source.text.value = this.truncate(part.source.text.value);
+                }
+            });
+        });
+
+        return copy;
+    }
+
+    truncate(text) {
+        if (text.length <= LARGE_CONTENT_LIMIT) return text;
+        return `${text.slice(0, LARGE_CONTENT_LIMIT)}\n… [${text.length - LARGE_CONTENT_LIMIT} caractères omis]`;
+    }
+
+    /**
+     * Bundle JSON: session + messages (+ diffs serveur), ré-ouvrable par le viewer
+     */
+    toJSON(session, messages, diff = []) {
+        const { source, importedFrom, status, ...cleanSession } = session;
+        return JSON.stringify({
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            options: this.options,
+            session: cleanSession,
+            messages: this.prepareMessages(messages),
+            ...(diff.length > 0 ? { diff } : {}),
+        }, null, 2);
+    }
+
+    /**
+     * Transcript Markdown: textes, outils en blocs de code, edits en diffs unifiés
+     */
+    toMarkdown(session, messages) {
+        const renderer = new TimelineRenderer(null);
+        const prepared = this.prepareMessages(messages);
+        const lines = [
+            `# ${session.title || 'Sans titre'}`,
+            '',
+            '| | |',
+            '|---|---|',
+            `| Session | \`${session.id}\` |`,
+            session.directory ? `| Répertoire | \`${session.directory}\` |` : null,
+            `| Créée le | ${renderer.formatTime(session.time?.created)} |`,
+            `| Messages | ${prepared.length} |`,
+            '',
+        ].filter(line => line !== null);
+
+        prepared.forEach(msg => {
+            const info = msg.info || msg;
+            const parts = msg.parts || info.parts || [];
+            const heading = [renderer.getRoleName(info.role), renderer.formatTime(info.time?.created)];
+            if (info.role === 'assistant') {
+                if (info.modelID) heading.push(info.modelID);
+                if (info.time?.created && info.time?.completed) {
+                    heading.push(renderer.formatDuration(info.time.completed - info.time.created));
+                }
+                if (info.tokens) {
+                    const total = info.tokens.total || ((info.tokens.input || 0) + (info.tokens.output || 0) + (info.tokens.reasoning || 0));
+                    heading.push(`${total} tok`);
+                }
+            }
+
+            lines.push('---', '', `### ${heading.filter(Boolean).join(' · ')}`, '');
+            if (info.error) {
+                lines.push(`> **Erreur ${info.error.name || ''}**: ${info.error.data?.message || ''}`, '');
+            }
+            parts.forEach(part => lines.push(...this.partToMarkdown(part, session)));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    partToMarkdown(part, session) {
+        switch (part.type) {
+            case 'text':
+                return part.text ? [part.text, ''] : [];
+
+            case 'reasoning':
+                return [
+                    '<details><summary>Raisonnement</summary>',
+                    '',
+                    part.text || '',
+                    '',
+                    '</details>',
+                    '',
+                ];
+
+            case 'tool':
+                return this.toolToMarkdown(part, session);
+
+            case 'file':
+                return [`**Fichier** \`${part.source?.path || part.filename || ''}\``, ''];
+
+            case 'patch':
+                return [`**Patch** \`${part.hash || ''}\`: ${(part.files || []).map(f => `\`${f}\``).join(', ')}`, ''];
+
+            case 'step-finish':
+                return part.error ? [`> Fin d'étape en erreur: ${part.error}`, ''] : [];
+
+            default:
+                return [];
+        }
+    }
+
+    toolToMarkdown(part, session) {
+        const name = typeof part.tool === 'string' ? part.tool : (part.tool?.name || 'unknown');
+        const state = part.state || {};
+        const input = state.input || {};
+        const lines = [`**Outil \`${name}\`**${state.status ? ` (${state.status})` : ''}`, ''];
+
+        if (input.oldString !== undefined || input.newString !== undefined) {
+            const path = diffPath(input.filePath, session.directory);
+            const diff = createUnifiedDiff(path, path, input.oldString || '', input.newString || '');
+            lines.push(fence(diff.text, 'diff'), '');
+        } else if (name === 'write' && readFileDiff(part)?.before) {
+            // Écrasement: diff avec le contenu précédent
+            const path = diffPath(input.filePath, session.directory);
+            const filediff = readFileDiff(part);
+            lines.push(fence(createUnifiedDiff(path, path, filediff.before, filediff.after).text, 'diff'), '');
+        } else if (name === 'write' && input.content !== undefined) {
+            lines.push(`\`${input.filePath || ''}\``, '', fence(input.content, languageForPath(input.filePath)), '');
+        } else if (input.command) {
+            lines.push(fence(input.command, 'bash'), '');
+        } else if (Object.keys(input).length > 0) {
+            lines.push(fence(JSON.stringify(input, null, 2), 'json'), '');
+        }
+
+        const output = state.output ?? state.error;
+        if (output !== undefined && output !== null && output !== '') {
+            const text = typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+            lines.push('<details><summary>Résultat</summary>', '', fence(text, ''), '', '</details>', '');
+        }
+
+        return lines;
+    }
+
+    /**
+     * Page HTML autonome: rendu de la timeline, diffs dépliés et CSS intégrées
+     */
+    async toHTML(session, messages) {
+        const prepared = this.prepareMessages(messages);
+        const container = document.createElement('div');
+        container.className = 'timeline';
+        // Rendu complet: la page exportée n'a pas de chargement progressif
+        const renderer = new TimelineRenderer(container, { virtualize: false });
+        renderer.render(prepared);
+
+        // Déplier les diffs des outils d'édition sous leur part
+        prepared.forEach((msg, messageIndex) => {
+            (msg.parts || msg.info?.parts || []).forEach((part, partIndex) => {
+                const input = part.state?.input || {};
+                if (part.type !== 'tool' || (input.oldString === undefined && input.newString === undefined)) return;
+
+                const key = renderer.getPartKey(part, messageIndex, partIndex);
+                const partEl = container.querySelector(`.part[data-part-key="${CSS.escape(key)}"]`);
+                if (!partEl) return;
+
+                const diffEl = document.createElement('div');
+                diffEl.className = 'timeline-diff-inline';
+                diffEl.innerHTML = renderDiffBlock({
+                    file: input.filePath || 'unknown',
+                    before: input.oldString || '',
+                    after: input.newString || '',
+                });
+                partEl.after(diffEl);
+                partEl.querySelector('.diff-toggle-btn')?.classList.add('expanded');
+            });
+        });
+
+        const styles = await collectStylesheets();
+        const title = renderer.escapeHtml(session.title || 'Sans titre');
+
+        return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+${styles}
+body { overflow: auto; }
+.export-page { max-width: 1100px; margin: 0 auto; }
+.export-page .timeline { overflow: visible; }
+.export-meta { color: #888; font-size: 0.85rem; margin-top: 0.25rem; }
+</style>
+</head>
+<body>
+<div class="export-page">
+<header class="session-header">
+<h1>${title}</h1>
+<div class="export-meta">${renderer.escapeHtml(session.id)}${session.directory ? ` · ${renderer.escapeHtml(session.directory)}` : ''} · ${renderer.formatTime(session.time?.created)} · exporté le ${renderer.formatTime(Date.now())}</div>
+</header>
+${container.outerHTML}
+</div>
+<script>
+document.addEventListener('click', function (e) {
+    var resultBtn = e.target.closest('.result-toggle-btn');
+    if (resultBtn) {
+        var result = resultBtn.closest('.part-tool').querySelector('.tool-result');
+        if (result) { result.classList.toggle('hidden'); resultBtn.classList.toggle('expanded'); }
+        return;
+    }
+    var layoutBtn = e.target.closest('.diff-layout-btn');
+    if (layoutBtn) {
+        document.querySelectorAll('.inline-diff').forEach(function (diff) { diff.dataset.layout = layoutBtn.dataset.layout; });
+        document.querySelectorAll('.diff-layout-btn').forEach(function (btn) { btn.classList.toggle('active', btn.dataset.layout === layoutBtn.dataset.layout); });
+        return;
+    }
+    var diffBtn = e.target.closest('.diff-toggle-btn');
+    if (diffBtn) {
+        var diff = diffBtn.closest('.part-tool').nextElementSibling;
+        if (diff && diff.classList.contains('timeline-diff-inline')) {
+            diff.classList.toggle('hidden');
+            diffBtn.classList.toggle('expanded');
+        }
+    }
+});
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+/**
+ * Déclenche le téléchargement d'un contenu texte
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Récupère le contenu des feuilles de style de la page (locale et CDN Prism)
+ */
+async function collectStylesheets() {
+    const links = [...document.querySelectorAll('link[rel="stylesheet"]')];
+    const contents = await Promise.all(links.map(async link => {
+        try {
+            const response = await fetch(link.href);
+            return response.ok ? await response.text() : '';
+        } catch (error) {
+            console.warn(`Feuille de style non intégrée: ${link.href}`, error);
+            return '';
+        }
+    }));
+    return contents.join('\n');
+}
+
+/**
+ * Bloc de code Markdown dont la clôture ne peut pas apparaître dans le contenu
+ */
+function fence(content, language) {
+    const longestRun = Math.max(2, ...(String(content).match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longestRun + 1);
+    return `${marker}${language || ''}\n${String(content).replace(/\n$/, '')}\n${marker}`;
+}
+
+/**
+ * Chemin d'un fichier dans l'en-tête d'un diff (a/..., b/...): relatif au dossier de
+ * la session, sans / initial pour un fichier situé en dehors
+ */
+function diffPath(filePath, directory) {
+    if (!filePath) return 'unknown';
+    return relativeTo(filePath, directory).replace(/^\//, '');
+}
@@ -0,0 +1,369 @@
+/**
+ * Recherche dans la session ouverte: texte, raisonnement, arguments, sorties et
+ * erreurs des outils, y compris le contenu replié (résultats masqués, diffs non
+ * dépliés) puisque la recherche porte sur les messages et non sur le DOM.
+ * Les occurrences sont ensuite surlignées dans la timeline; suivant/précédent
+ * déplie et amène à l'écran la part concernée.
+ */
+
+// Délai avant de relancer la recherche pendant la saisie
+const SEARCH_DEBOUNCE = 200;
+
+export class SessionSearch {
+    constructor(container, timelineContainer, options = {}) {
+        this.container = container;
+        this.timelineContainer = timelineContainer;
+        // Rend le message d'une occurrence et retourne l'élément de la part (ou null)
+        this.revealPart = options.revealPart || (() => null);
+        // Déplie le diff d'une part et retourne son élément (ou null)
+        this.expandDiff = options.expandDiff || (async () => null);
+        this.messages = [];
+        this.matches = [];
+        this.current = -1;
+        this.pattern = null;
+        this.lastQuery = '';
+        this.regex = false;
+        this.caseSensitive = false;
+        this.debounce = null;
+
+        this.container.innerHTML = `
+            <input type="text" class="session-search-input" placeholder="Rechercher dans la session..." spellcheck="false">
+            <button class="session-search-toggle" data-option="caseSensitive" title="Respecter la casse" aria-pressed="false">Aa</button>
+            <button class="session-search-toggle" data-option="regex" title="Expression régulière" aria-pressed="false">.*</button>
+            <span class="session-search-count"></span>
+            <button class="btn-icon session-search-prev" title="Occurrence précédente (Maj+Entrée)" disabled>↑</button>
+            <button class="btn-icon session-search-next" title="Occurrence suivante (Entrée)" disabled>↓</button>
+        `;
+        this.input = this.container.querySelector('.session-search-input');
+        this.countEl = this.container.querySelector('.session-search-count');
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.debounce);
+            this.debounce = setTimeout(() => this.search({ jump: true }), SEARCH_DEBOUNCE);
+        });
+        this.input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(this.debounce);
+                if (this.input.value !== this.lastQuery) this.search({ jump: true });
+                else if (e.shiftKey) this.previous();
+                else this.next();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.clear();
+                this.input.blur();
+            }
+        });
+        this.container.addEventListener('click', e => {
+            const toggle = e.target.closest('.session-search-toggle');
+            if (toggle) {
+                const option = toggle.dataset.option;
+                this[option] = !this[option];
+                toggle.classList.toggle('active', this[option]);
+                toggle.setAttribute('aria-pressed', String(this[option]));
+                this.search({ jump: true });
+            } else if (e.target.closest('.session-search-next')) {
+                this.next();
+            } else if (e.target.closest('.session-search-prev')) {
+                this.previous();
+            }
+        });
+    }
+
+    focus() {
+        this.input.focus();
+        this.input.select();
+    }
+
+    /**
+     * Nouvelle session ou messages mis à jour: recalcule les occurrences sans
+     * déplacer la vue (l'occurrence courante est conservée si elle existe encore)
+     */
+    setMessages(messages) {
+        this.messages = messages || [];
+        if (this.input.value) this.search({ jump: false });
+    }
+
+    /**
+     * Cherche la saisie dans les messages; jump amène à la première occurrence
+     */
+    search({ jump = false } = {}) {
+        const previous = this.matches[this.current];
+        clearHighlights(this.timelineContainer);
+        this.input.classList.remove('invalid');
+        this.lastQuery = this.input.value;
+
+        try {
+            this.pattern = buildSearchPattern(this.input.value, { regex: this.regex, caseSensitive: this.caseSensitive });
+        } catch (error) {
+            this.pattern = null;
+            this.input.classList.add('invalid');
+        }
+
+        this.matches = this.pattern ? findMatches(this.messages, this.pattern) : [];
+        this.current = previous && !jump
+            ? this.matches.findIndex(match => match.partKey === previous.partKey && match.index === previous.index)
+            : -1;
+        this.highlightRendered();
+
+        if (jump && this.matches.length) {
+            this.go(0);
+        } else {
+            this.renderCount();
+        }
+    }
+
+    next() {
+        if (this.matches.length) this.go(this.current + 1);
+    }
+
+    previous() {
+        if (this.matches.length) this.go(this.current - 1);
+    }
+
+    /**
+     * Va à une occurrence: message rendu, part surlignée, contenu replié déplié
+     */
+    async go(index) {
+        this.current = (index + this.matches.length) % this.matches.length;
+        this.renderCount();
+        const match = this.matches[this.current];
+
+        const partEl = this.revealPart(match);
+        if (!partEl) return;
+        let marks = this.highlightPart(partEl);
+
+        // Occurrence absente du rendu de la part (edit): elle est dans le diff
+        if (marks.length === 0) {
+            const diffEl = await this.expandDiff(match, partEl);
+            if (diffEl) marks = this.highlightPart(partEl);
+        }
+
+        this.timelineContainer.querySelectorAll('mark.search-match.current').forEach(mark => mark.classList.remove('current'));
+        const mark = findMark(marks, match);
+        const target = mark || partEl;
+        if (mark) {
+            mark.classList.add('current');
+            revealHidden(mark, partEl);
+        }
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Efface la recherche et les surlignages
+     */
+    clear() {
+        clearTimeout(this.debounce);
+        this.input.value = '';
+        this.search();
+    }
+
+    /**
+     * Surligne les parts déjà rendues qui contiennent des occurrences
+     */
+    highlightRendered() {
+        if (!this.pattern) return;
+        new Set(this.matches.map(match => match.partKey)).forEach(partKey => {
+            const partEl = this.timelineContainer.querySelector(`.part[data-part-key="${CSS.escape(partKey)}"]`);
+            if (partEl) this.highlightPart(partEl);
+        });
+    }
+
+    /**
+     * Surligne une part et son diff déplié; retourne les occurrences dans l'ordre
+     */
+    highlightPart(partEl) {
+        const roots = [partEl];
+        const diffEl = partEl.nextElementSibling;
+        if (diffEl?.classList.contains('timeline-diff-inline')) roots.push(diffEl);
+
+        return roots.flatMap(root => {
+            const existing = [...root.querySelectorAll('mark.search-match')];
+            return existing.length ? existing : highlightMatches(root, this.pattern);
+        });
+    }
+
+    renderCount() {
+        const total = this.matches.length;
+        let text = '';
+        if (this.input.classList.contains('invalid')) text = 'Expression invalide';
+        else if (this.pattern && total === 0) text = 'Aucun résultat';
+        else if (total && this.current >= 0) text = `${this.current + 1} / ${total}`;
+        else if (total) text = `${total} résultat${total > 1 ? 's' : ''}`;
+
+        this.countEl.textContent = text;
+        this.container.querySelector('.session-search-prev').disabled = total === 0;
+        this.container.querySelector('.session-search-next').disabled = total === 0;
+    }
+}
+
+/**
+ * Expression de recherche (null si la saisie est vide). Lève une SyntaxError pour
+ * une expression régulière invalide.
+ */
+export function buildSearchPattern(query, { regex = false, caseSensitive = false } = {}) {
+    if (!query) return null;
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Occurrences de pattern dans les messages, dans l'ordre de la session:
+ * [{ messageIndex, partIndex, partKey, field, index, fieldIndex }], index étant le
+ * rang de l'occurrence dans sa part et fieldIndex son rang dans le champ
+ */
+export function findMatches(messages, pattern) {
+    const matches = [];
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        (msg.parts || info.parts || []).forEach((part, partIndex) => {
+            const partKey = part.id || `${messageIndex}-${partIndex}`;
+            let index = 0;
+            const fieldCounts = {};
+            searchableFields(part).forEach(({ field, text }) => {
+                forEachMatch(text, pattern, () => {
+                    const fieldIndex = fieldCounts[field] || 0;
+                    fieldCounts[field] = fieldIndex + 1;
+                    matches.push({ messageIndex, partIndex, partKey, field, index: index++, fieldIndex });
+                });
+            });
+        });
+    });
+    return matches;
+}
+
+/**
+ * Textes d'une part couverts par la recherche, dans l'ordre de leur rendu
+ */
+function searchableFields(part) {
+    const fields = [];
+    const add = (field, value) => {
+        if (value === undefined || value === null || value === '') return;
+        fields.push({ field, text: typeof value === 'string' ? value : JSON.stringify(value, null, 2) });
+    };
+
+    if (part.type === 'text' || part.type === 'reasoning') {
+        add('text', part.text);
+    } else if (part.type === 'tool') {
+        const state = part.state || {};
+        add('tool', typeof part.tool === 'string' ? part.tool : part.tool?.name);
+        collectStrings(state.input).forEach(value => add('input', value));
+        add('output', state.output);
+        add('error', state.error);
+    } else if (part.type === 'step-finish') {
+        add('error', part.error);
+    } else if (part.type === 'file') {
+        add('text', part.filename || part.url);
+    } else if (part.type === 'patch') {
+        add('text', (part.files || []).join('\n'));
+    }
+    return fields;
+}
+
+/**
+ * Valeurs textuelles d'arguments d'outil (objets et tableaux parcourus)
+ */
+function collectStrings(value) {
+    if (value === undefined || value === null) return [];
+    if (typeof value === 'string') return [value];
+    if (typeof value !== 'object') return [String(value)];
+    return Object.values(value).flatMap(collectStrings);
+}
+
+function forEachMatch(text, pattern, callback) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        // Occurrence vide (ex: "a*"): ignorée, on avance d'un caractère
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        callback(match);
+    }
+}
+
+/**
+ * Entoure les occurrences de pattern dans les textes de root d'un <mark> et les
+ * retourne dans l'ordre du document (les déroulés de sous-agents sont ignorés)
+ */
+export function highlightMatches(root, pattern) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement?.closest('mark.search-match, .timeline-subagent, script, style')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT),
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    const marks = [];
+    nodes.forEach(node => {
+        const ranges = [];
+        forEachMatch(node.nodeValue, pattern, match => ranges.push([match.index, match.index + match[0].length]));
+        if (ranges.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            if (start > position) fragment.appendChild(document.createTextNode(node.nodeValue.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-match';
+            mark.textContent = node.nodeValue.slice(start, end);
+            fragment.appendChild(mark);
+            marks.push(mark);
+            position = end;
+        });
+        if (position < node.nodeValue.length) fragment.appendChild(document.createTextNode(node.nodeValue.slice(position)));
+        node.replaceWith(fragment);
+    });
+    return marks;
+}
+
+/**
+ * Marque d'une occurrence: son rang parmi les marques du champ où elle est rendue
+ * (les champs n'ont pas le même nombre d'occurrences dans les messages et dans le
+ * rendu), à défaut parmi toutes celles de la part
+ */
+function findMark(marks, match) {
+    const inField = marks.filter(mark => markField(mark) === match.field);
+    if (inField.length) return inField[Math.min(match.fieldIndex, inField.length - 1)];
+    return marks[Math.min(match.index, marks.length - 1)];
+}
+
+/**
+ * Champ de recherche (voir searchableFields) d'où vient le texte d'une marque
+ */
+function markField(mark) {
+    if (mark.closest('.tool-header')) return mark.closest('strong') ? 'tool' : null;
+    if (mark.closest('.tool-result')) return 'output';
+    if (mark.closest('.tool-error, .step-error')) return 'error';
+    if (mark.closest('.part-tool, .timeline-diff-inline')) return 'input';
+    return 'text';
+}
+
+/**
+ * Retire les surlignages sous root
+ */
+export function clearHighlights(root) {
+    root.querySelectorAll('mark.search-match').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(document.createTextNode(mark.textContent));
+        parent.normalize();
+    });
+}
+
+/**
+ * Déplie le résultat ou le diff masqué qui contient une occurrence
+ */
+function revealHidden(mark, partEl) {
+    const resultEl = mark.closest('.tool-result.hidden');
+    if (resultEl) {
+        resultEl.classList.remove('hidden');
+        partEl.querySelector('.result-toggle-btn')?.classList.remove('expanded');
+    }
+    const diffEl = mark.closest('.timeline-diff-inline.hidden');
+    if (diffEl) {
+        diffEl.classList.remove('hidden');
+        partEl.querySelector('.diff-toggle-btn')?.classList.add('expanded');
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Statistiques d'une session partagées par les panneaux et la comparaison
+ */
+import { sumMessageUsage } from './usage-analytics.js';
+import { extractDiffsFromMessages } from './diff.js';
+
+/**
+ * Nombre d'utilisations de chaque outil: { nom: nombre }
+ */
+export function countTools(messages) {
+    const tools = {};
+    (messages || []).forEach(msg => {
+        (msg.info?.parts || msg.parts || []).forEach(part => {
+            if (part.type === 'tool') {
+                const name = getToolName(part);
+                if (name) {
+                    tools[name] = (tools[name] || 0) + 1;
+                }
+            }
+        });
+    });
+    return tools;
+}
+
+/**
+ * Nom d'un outil: string directe ou dans un objet
+ */
+export function getToolName(part) {
+    if (typeof part.tool === 'string') return part.tool;
+    return part.tool?.name || part.call?.name || 'unknown';
+}
+
+/**
+ * Erreurs d'une session, dans l'ordre: erreurs de message (info.error, dont les
+ * interruptions MessageAbortedError, ou finish "error"), étapes en échec
+ * (step-finish avec error) et appels d'outils en échec.
+ * [{ messageIndex, messageId, partKey, kind, name, message, time, input }]
+ */
+export function collectErrors(messages) {
+    const errors = [];
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        const messageTime = info.time?.completed || info.time?.created || null;
+        if (info.error || info.finish === 'error') {
+            errors.push({
+                messageIndex,
+                messageId: info.id,
+                kind: 'message',
+                name: info.error?.name || 'Error',
+                message: info.error?.data?.message || info.error?.message || '',
+                time: messageTime,
+            });
+        }
+        (msg.parts || info.parts || []).forEach((part, partIndex) => {
+            const partKey = part.id || `${messageIndex}-${partIndex}`;
+            if (part.type === 'step-finish' && part.error) {
+                errors.push({
+                    messageIndex,
+                    messageId: info.id,
+                    partKey,
+                    kind: 'step',
+                    name: part.reason || 'step-finish',
+                    message: typeof part.error === 'string' ? part.error : JSON.stringify(part.error),
+                    time: part.time?.end || part.time?.start || messageTime,
+                });
+            } else if (part.type === 'tool' && part.state?.status === 'error') {
+                errors.push({
+                    messageIndex,
+                    messageId: info.id,
+                    partKey,
+                    kind: 'tool',
+                    name: getToolName(part),
+                    message: String(part.state.error || ''),
+                    time: part.state.time?.end || part.state.time?.start || messageTime,
+                    input: part.state.input,
+                });
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Chiffres clés d'une session: durée, tokens/coût, étapes, outils, fichiers, erreurs
+ */
+export function summarizeSession(messages) {
+    const infos = (messages || []).map(msg => msg.info || msg);
+    const start = infos[0]?.time?.created || 0;
+    const end = Math.max(start, ...infos.map(info => info.time?.completed || info.time?.created || 0));
+    let steps = 0;
+    (messages || []).forEach(msg => {
+        (msg.parts || msg.info?.parts || []).forEach(part => {
+            if (part.type === 'step-finish') steps++;
+        });
+    });
+
+    return {
+        duration: end - start,
+        usage: sumMessageUsage(messages),
+        messages: infos.length,
+        turns: infos.filter(info => info.role === 'user').length,
+        steps,
+        tools: countTools(messages),
+        files: [...new Set(extractDiffsFromMessages(messages).map(diff => diff.file))],
+        errors: collectErrors(messages),
+    };
+}
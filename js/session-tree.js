@@ -0,0 +1,72 @@
+/**
+ * Arbre des sessions: une session lancée par l'outil task (sous-agent) porte
+ * l'identifiant de sa session parente dans parentID.
+ */
+
+export class SessionTree {
+    constructor(sessions) {
+        this.byId = new Map(sessions.map(session => [session.id, session]));
+        this.children = new Map();
+        this.roots = [];
+
+        sessions.forEach(session => {
+            const parentId = session.parentID;
+            // Parent absent de la liste (filtré, supprimé): la session devient une racine
+            if (parentId && parentId !== session.id && this.byId.has(parentId)) {
+                if (!this.children.has(parentId)) {
+                    this.children.set(parentId, []);
+                }
+                this.children.get(parentId).push(session);
+            } else {
+                this.roots.push(session);
+            }
+        });
+
+        // Racines: plus récentes d'abord; sous-sessions: dans l'ordre de création
+        this.roots.sort((a, b) => (b.time?.created || 0) - (a.time?.created || 0));
+        this.children.forEach(list => list.sort((a, b) => (a.time?.created || 0) - (b.time?.created || 0)));
+    }
+
+    getChildren(sessionId) {
+        return this.children.get(sessionId) || [];
+    }
+
+    /**
+     * Toutes les sessions descendantes (enfants, petits-enfants...)
+     */
+    getDescendants(sessionId) {
+        const result = [];
+        const visit = id => {
+            this.getChildren(id).forEach(child => {
+                if (result.includes(child)) return;
+                result.push(child);
+                visit(child.id);
+            });
+        };
+        visit(sessionId);
+        return result;
+    }
+
+    /**
+     * Ancêtres d'une session, du parent direct à la racine
+     */
+    getAncestors(sessionId) {
+        const result = [];
+        let session = this.byId.get(sessionId);
+        while (session?.parentID && this.byId.has(session.parentID)) {
+            session = this.byId.get(session.parentID);
+            if (result.includes(session)) break;
+            result.push(session);
+        }
+        return result;
+    }
+
+    /**
+     * Sessions appartenant à une famille (parent ou enfant d'une autre session)
+     */
+    getFamilyMembers() {
+        return [...this.byId.values()].filter(session => {
+            return this.children.has(session.id) || (session.parentID && this.byId.has(session.parentID));
+        });
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Sous-agents: liaison des appels à l'outil task avec la session enfant qu'ils ont
+ * créée (parentID), résumé de son activité et cache de ses messages.
+ */
+import { sumMessageUsage } from './usage-analytics.js';
+import { escapeHtml, formatDuration } from './format.js';
+
+const STATUS_LABELS = {
+    pending: 'En attente',
+    running: 'En cours',
+    completed: 'Terminé',
+    error: 'Erreur',
+};
+
+export class SubagentTracker {
+    constructor(source) {
+        this.source = source;
+        this.messages = new Map();
+        this.requests = new Map();
+    }
+
+    /**
+     * Messages d'une session enfant (mis en cache jusqu'à invalidation)
+     */
+    async getMessages(sessionId) {
+        if (this.messages.has(sessionId)) return this.messages.get(sessionId);
+        if (!this.requests.has(sessionId)) {
+            const request = this.source.getSessionMessages(sessionId)
+                .then(messages => {
+                    this.messages.set(sessionId, messages || []);
+                    return this.messages.get(sessionId);
+                })
+                .finally(() => this.requests.delete(sessionId));
+            this.requests.set(sessionId, request);
+        }
+        return this.requests.get(sessionId);
+    }
+
+    isTracked(sessionId) {
+        return this.messages.has(sessionId);
+    }
+
+    invalidate(sessionId) {
+        this.messages.delete(sessionId);
+    }
+
+    clear() {
+        this.messages.clear();
+    }
+}
+
+/**
+ * Parts d'appel à l'outil task d'une liste de messages
+ */
+export function findTaskParts(messages) {
+    const tasks = [];
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        (msg.parts || info.parts || []).forEach((part, partIndex) => {
+            if (part.type === 'tool' && part.tool === 'task') {
+                tasks.push({ part, messageIndex, partKey: part.id || `${messageIndex}-${partIndex}` });
+            }
+        });
+    });
+    return tasks;
+}
+
+/**
+ * Session enfant d'un appel task: identifiant des métadonnées de l'outil si présent,
+ * sinon la sous-session dont le titre reprend la description, créée au plus près du
+ * début de l'appel. Retourne null si aucune ne correspond.
+ */
+export function resolveChildSession(part, parentSessionId, sessions, exclude = new Set()) {
+    const metadataId = part.state?.metadata?.sessionId;
+    if (metadataId) {
+        return sessions.find(session => session.id === metadataId) || { id: metadataId };
+    }
+
+    const description = part.state?.input?.description || '';
+    const start = part.state?.time?.start || part.time?.start || 0;
+    const candidates = sessions.filter(session => {
+        return session.parentID === parentSessionId
+            && !exclude.has(session.id)
+            && (!description || (session.title || '').startsWith(description));
+    });
+    if (candidates.length === 0) return null;
+
+    const distance = session => Math.abs((session.time?.created || 0) - start);
+    return candidates.reduce((best, session) => distance(session) < distance(best) ? session : best);
+}
+
+/**
+ * Résumé de l'activité d'une session enfant
+ */
+export function summarizeSubagent(messages) {
+    const tools = new Map();
+    let steps = 0;
+
+    (messages || []).forEach(msg => {
+        const info = msg.info || msg;
+        (msg.parts || info.parts || []).forEach(part => {
+            if (part.type === 'step-finish') steps++;
+            if (part.type === 'tool') {
+                const name = typeof part.tool === 'string' ? part.tool : (part.tool?.name || 'unknown');
+                tools.set(name, (tools.get(name) || 0) + 1);
+            }
+        });
+    });
+
+    const infos = (messages || []).map(msg => msg.info || msg);
+    const lastAssistant = [...infos].reverse().find(info => info.role === 'assistant');
+    let status = 'pending';
+    if (lastAssistant) {
+        status = lastAssistant.error ? 'error' : (lastAssistant.time?.completed ? 'completed' : 'running');
+    }
+
+    const start = infos[0]?.time?.created;
+    const end = status === 'running' ? Date.now() : (lastAssistant?.time?.completed || start);
+
+    return {
+        status,
+        steps,
+        tools,
+        toolCount: [...tools.values()].reduce((sum, count) => sum + count, 0),
+        usage: sumMessageUsage(messages),
+        duration: start && end ? end - start : 0,
+    };
+}
+
+/**
+ * HTML du résumé affiché sous l'appel task
+ */
+export function renderSubagentSummary(summary) {
+    const topTools = [...summary.tools.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 4)
+        .map(([name, count]) => `${escapeHtml(name)} ×${count}`)
+        .join(', ');
+
+    const items = [
+        `<span class="subagent-status status-${summary.status}">${STATUS_LABELS[summary.status]}</span>`,
+        `${summary.steps} étape(s)`,
+        `${summary.toolCount} outil(s)${topTools ? ` (${topTools}${summary.tools.size > 4 ? ', …' : ''})` : ''}`,
+        `${summary.usage.total.toLocaleString()} tok`,
+        `$${summary.usage.cost.toFixed(2)}`,
+    ];
+    if (summary.duration) items.push(formatDuration(summary.duration));
+
+    return items.join(' · ');
+}
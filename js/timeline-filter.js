@@ -0,0 +1,260 @@
+/**
+ * Filtres de la timeline: rôle, type de part, nom d'outil et statut d'outil,
+ * avec des préréglages (intégrés ou enregistrés par l'utilisateur).
+ *
+ * Un filtre liste les valeurs masquées: { roles, types, tools, statuses }. Un
+ * outil ou un statut absent des listes reste visible, y compris ceux qui
+ * apparaissent après coup.
+ */
+import { getToolName } from './session-stats.js';
+import { escapeHtml } from './format.js';
+
+const PRESETS_STORAGE_KEY = 'timeline_filter_presets';
+
+export const FILTER_ROLES = [
+    { id: 'user', label: 'Utilisateur' },
+    { id: 'assistant', label: 'Assistant' },
+];
+
+// Types de part filtrables (les autres restent toujours visibles)
+export const FILTER_PART_TYPES = [
+    { id: 'text', label: 'Texte', types: ['text'] },
+    { id: 'reasoning', label: 'Raisonnement', types: ['reasoning'] },
+    { id: 'tool', label: 'Outils', types: ['tool'] },
+    { id: 'step', label: 'Étapes', types: ['step-start', 'step-finish'] },
+    { id: 'snapshot', label: 'Snapshots', types: ['snapshot'] },
+    { id: 'patch', label: 'Patchs', types: ['patch'] },
+    { id: 'file', label: 'Fichiers', types: ['file'] },
+];
+
+export const FILTER_STATUSES = [
+    { id: 'pending', label: 'En attente' },
+    { id: 'running', label: 'En cours' },
+    { id: 'completed', label: 'Terminé' },
+    { id: 'error', label: 'Erreur' },
+];
+
+const ALL_TYPES = FILTER_PART_TYPES.map(type => type.id);
+
+export const BUILTIN_PRESETS = [
+    { id: 'all', label: 'Tout', filter: emptyFilter() },
+    { id: 'conversation', label: 'Conversation seule', filter: { ...emptyFilter(), types: ALL_TYPES.filter(type => type !== 'text') } },
+    { id: 'tools', label: 'Outils seuls', filter: { ...emptyFilter(), types: ALL_TYPES.filter(type => type !== 'tool') } },
+    {
+        id: 'errors',
+        label: 'Erreurs seules',
+        filter: { ...emptyFilter(), types: ALL_TYPES.filter(type => type !== 'tool'), statuses: ['pending', 'running', 'completed'] },
+    },
+];
+
+export function emptyFilter() {
+    return { roles: [], types: [], tools: [], statuses: [] };
+}
+
+export function isEmptyFilter(filter) {
+    return !filter || ['roles', 'types', 'tools', 'statuses'].every(key => (filter[key] || []).length === 0);
+}
+
+/**
+ * Prédicat de visibilité (part, message) d'un filtre, null si rien n'est masqué.
+ * part vaut null pour un message sans part: seul le rôle compte alors.
+ */
+export function createPartFilter(filter) {
+    if (isEmptyFilter(filter)) return null;
+    const roles = new Set(filter.roles);
+    const types = new Set(filter.types);
+    const tools = new Set(filter.tools);
+    const statuses = new Set(filter.statuses);
+
+    return (part, msg) => {
+        const info = msg?.info || msg || {};
+        if (roles.has(info.role)) return false;
+        if (!part) return true;
+
+        const group = FILTER_PART_TYPES.find(type => type.types.includes(part.type));
+        if (group && types.has(group.id)) return false;
+        if (part.type === 'tool') {
+            if (tools.has(getToolName(part))) return false;
+            if (statuses.has(part.state?.status || 'pending')) return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Nombre de parts masquées par un prédicat dans des messages
+ */
+export function countHiddenParts(messages, predicate) {
+    if (!predicate) return 0;
+    return (messages || []).reduce((total, msg) => {
+        const parts = msg.parts || msg.info?.parts || [];
+        return total + parts.filter(part => !predicate(part, msg)).length;
+    }, 0);
+}
+
+/**
+ * Préréglages enregistrés par l'utilisateur: [{ id, label, filter }]
+ */
+export function loadCustomPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+        return Array.isArray(presets) ? presets.filter(preset => preset?.label && preset.filter) : [];
+    } catch (error) {
+        console.error('Préréglages de filtres illisibles:', error);
+        return [];
+    }
+}
+
+export function saveCustomPresets(presets) {
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Barre de filtres: préréglages, puis cases à cocher (cochée = visible) par rôle,
+ * type de part, outil et statut
+ */
+export class TimelineFilterBar {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onChange = options.onChange || (() => {});
+        this.filter = emptyFilter();
+        this.tools = {};
+        this.customPresets = loadCustomPresets();
+        this.hiddenCount = 0;
+
+        this.container.addEventListener('change', e => {
+            if (e.target.classList.contains('filter-preset-select')) {
+                this.applyPreset(e.target.value);
+                return;
+            }
+            const input = e.target.closest('input[data-group]');
+            if (!input) return;
+            const values = new Set(this.filter[input.dataset.group]);
+            if (input.checked) values.delete(input.value);
+            else values.add(input.value);
+            this.setFilter({ ...this.filter, [input.dataset.group]: [...values] });
+        });
+        this.container.addEventListener('click', e => {
+            if (e.target.closest('.filter-preset-save')) this.savePreset();
+            else if (e.target.closest('.filter-preset-delete')) this.deletePreset();
+            else if (e.target.closest('.filter-reset')) this.setFilter(emptyFilter());
+        });
+
+        this.render();
+    }
+
+    /**
+     * Outils de la session ({ nom: nombre }, comme l'onglet Outils)
+     */
+    setTools(tools) {
+        this.tools = tools || {};
+        this.render();
+    }
+
+    setFilter(filter, { silent = false } = {}) {
+        this.filter = { ...emptyFilter(), ...filter };
+        this.render();
+        if (!silent) this.onChange(this.filter);
+    }
+
+    setHiddenCount(count) {
+        this.hiddenCount = count;
+        const summary = this.container.querySelector('.filter-summary');
+        if (summary) summary.textContent = this.renderSummary();
+    }
+
+    applyPreset(id) {
+        const preset = this.getPresets().find(candidate => candidate.id === id);
+        if (preset) this.setFilter(preset.filter);
+    }
+
+    savePreset() {
+        const label = prompt('Nom du préréglage:')?.trim();
+        if (!label) return;
+        const id = `custom-${Date.now()}`;
+        this.customPresets = [
+            ...this.customPresets.filter(preset => preset.label !== label),
+            { id, label, filter: this.filter },
+        ];
+        saveCustomPresets(this.customPresets);
+        this.render();
+    }
+
+    deletePreset() {
+        const current = this.findCurrentPreset();
+        if (!current || !current.id.startsWith('custom-')) return;
+        this.customPresets = this.customPresets.filter(preset => preset.id !== current.id);
+        saveCustomPresets(this.customPresets);
+        this.render();
+    }
+
+    getPresets() {
+        return [...BUILTIN_PRESETS, ...this.customPresets];
+    }
+
+    /**
+     * Préréglage correspondant exactement au filtre courant (ou null)
+     */
+    findCurrentPreset() {
+        const key = filterKey(this.filter);
+        return this.getPresets().find(preset => filterKey(preset.filter) === key) || null;
+    }
+
+    render() {
+        const current = this.findCurrentPreset();
+        const toolNames = [...new Set([...Object.keys(this.tools), ...this.filter.tools])]
+            .sort((a, b) => (this.tools[b] || 0) - (this.tools[a] || 0) || a.localeCompare(b));
+        const open = this.container.querySelector('.filter-panel')?.open ? 'open' : '';
+
+        this.container.innerHTML = `
+            <select class="filter-preset-select" title="Préréglages">
+                ${current ? '' : '<option value="" selected>Personnalisé</option>'}
+                ${this.getPresets().map(preset => `
+                    <option value="${escapeHtml(preset.id)}" ${preset === current ? 'selected' : ''}>${escapeHtml(preset.label)}</option>
+                `).join('')}
+            </select>
+            <button class="btn-icon filter-preset-save" title="Enregistrer ces filtres comme préréglage">+</button>
+            ${current?.id.startsWith('custom-') ? '<button class="btn-icon filter-preset-delete" title="Supprimer ce préréglage">−</button>' : ''}
+            <details class="filter-panel" ${open}>
+                <summary>Filtres</summary>
+                <div class="filter-groups">
+                    ${this.renderGroup('Rôle', 'roles', FILTER_ROLES)}
+                    ${this.renderGroup('Type', 'types', FILTER_PART_TYPES)}
+                    ${this.renderGroup('Statut', 'statuses', FILTER_STATUSES)}
+                    ${toolNames.length ? this.renderGroup('Outil', 'tools', toolNames.map(name => ({
+                        id: name,
+                        label: this.tools[name] ? `${name} (${this.tools[name]})` : name,
+                    }))) : ''}
+                </div>
+            </details>
+            <span class="filter-summary">${this.renderSummary()}</span>
+            ${isEmptyFilter(this.filter) ? '' : '<button class="filter-reset" title="Tout afficher">Réinitialiser</button>'}
+        `;
+    }
+
+    renderGroup(title, group, options) {
+        const hidden = new Set(this.filter[group]);
+        return `
+            <div class="filter-group">
+                <span class="filter-group-title">${title}</span>
+                ${options.map(option => `
+                    <label class="filter-chip ${hidden.has(option.id) ? 'off' : ''}">
+                        <input type="checkbox" data-group="${group}" value="${escapeHtml(option.id)}" ${hidden.has(option.id) ? '' : 'checked'}>
+                        ${escapeHtml(option.label)}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderSummary() {
+        if (isEmptyFilter(this.filter)) return '';
+        return `${this.hiddenCount} élément(s) masqué(s)`;
+    }
+}
+
+function filterKey(filter) {
+    return ['roles', 'types', 'tools', 'statuses']
+        .map(key => [...(filter[key] || [])].sort().join(','))
+        .join('|');
+}
@@ -4,15 +4,47 @@
  * @global marked - Bibliothèque Marked.js chargée via CDN
  * @global Prism - Bibliothèque Prism.js chargée via CDN
  */
+import { renderers } from './renderer-registry.js';
+import './tool-renderers.js';
+import { isFileChangePart } from './diff.js';
+import { escapeHtml, formatDuration } from './format.js';
+
+// Rendu fenêtré des longues sessions
+const VIRTUALIZE_THRESHOLD = 60;
+const INITIAL_BATCH = 40;
+const OLDER_BATCH = 40;
+const EAGER_TAIL = 6;
+const RENDER_MARGIN = '1500px';
+const ESTIMATED_PART_HEIGHT = 70;
+
 export class TimelineRenderer {
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
         this.renderedMessageIds = new Set();
-        this.patchIndexCounter = 0;
+        this.messageElements = new Map();
+        this.partSignatures = new Map();
+        this.patchIndexes = new Map();
+        this.subagentSummaries = new Map();
+        this.messages = [];
+        this.registry = options.registry || renderers;
+        this.allowVirtualize = options.virtualize !== false;
+        // Liens partageables (#) sur les messages et les appels d'outils
+        this.permalinks = options.permalinks === true;
+        this.virtual = false;
+        this.firstLoadedIndex = 0;
+        this.messageHeights = new Map();
+        this.hiddenResults = new Set();
+        // Prédicat (part, message) des parts visibles, null pour tout afficher
+        this.partFilter = null;
+        this.messageObserver = null;
+        this.olderObserver = null;
     }
 
     /**
-     * Affiche une liste de messages (affichage instantané)
+     * Affiche une liste de messages (affichage instantané).
+     * Au-delà de VIRTUALIZE_THRESHOLD messages, seuls les derniers sont chargés et
+     * seuls ceux proches de la zone visible sont réellement rendus (markdown,
+     * coloration syntaxique); les autres sont des emplacements de hauteur mesurée.
      */
     render(messages) {
         if (!messages || !Array.isArray(messages)) {
@@ -31,58 +63,605 @@ export class TimelineRenderer {
             return;
         }
 
-        this.container.innerHTML = '';
-        this.renderedMessageIds.clear();
-        this.patchIndexCounter = 0;
+        this.reset();
+        this.messages = messages;
+        this.indexPatches(messages);
+        this.virtual = this.canVirtualize() && messages.length > VIRTUALIZE_THRESHOLD;
+        this.firstLoadedIndex = this.virtual ? Math.max(0, messages.length - INITIAL_BATCH) : 0;
+
+        if (this.virtual) {
+            this.renderLoadOlder();
+        }
         
         messages.forEach((msg, index) => {
-            const id = msg.info?.id || msg.id || `msg-${index}`;
+            if (index < this.firstLoadedIndex) return;
+            const id = this.getMessageId(msg, index);
             this.renderedMessageIds.add(id);
-            const messageEl = this.renderMessage(msg, false, index);
+            const eager = !this.virtual || index >= messages.length - EAGER_TAIL;
+            const messageEl = eager ? this.renderMessage(msg, false, index) : this.createMessageShell(msg, index);
+            this.messageElements.set(id, messageEl);
             this.container.appendChild(messageEl);
+            this.observeMessage(messageEl);
         });
         
-        this.highlightCode();
+        if (this.virtual) {
+            this.messageElements.forEach(el => {
+                if (!el.classList.contains('message-placeholder')) this.highlightCode(el);
+            });
+        } else {
+            this.highlightCode();
+        }
         this.scrollToBottom();
     }
 
     /**
-     * Mise à jour incrémentale - ajoute seulement les nouveaux messages
+     * Réinitialise le DOM et l'état de rendu
+     */
+    reset() {
+        this.container.innerHTML = '';
+        this.renderedMessageIds.clear();
+        this.messageElements.clear();
+        this.partSignatures.clear();
+        this.messageHeights.clear();
+        this.subagentSummaries.clear();
+        this.hiddenResults.clear();
+        this.messageObserver?.disconnect();
+        this.olderObserver?.disconnect();
+        this.messageObserver = null;
+        this.olderObserver = null;
+        this.virtual = false;
+        this.firstLoadedIndex = 0;
+    }
+
+    canVirtualize() {
+        return this.allowVirtualize && typeof IntersectionObserver !== 'undefined';
+    }
+
+    /**
+     * Mise à jour incrémentale - réconcilie les messages et leurs parts par identifiant.
+     * Seuls les messages/parts modifiés sont re-rendus, l'état du DOM (diffs ouverts,
+     * résultats masqués, scroll) est conservé pour le reste.
      */
     updateIncremental(messages) {
-        if (!messages || !Array.isArray(messages) || messages.length === 0) return;
-        
-        let newMessageAdded = false;
-        
-        messages.forEach((msg, index) => {
-            const info = msg.info || msg;
-            const parts = info?.parts || msg.parts || [];
-            if (parts.length === 0) return;
-            
-            const id = msg.info?.id || msg.id || `msg-${index}`;
-            
-            if (this.renderedMessageIds.has(id)) return;
-            
+        if (!messages || !Array.isArray(messages)) return;
+
+        if (this.messageElements.size === 0) {
+            if (messages.length > 0) this.render(messages);
+            return;
+        }
+
+        const stickToBottom = this.isNearBottom();
+        const keepIds = new Set(messages.map((msg, index) => this.getMessageId(msg, index)));
+
+        this.messageElements.forEach((el, id) => {
+            if (!keepIds.has(id)) this.removeMessage(id);
+        });
+
+        this.messages = messages;
+        this.syncLoadedRange();
+        this.indexPatches(messages);
+        messages.forEach((msg, index) => this.reconcileMessage(msg, index));
+
+        if (stickToBottom) this.scrollToBottom();
+    }
+
+    /**
+     * Met à jour (ou insère) un seul message à partir de la liste courante
+     */
+    updateMessage(messages, messageId) {
+        const index = messages.findIndex((msg, i) => this.getMessageId(msg, i) === messageId);
+        if (index < 0) return;
+
+        if (this.messageElements.size === 0) {
+            this.render(messages);
+            return;
+        }
+
+        const stickToBottom = this.isNearBottom();
+        this.messages = messages;
+        this.syncLoadedRange();
+        this.indexPatches(messages);
+        this.reconcileMessage(messages[index], index);
+
+        if (stickToBottom) this.scrollToBottom();
+    }
+
+    /**
+     * Retire un message de la timeline
+     */
+    removeMessage(messageId) {
+        const el = this.messageElements.get(messageId);
+        if (el) {
+            this.messageObserver?.unobserve(el);
+            el.remove();
+        }
+        this.messageElements.delete(messageId);
+        this.renderedMessageIds.delete(messageId);
+    }
+
+    /**
+     * Réconcilie un message existant avec le DOM: en-tête et parts modifiées uniquement
+     */
+    reconcileMessage(msg, messageIndex) {
+        // Messages plus anciens pas encore chargés
+        if (messageIndex < this.firstLoadedIndex) return;
+
+        const id = this.getMessageId(msg, messageIndex);
+        let messageEl = this.messageElements.get(id);
+
+        if (!messageEl) {
+            messageEl = this.renderMessage(msg, true, messageIndex);
+            this.messageElements.set(id, messageEl);
             this.renderedMessageIds.add(id);
-            const messageEl = this.renderMessage(msg, true, index);
+            this.insertMessageElement(messageEl, messageIndex);
+            this.observeMessage(messageEl);
+            this.highlightCode(messageEl);
+            return;
+        }
+
+        // Emplacement non rendu: il sera construit à jour quand il deviendra visible
+        if (messageEl.classList.contains('message-placeholder')) return;
+
+        const headerEl = messageEl.querySelector('.message-header');
+        const headerHtml = this.renderMessageHeader(msg);
+        if (headerEl && headerEl.dataset.signature !== headerHtml) {
+            headerEl.innerHTML = headerHtml;
+            headerEl.dataset.signature = headerHtml;
+        }
+        this.syncErrorBanner(messageEl, msg);
+
+        const partsEl = messageEl.querySelector('.message-parts');
+        const parts = this.getParts(msg);
+        if (parts.length === 0) {
+            if (!partsEl.querySelector('.part[data-part-key]')) {
+                partsEl.innerHTML = this.renderParts(parts, messageIndex, msg);
+            }
+            this.applyFilter(messageEl, msg);
+            return;
+        }
+
+        const keepKeys = new Set(parts.map((part, partIndex) => this.getPartKey(part, messageIndex, partIndex)));
+        partsEl.querySelectorAll(':scope > .part').forEach(el => {
+            if (!keepKeys.has(el.dataset.partKey)) el.remove();
+        });
+
+        let previousEl = null;
+        parts.forEach((part, partIndex) => {
+            const key = this.getPartKey(part, messageIndex, partIndex);
+            const signature = this.getPartSignature(part, messageIndex, partIndex);
+            let partEl = partsEl.querySelector(`:scope > .part[data-part-key="${CSS.escape(key)}"]`);
+
+            if (!partEl) {
+                partEl = this.createPartElement(part, messageIndex, partIndex);
+                this.insertPartElement(partsEl, partEl, previousEl);
+                this.highlightCode(partEl);
+            } else if (this.partSignatures.get(key) !== signature) {
+                const newEl = this.createPartElement(part, messageIndex, partIndex);
+                this.preservePartState(partEl, newEl);
+                partEl.replaceWith(newEl);
+                this.highlightCode(newEl);
+                partEl = newEl;
+            }
+
+            this.partSignatures.set(key, signature);
+            previousEl = this.getLastSiblingOfPart(partEl);
+        });
+        this.applyFilter(messageEl, msg);
+    }
+
+    /**
+     * Change le filtre des parts et l'applique aux messages rendus
+     */
+    setPartFilter(filter) {
+        this.partFilter = filter;
+        this.messageElements.forEach(messageEl => {
+            const index = this.messages.findIndex((msg, i) => this.getMessageId(msg, i) === messageEl.dataset.messageId);
+            if (index >= 0) this.applyFilter(messageEl, this.messages[index]);
+        });
+    }
+
+    /**
+     * Masque les parts exclues par le filtre (avec leurs diffs et déroulés ouverts),
+     * le message entier s'il ne reste rien, et indique le nombre de parts masquées
+     */
+    applyFilter(messageEl, msg) {
+        if (messageEl.classList.contains('message-placeholder')) return;
+        // Sans filtre, rien à faire sur un message jamais filtré
+        if (!this.partFilter && !messageEl.matches('.message-filtered') && !messageEl.querySelector('.filtered-out, .message-hidden-count')) return;
+        const parts = this.getParts(msg);
+        const messageIndex = this.messages.indexOf(msg);
+        let hidden = 0;
+
+        messageEl.querySelectorAll(':scope > .message-parts > .part[data-part-key]').forEach(partEl => {
+            const partIndex = parts.findIndex((part, index) => this.getPartKey(part, messageIndex, index) === partEl.dataset.partKey);
+            const visible = !this.partFilter || partIndex < 0 || this.partFilter(parts[partIndex], msg);
+            if (!visible) hidden++;
+
+            let el = partEl;
+            do {
+                el.classList.toggle('filtered-out', !visible);
+                el = el.nextElementSibling;
+            } while (el && el.matches('.timeline-diff-inline, .timeline-subagent'));
+        });
+
+        const empty = this.partFilter && (parts.length === 0 ? !this.partFilter(null, msg) : hidden === parts.length);
+        messageEl.classList.toggle('message-filtered', Boolean(empty));
+
+        const headerEl = messageEl.querySelector(':scope > .message-header');
+        let countEl = headerEl?.querySelector('.message-hidden-count');
+        if (hidden === 0 || empty) {
+            countEl?.remove();
+            messageEl.classList.remove('show-filtered');
+        } else if (headerEl) {
+            if (!countEl) {
+                countEl = document.createElement('button');
+                countEl.className = 'message-hidden-count';
+                countEl.title = 'Afficher/masquer les éléments filtrés de ce message';
+                const permalink = headerEl.querySelector('.message-permalink');
+                if (permalink) permalink.before(countEl);
+                else headerEl.appendChild(countEl);
+            }
+            countEl.textContent = `${hidden} masqué(s)`;
+        }
+    }
+
+    /**
+     * Insère l'élément d'un message à sa position dans la timeline
+     */
+    insertMessageElement(messageEl, messageIndex) {
+        const emptyState = this.container.querySelector(':scope > .empty-state');
+        if (emptyState) emptyState.remove();
+
+        const messageEls = this.container.querySelectorAll(':scope > .message');
+        const nextEl = messageEls[messageIndex - this.firstLoadedIndex];
+        if (nextEl) {
+            this.container.insertBefore(messageEl, nextEl);
+        } else {
             this.container.appendChild(messageEl);
-            newMessageAdded = true;
+        }
+    }
+
+    /**
+     * Insère une part après l'élément précédent (ou en tête du message)
+     */
+    insertPartElement(partsEl, partEl, previousEl) {
+        if (previousEl) {
+            previousEl.after(partEl);
+        } else {
+            const placeholder = partsEl.querySelector(':scope > .part:not([data-part-key])');
+            if (placeholder) placeholder.remove();
+            partsEl.prepend(partEl);
+        }
+    }
+
+    /**
+     * Les diffs et déroulés de sous-agents ouverts dans la timeline sont insérés juste après leur part d'outil
+     */
+    getLastSiblingOfPart(partEl) {
+        let el = partEl;
+        while (el.nextElementSibling && el.nextElementSibling.matches('.timeline-diff-inline, .timeline-subagent')) {
+            el = el.nextElementSibling;
+        }
+        return el;
+    }
+
+    /**
+     * Reporte l'état d'affichage (résultat masqué) d'une part sur sa nouvelle version
+     */
+    preservePartState(oldEl, newEl) {
+        const oldResult = oldEl.querySelector('.tool-result');
+        const newResult = newEl.querySelector('.tool-result');
+        if (oldResult && newResult && oldResult.classList.contains('hidden')) {
+            newResult.classList.add('hidden');
+        }
+
+        const oldToggle = oldEl.querySelector('.result-toggle-btn');
+        const newToggle = newEl.querySelector('.result-toggle-btn');
+        if (oldToggle && newToggle && oldToggle.classList.contains('expanded')) {
+            newToggle.classList.add('expanded');
+        }
+
+        const oldDiffToggle = oldEl.querySelector('.diff-toggle-btn');
+        const newDiffToggle = newEl.querySelector('.diff-toggle-btn');
+        if (oldDiffToggle && newDiffToggle && oldDiffToggle.classList.contains('expanded')) {
+            newDiffToggle.classList.add('expanded');
+        }
+
+        const oldSubagentToggle = oldEl.querySelector('.subagent-toggle');
+        const newSubagentToggle = newEl.querySelector('.subagent-toggle');
+        if (oldSubagentToggle && newSubagentToggle && oldSubagentToggle.classList.contains('expanded')) {
+            newSubagentToggle.classList.add('expanded');
+        }
+    }
+
+    /**
+     * Crée l'élément DOM d'une part, identifié par sa clé
+     */
+    createPartElement(part, messageIndex, partIndex) {
+        const template = document.createElement('template');
+        template.innerHTML = this.renderPart(part, messageIndex, partIndex).trim();
+        const el = template.content.firstElementChild || document.createElement('div');
+        el.dataset.partKey = this.getPartKey(part, messageIndex, partIndex);
+        return el;
+    }
+
+    /**
+     * Crée l'emplacement d'un message non rendu (hauteur mesurée ou estimée)
+     */
+    createMessageShell(msg, messageIndex) {
+        const div = document.createElement('div');
+        const info = msg.info || msg;
+        const id = this.getMessageId(msg, messageIndex);
+        div.className = `message message-${info?.role || 'unknown'} message-placeholder`;
+        div.dataset.messageId = id;
+        const estimate = 90 + this.getParts(msg).length * ESTIMATED_PART_HEIGHT;
+        div.style.height = `${this.messageHeights.get(id) || estimate}px`;
+        return div;
+    }
+
+    /**
+     * Suit l'entrée/sortie des messages dans la zone de rendu
+     */
+    observeMessage(messageEl) {
+        if (!this.virtual) return;
+
+        if (!this.messageObserver) {
+            this.messageObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    const el = entry.target;
+                    const isPlaceholder = el.classList.contains('message-placeholder');
+                    if (entry.isIntersecting && isPlaceholder) {
+                        this.materializeMessage(el);
+                    } else if (!entry.isIntersecting && !isPlaceholder) {
+                        this.dematerializeMessage(el);
+                    }
+                });
+            }, { root: this.container, rootMargin: `${RENDER_MARGIN} 0px` });
+        }
+        this.messageObserver.observe(messageEl);
+    }
+
+    /**
+     * Remplace un emplacement par le rendu complet du message
+     */
+    materializeMessage(shellEl) {
+        const id = shellEl.dataset.messageId;
+        const index = this.messages.findIndex((msg, i) => this.getMessageId(msg, i) === id);
+        if (index < 0) return shellEl;
+
+        const messageEl = this.renderMessage(this.messages[index], false, index);
+        messageEl.classList.add('message-lazy');
+        messageEl.querySelectorAll(':scope .part[data-part-key]').forEach(partEl => {
+            if (this.hiddenResults.has(partEl.dataset.partKey)) {
+                partEl.querySelector('.tool-result')?.classList.add('hidden');
+                partEl.querySelector('.result-toggle-btn')?.classList.add('expanded');
+            }
         });
-        
-        if (newMessageAdded) {
-            this.highlightCode();
-            this.scrollToBottom();
+
+        this.swapMessageElement(shellEl, messageEl);
+        this.highlightCode(messageEl);
+        return messageEl;
+    }
+
+    /**
+     * Libère le rendu d'un message éloigné de la zone visible
+     * (sauf s'il contient un diff ou un déroulé de sous-agent ouvert par l'utilisateur)
+     */
+    dematerializeMessage(messageEl) {
+        if (messageEl.querySelector('.timeline-diff-inline, .timeline-subagent')) return;
+
+        const id = messageEl.dataset.messageId;
+        const index = this.messages.findIndex((msg, i) => this.getMessageId(msg, i) === id);
+        if (index < 0) return;
+
+        messageEl.querySelectorAll(':scope .part[data-part-key]').forEach(partEl => {
+            if (partEl.querySelector('.tool-result.hidden')) {
+                this.hiddenResults.add(partEl.dataset.partKey);
+            } else {
+                this.hiddenResults.delete(partEl.dataset.partKey);
+            }
+        });
+
+        this.messageHeights.set(id, messageEl.offsetHeight);
+        this.swapMessageElement(messageEl, this.createMessageShell(this.messages[index], index));
+    }
+
+    /**
+     * Échange deux versions d'un message en compensant le défilement
+     * si le message est au-dessus de la zone visible
+     */
+    swapMessageElement(oldEl, newEl) {
+        const isAbove = oldEl.getBoundingClientRect().bottom < this.container.getBoundingClientRect().top;
+        const previousHeight = oldEl.offsetHeight;
+
+        this.messageObserver?.unobserve(oldEl);
+        oldEl.replaceWith(newEl);
+        this.messageElements.set(newEl.dataset.messageId, newEl);
+        this.messageObserver?.observe(newEl);
+
+        if (isAbove) {
+            this.container.scrollTop += newEl.offsetHeight - previousHeight;
         }
     }
 
+    /**
+     * Affiche l'accès aux messages plus anciens, chargés au défilement vers le haut
+     */
+    renderLoadOlder() {
+        let loader = this.container.querySelector(':scope > .timeline-load-older');
+
+        if (this.firstLoadedIndex === 0) {
+            this.olderObserver?.disconnect();
+            loader?.remove();
+            return;
+        }
+
+        if (!loader) {
+            loader = document.createElement('div');
+            loader.className = 'timeline-load-older';
+            loader.innerHTML = '<button class="btn-secondary load-older-btn"></button>';
+            loader.querySelector('button').addEventListener('click', () => this.loadOlder());
+            this.container.prepend(loader);
+
+            this.olderObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadOlder();
+            }, { root: this.container, rootMargin: '600px 0px' });
+            this.olderObserver.observe(loader);
+        }
+
+        loader.querySelector('button').textContent =
+            `Charger les messages précédents (${this.firstLoadedIndex} restant(s))`;
+    }
+
+    /**
+     * Charge un lot de messages plus anciens au-dessus de la timeline
+     */
+    loadOlder(count = OLDER_BATCH) {
+        if (this.firstLoadedIndex === 0) return;
+
+        const newFirst = Math.max(0, this.firstLoadedIndex - count);
+        const firstEl = this.container.querySelector(':scope > .message');
+        const previousScrollHeight = this.container.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        const shells = [];
+
+        for (let index = newFirst; index < this.firstLoadedIndex; index++) {
+            const msg = this.messages[index];
+            const id = this.getMessageId(msg, index);
+            const shell = this.createMessageShell(msg, index);
+            this.messageElements.set(id, shell);
+            this.renderedMessageIds.add(id);
+            fragment.appendChild(shell);
+            shells.push(shell);
+        }
+
+        this.container.insertBefore(fragment, firstEl);
+        this.firstLoadedIndex = newFirst;
+        this.renderLoadOlder();
+        shells.forEach(shell => this.observeMessage(shell));
+
+        // Conserver la position de lecture
+        this.container.scrollTop += this.container.scrollHeight - previousScrollHeight;
+    }
+
+    /**
+     * Recale l'index du premier message chargé après des suppressions
+     */
+    syncLoadedRange() {
+        if (!this.virtual) return;
+        const firstEl = this.container.querySelector(':scope > .message');
+        const index = firstEl
+            ? this.messages.findIndex((msg, i) => this.getMessageId(msg, i) === firstEl.dataset.messageId)
+            : -1;
+        this.firstLoadedIndex = index >= 0 ? index : 0;
+        this.renderLoadOlder();
+    }
+
+    /**
+     * Retourne l'élément d'un message (s'il est chargé)
+     */
+    getMessageElement(messageIndex) {
+        const msg = this.messages[messageIndex];
+        if (!msg) return null;
+        return this.messageElements.get(this.getMessageId(msg, messageIndex)) || null;
+    }
+
+    /**
+     * Garantit qu'un message est chargé et rendu, puis retourne son élément
+     * (utilisé par les liens de l'onglet Modifs et la recherche)
+     */
+    revealMessage(messageIndex) {
+        if (!this.messages[messageIndex]) return null;
+
+        if (messageIndex < this.firstLoadedIndex) {
+            this.loadOlder(this.firstLoadedIndex - messageIndex);
+        }
+
+        const el = this.getMessageElement(messageIndex);
+        if (el && el.classList.contains('message-placeholder')) {
+            return this.materializeMessage(el);
+        }
+        return el;
+    }
+
+    /**
+     * Numérote les parts d'outil contenant un diff, dans l'ordre de la session
+     * (même numérotation que l'onglet Modifs)
+     */
+    indexPatches(messages) {
+        this.patchIndexes.clear();
+        let patchIndex = 0;
+
+        messages.forEach((msg, messageIndex) => {
+            this.getParts(msg).forEach((part, partIndex) => {
+                if (!isFileChangePart(part)) return;
+                this.patchIndexes.set(this.getPartKey(part, messageIndex, partIndex), patchIndex++);
+            });
+        });
+    }
+
+    getMessageId(msg, index = 0) {
+        return msg.info?.id || msg.id || `msg-${index}`;
+    }
+
+    getParts(msg) {
+        const info = msg.info || msg;
+        return info?.parts || msg.parts || [];
+    }
+
+    getPartKey(part, messageIndex, partIndex) {
+        return part.id || `${messageIndex}-${partIndex}`;
+    }
+
+    getPartSignature(part, messageIndex, partIndex) {
+        const patchIndex = this.patchIndexes.get(this.getPartKey(part, messageIndex, partIndex));
+        return `${messageIndex}:${partIndex}:${patchIndex ?? ''}:${JSON.stringify(part)}`;
+    }
+
+    isNearBottom() {
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        return scrollHeight - scrollTop - clientHeight < 80;
+    }
+
     scrollToBottom() {
         this.container.scrollTop = this.container.scrollHeight;
     }
 
+    /**
+     * Fait défiler jusqu'à une part (résultat d'outil déplié) et la met en évidence
+     */
+    scrollToPart(partKey) {
+        const selector = `.part[data-part-key="${CSS.escape(partKey)}"]`;
+        let partEl = this.container.querySelector(selector);
+        if (!partEl) {
+            const messageIndex = this.messages.findIndex((msg, index) =>
+                this.getParts(msg).some((part, partIndex) => this.getPartKey(part, index, partIndex) === partKey));
+            partEl = this.revealMessage(messageIndex)?.querySelector(selector);
+        }
+        if (!partEl) return false;
+
+        // Part masquée par les filtres: affichée (atténuée) avec son message
+        if (partEl.classList.contains('filtered-out')) partEl.closest('.message')?.classList.add('show-filtered');
+
+        const resultEl = partEl.querySelector('.tool-result.hidden');
+        if (resultEl) {
+            resultEl.classList.remove('hidden');
+            partEl.querySelector('.result-toggle-btn')?.classList.remove('expanded');
+        }
+
+        partEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        partEl.classList.remove('highlighted');
+        void partEl.offsetWidth;
+        partEl.classList.add('highlighted');
+        return true;
+    }
+
     /**
      * Affiche un état vide
      */
     renderEmpty() {
+        this.reset();
+        this.messages = [];
         this.container.innerHTML = `
             <div class="empty-state">
                 <div class="empty-icon">
@@ -109,8 +688,71 @@ export class TimelineRenderer {
         }
         div.dataset.messageId = info?.id || msg.id || Date.now();
 
-        const parts = info?.parts || msg.parts || [];
-        
+        const parts = this.getParts(msg);
+        const headerHtml = this.renderMessageHeader(msg);
+
+        div.innerHTML = `
+            <div class="message-header">${headerHtml}</div>
+            <div class="message-parts"></div>
+        `;
+        div.querySelector('.message-header').dataset.signature = headerHtml;
+        this.syncErrorBanner(div, msg);
+
+        const partsEl = div.querySelector('.message-parts');
+        if (parts.length === 0) {
+            partsEl.innerHTML = this.renderParts(parts, messageIndex, msg);
+        } else {
+            parts.forEach((part, partIndex) => {
+                const key = this.getPartKey(part, messageIndex, partIndex);
+                partsEl.appendChild(this.createPartElement(part, messageIndex, partIndex));
+                this.partSignatures.set(key, this.getPartSignature(part, messageIndex, partIndex));
+            });
+        }
+        this.applyFilter(div, msg);
+
+        return div;
+    }
+
+    /**
+     * Bandeau sous l'en-tête d'un message terminé en erreur (info.error ou
+     * finish "error"); une interruption (MessageAbortedError) est signalée à part
+     */
+    syncErrorBanner(messageEl, msg) {
+        const info = msg.info || msg;
+        const failed = Boolean(info.error) || info.finish === 'error';
+        messageEl.classList.toggle('message-error', failed);
+
+        let bannerEl = messageEl.querySelector(':scope > .message-error-banner');
+        if (!failed) {
+            bannerEl?.remove();
+            return;
+        }
+
+        const aborted = info.error?.name === 'MessageAbortedError';
+        const detail = info.error?.data?.message || info.error?.message || '';
+        const html = `
+            <strong>${aborted ? 'Message interrompu' : 'Message terminé en erreur'}</strong>
+            ${info.error?.name && !aborted ? `<span class="message-error-name">${this.escapeHtml(info.error.name)}</span>` : ''}
+            ${detail ? `<span class="message-error-detail">${this.escapeHtml(detail)}</span>` : ''}
+        `;
+        if (!bannerEl) {
+            bannerEl = document.createElement('div');
+            messageEl.querySelector(':scope > .message-header').after(bannerEl);
+        }
+        bannerEl.className = `message-error-banner ${aborted ? 'aborted' : ''}`;
+        if (bannerEl.dataset.signature !== html) {
+            bannerEl.innerHTML = html;
+            bannerEl.dataset.signature = html;
+        }
+    }
+
+    /**
+     * Rend l'en-tête d'un message (rôle, date, modèle, durée, tokens)
+     */
+    renderMessageHeader(msg) {
+        const info = msg.info || msg;
+        const role = info?.role || msg.role || 'unknown';
+
         // Calculate total duration for assistant messages
         const created = info?.time?.created || msg.time?.created;
         const completed = info?.time?.completed || msg.time?.completed;
@@ -124,7 +766,6 @@ export class TimelineRenderer {
         
         // Add tokens and cost info
         const tokens = info?.tokens || msg.tokens;
-        const cost = info?.cost || msg.cost;
         if (tokens) {
             const total = tokens.total || (tokens.input + tokens.output + (tokens.reasoning || 0));
             statsHtml = `<span class="message-stats" title="Tokens: ${tokens.input} in / ${tokens.output} out${tokens.reasoning ? ' / ' + tokens.reasoning + ' reasoning' : ''}">${total} tok</span>`;
@@ -142,66 +783,45 @@ export class TimelineRenderer {
             ? `<span class="message-mode" title="Mode">${this.escapeHtml(mode)}</span>` 
             : '';
 
-        div.innerHTML = `
-            <div class="message-header">
+        return `
                 <span class="role">${this.getRoleIcon(role)} ${this.getRoleName(role)}</span>
                 <span class="time">${this.formatTime(created)}</span>
                 ${modeHtml}
                 ${modelHtml}
                 ${durationHtml}
                 ${statsHtml}
-            </div>
-            <div class="message-parts">
-                ${this.renderParts(parts, messageIndex)}
-            </div>
+                ${this.permalinks ? '<a href="#" class="message-permalink" title="Copier le lien vers ce message">#</a>' : ''}
         `;
-
-        return div;
     }
 
     /**
      * Rend toutes les parts d'un message
      */
-    renderParts(parts, messageIndex = 0) {
+    renderParts(parts, messageIndex = 0, msg = null) {
         if (!parts || parts.length === 0) {
-            return '<div class="part part-text"><em>Aucun contenu</em></div>';
+            const info = msg?.info || msg;
+            const pending = info?.role === 'assistant' && !info?.time?.completed;
+            return `<div class="part part-text"><em>${pending ? 'En cours...' : 'Aucun contenu'}</em></div>`;
         }
 
         return parts.map((part, partIndex) => this.renderPart(part, messageIndex, partIndex)).join('');
     }
 
     /**
-     * Rend une part selon son type
+     * Rend une part avec le renderer enregistré pour son type
      */
     renderPart(part, messageIndex = 0, partIndex = 0) {
-        switch (part.type) {
-            case 'text':
-                return this.renderTextPart(part);
-
-            case 'tool':
-                return this.renderToolPart(part, messageIndex, partIndex);
-
-            case 'reasoning':
-                return this.renderReasoningPart(part);
-
-            case 'file':
-                return this.renderFilePart(part);
-
-            case 'snapshot':
-                return this.renderSnapshotPart(part);
-
-            case 'patch':
-                return this.renderPatchPart(part, `${messageIndex}-${partIndex}`);
-
-            case 'step-start':
-                return this.renderStepStartPart(part);
-
-            case 'step-finish':
-                return this.renderStepFinishPart(part);
-
-            default:
-                return this.renderUnknownPart(part);
+        const renderer = this.registry.getPartRenderer(part.type);
+        if (!renderer) {
+            return this.renderUnknownPart(part);
         }
+
+        return renderer(part, {
+            view: this,
+            messageIndex,
+            partIndex,
+            partKey: this.getPartKey(part, messageIndex, partIndex),
+        });
     }
 
     /**
@@ -246,10 +866,10 @@ export class TimelineRenderer {
         const state = part.state || {};
         const hasResult = result !== undefined && result !== null && result !== '';
 
-        // Check if this is an edit tool with oldString/newString
-        const isEditTool = name === 'edit' || name === 'write';
-        const hasDiff = isEditTool && (args.oldString !== undefined || args.newString !== undefined);
-        const currentPatchIndex = hasDiff ? this.patchIndexCounter++ : -1;
+        // edit (oldString/newString) ou write (contenu complet): diff affichable
+        const hasDiff = isFileChangePart({ type: 'tool', tool: name, state: { input: args } });
+        const patchIndex = this.patchIndexes.get(this.getPartKey(part, messageIndex, partIndex));
+        const currentPatchIndex = hasDiff && patchIndex !== undefined ? patchIndex : -1;
         const diffToggle = hasDiff ? `
             <button class="diff-toggle-btn" data-msg-index="${messageIndex}" data-part-index="${partIndex}" data-patch-index="${currentPatchIndex}" title="Afficher/Masquer les modifications">
                 <span class="diff-toggle-icon">
@@ -270,8 +890,11 @@ export class TimelineRenderer {
             </button>
         ` : '';
 
+        const isTask = name === 'task';
+        const partKey = this.getPartKey(part, messageIndex, partIndex);
+
         return `
-            <div class="part part-tool" data-msg-index="${messageIndex}" data-part-index="${partIndex}">
+            <div class="part part-tool ${isTask ? 'part-task' : ''} ${state.status === 'error' ? 'part-tool-error' : ''}" data-msg-index="${messageIndex}" data-part-index="${partIndex}">
                 ${this.renderTimestamp(part.time)}
                 <div class="tool-header">
                     ${resultToggle}
@@ -279,25 +902,105 @@ export class TimelineRenderer {
                         <path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path>
                     </svg>
                     <strong>${this.escapeHtml(String(name))}</strong>
-                    ${state.status ? `<span class="tool-status">(${state.status})</span>` : ''}
+                    ${state.status ? `<span class="tool-status tool-status-${this.escapeHtml(state.status)}">(${this.escapeHtml(state.status)})</span>` : ''}
                     ${diffToggle}
+                    ${this.permalinks ? '<a href="#" class="part-permalink" title="Copier le lien vers cet appel">#</a>' : ''}
                 </div>
-                ${Object.keys(args).length > 0 ? `
-                <div class="tool-args">
-                    <strong>Arguments:</strong>
-                    <pre><code class="language-json">${this.escapeHtml(JSON.stringify(args, null, 2))}</code></pre>
+                ${isTask ? this.renderSubagentBlock(part, args, partKey) : ''}
+                ${this.renderToolBody({
+                    name: String(name),
+                    args,
+                    state,
+                    status: state.status,
+                    output: result,
+                    hasResult,
+                    metadata: state.metadata || {},
+                    part,
+                    partKey,
+                    messageIndex,
+                    partIndex,
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Corps d'une part d'outil: renderer enregistré pour l'outil, sinon arguments
+     * JSON et résultat brut. Un renderer en erreur retombe sur le rendu générique.
+     */
+    renderToolBody(tool) {
+        const renderer = this.registry.getToolRenderer(tool.name);
+        if (renderer) {
+            try {
+                const html = renderer(tool, this);
+                if (html !== null && html !== undefined) return html;
+            } catch (error) {
+                console.error(`Renderer de l'outil ${tool.name} en erreur:`, error);
+            }
+        }
+
+        return `
+            ${this.renderToolArgs(tool.args)}
+            ${tool.hasResult ? this.renderToolResult(tool.output) : ''}
+        `;
+    }
+
+    /**
+     * Rend les arguments d'un outil en JSON
+     */
+    renderToolArgs(args) {
+        if (!args || Object.keys(args).length === 0) return '';
+        return `
+            <div class="tool-args">
+                <strong>Arguments:</strong>
+                <pre><code class="language-json">${this.escapeHtml(JSON.stringify(args, null, 2))}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * Rend le résultat brut d'un outil (masquable par le bouton de l'en-tête)
+     */
+    renderToolResult(result) {
+        return `
+            <div class="tool-result">
+                <strong>Résultat:</strong>
+                <pre><code>${this.escapeHtml(this.formatToolResult(result))}</code></pre>
+            </div>
+        `;
+    }
+
+    /**
+     * Rend l'en-tête d'un appel à un sous-agent (outil task): agent, description,
+     * résumé de la session enfant et bouton de dépliage du déroulé
+     */
+    renderSubagentBlock(part, args, partKey) {
+        return `
+            <div class="subagent-block">
+                <div class="subagent-header">
+                    ${args.subagent_type ? `<span class="subagent-agent">@${this.escapeHtml(args.subagent_type)}</span>` : ''}
+                    <span class="subagent-description">${this.escapeHtml(args.description || '')}</span>
+                    <button class="subagent-toggle" data-part-key="${this.escapeHtml(partKey)}" title="Afficher/Masquer le déroulé du sous-agent">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="9 18 15 12 9 6"></polyline>
+                        </svg>
+                        Déroulé
+                    </button>
                 </div>
-                ` : ''}
-                ${hasResult ? `
-                    <div class="tool-result">
-                        <strong>Résultat:</strong>
-                        <pre><code>${this.escapeHtml(this.formatToolResult(result))}</code></pre>
-                    </div>
-                ` : ''}
+                <div class="subagent-summary">${this.subagentSummaries.get(partKey) || ''}</div>
             </div>
         `;
     }
 
+    /**
+     * Met à jour le résumé d'un sous-agent (conservé pour les rendus suivants de la part)
+     */
+    setSubagentSummary(partKey, html) {
+        this.subagentSummaries.set(partKey, html);
+        const summaryEl = this.container.querySelector(`.part[data-part-key="${CSS.escape(partKey)}"] .subagent-summary`);
+        if (summaryEl) summaryEl.innerHTML = html;
+    }
+
     /**
      * Rend une part de raisonnement
      */
@@ -515,30 +1218,36 @@ export class TimelineRenderer {
      * Formate une durée en milliseconds
      */
     formatDuration(ms) {
-        if (ms < 1000) return `${ms}ms`;
-        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
-        const minutes = Math.floor(ms / 60000);
-        const seconds = Math.floor((ms % 60000) / 1000);
-        return `${minutes}m ${seconds}s`;
+        return formatDuration(ms);
     }
 
     /**
      * Échappe le HTML
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     }
 
     /**
-     * Applique la coloration syntaxique
+     * Applique la coloration syntaxique (sur toute la timeline ou un seul élément)
      */
-    highlightCode() {
+    highlightCode(root = this.container) {
         // @ts-ignore - Prism est chargé via CDN
         if (typeof Prism !== 'undefined') {
             // @ts-ignore
-            Prism.highlightAllUnder(this.container);
+            Prism.highlightAllUnder(root);
         }
     }
 }
+
+// Renderers des types de part OpenCode
+renderers
+    .registerPart('text', (part, { view }) => view.renderTextPart(part), { builtin: true })
+    .registerPart('tool', (part, { view, messageIndex, partIndex }) => view.renderToolPart(part, messageIndex, partIndex), { builtin: true })
+    .registerPart('reasoning', (part, { view }) => view.renderReasoningPart(part), { builtin: true })
+    .registerPart('file', (part, { view }) => view.renderFilePart(part), { builtin: true })
+    .registerPart('snapshot', (part, { view }) => view.renderSnapshotPart(part), { builtin: true })
+    .registerPart('patch', (part, { view, messageIndex, partIndex }) => view.renderPatchPart(part, `${messageIndex}-${partIndex}`), { builtin: true })
+    .registerPart('agent', (part, { view }) => view.renderAgentPart(part), { builtin: true })
+    .registerPart('step-start', (part, { view }) => view.renderStepStartPart(part), { builtin: true })
+    .registerPart('step-finish', (part, { view }) => view.renderStepFinishPart(part), { builtin: true });
@@ -0,0 +1,246 @@
+/**
+ * Suivi de la liste de tâches de l'agent: chaque appel todowrite remplace la liste
+ * complète, todoread la relit. On reconstitue les états successifs et, pour chaque
+ * tâche, les étapes où elle a été ajoutée, démarrée, terminée...
+ */
+import { escapeHtml, formatTime, truncate } from './format.js';
+
+export const TODO_ICONS = {
+    completed: '☑',
+    in_progress: '◐',
+    cancelled: '☒',
+    pending: '☐',
+};
+
+const CHANGE_LABELS = {
+    added: 'Ajoutée',
+    started: 'Démarrée',
+    completed: 'Terminée',
+    cancelled: 'Annulée',
+    reopened: 'Remise en attente',
+    edited: 'Modifiée',
+    removed: 'Retirée',
+};
+
+/**
+ * États successifs de la liste: [{ messageIndex, partKey, time, tool, todos, changes }]
+ * Un appel qui ne change rien à la liste ne crée pas d'état.
+ */
+export function computeTodoHistory(messages) {
+    const snapshots = [];
+    let previous = [];
+
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        (msg.parts || info.parts || []).forEach((part, partIndex) => {
+            if (part.type !== 'tool' || (part.tool !== 'todowrite' && part.tool !== 'todoread')) return;
+            if (part.state?.status === 'error') return;
+
+            const todos = readTodos(part);
+            if (!todos) return;
+
+            const changes = diffTodos(previous, todos);
+            if (changes.length === 0) return;
+
+            snapshots.push({
+                messageIndex,
+                partKey: part.id || `${messageIndex}-${partIndex}`,
+                time: part.state?.time?.start || part.time?.start || info.time?.created,
+                tool: part.tool,
+                todos,
+                changes,
+            });
+            previous = todos;
+        });
+    });
+
+    return snapshots;
+}
+
+/**
+ * Historique d'une tâche jusqu'à un état donné (inclus)
+ */
+export function getTodoEvents(snapshots, todoKey, untilIndex = snapshots.length - 1) {
+    const events = [];
+    snapshots.slice(0, untilIndex + 1).forEach((snapshot, snapshotIndex) => {
+        snapshot.changes
+            .filter(change => change.key === todoKey)
+            .forEach(change => events.push({ ...change, snapshotIndex, messageIndex: snapshot.messageIndex, partKey: snapshot.partKey, time: snapshot.time }));
+    });
+    return events;
+}
+
+export class TodoPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.snapshots = [];
+        this.selected = -1;
+
+        this.container.addEventListener('input', e => {
+            if (e.target.classList.contains('todo-slider')) {
+                this.selected = parseInt(e.target.value);
+                this.renderStep();
+            }
+        });
+
+        this.container.addEventListener('click', e => {
+            const link = e.target.closest('[data-snapshot]');
+            if (!link) return;
+            e.preventDefault();
+            const snapshot = this.snapshots[parseInt(link.dataset.snapshot)];
+            if (snapshot) this.onSelect(snapshot);
+        });
+    }
+
+    /**
+     * Rend le panneau; reste sur l'état sélectionné sauf s'il s'agissait du dernier
+     */
+    render(messages) {
+        const wasLatest = this.selected === this.snapshots.length - 1;
+        this.snapshots = computeTodoHistory(messages);
+
+        if (this.snapshots.length === 0) {
+            this.selected = -1;
+            this.container.innerHTML = '<div class="empty-stats">Aucune liste de tâches (todowrite) dans cette session</div>';
+            return;
+        }
+
+        if (wasLatest || this.selected < 0 || this.selected >= this.snapshots.length) {
+            this.selected = this.snapshots.length - 1;
+        }
+
+        this.container.innerHTML = `
+            <div class="todo-tracker">
+                <div class="todo-progress"></div>
+                <div class="todo-history">
+                    <input type="range" class="todo-slider" min="0" max="${this.snapshots.length - 1}" value="${this.selected}" ${this.snapshots.length === 1 ? 'disabled' : ''}>
+                    <div class="todo-step-label"></div>
+                    <div class="todo-step-changes"></div>
+                </div>
+                <ul class="todo-checklist"></ul>
+                <div class="todo-removed"></div>
+            </div>
+        `;
+        this.renderStep();
+    }
+
+    /**
+     * Rend l'état sélectionné par le curseur
+     */
+    renderStep() {
+        const snapshot = this.snapshots[this.selected];
+        const todos = snapshot.todos;
+        const changedKeys = new Set(snapshot.changes.map(change => change.key));
+        const done = todos.filter(todo => todo.status === 'completed').length;
+        const running = todos.filter(todo => todo.status === 'in_progress').length;
+        const cancelled = todos.filter(todo => todo.status === 'cancelled').length;
+        const percent = todos.length - cancelled ? Math.round((done / (todos.length - cancelled)) * 100) : 0;
+
+        this.container.querySelector('.todo-progress').innerHTML = `
+            <div class="todo-progress-bar"><div style="width: ${percent}%"></div></div>
+            <span><strong>${done}/${todos.length - cancelled}</strong> terminée(s)${running ? ` · ${running} en cours` : ''}${cancelled ? ` · ${cancelled} annulée(s)` : ''}</span>
+        `;
+
+        this.container.querySelector('.todo-step-label').innerHTML = `
+            État ${this.selected + 1}/${this.snapshots.length}
+            · <a href="#" data-snapshot="${this.selected}">message ${snapshot.messageIndex + 1}</a>
+            ${snapshot.time ? `· ${formatTime(snapshot.time)}` : ''}
+        `;
+
+        this.container.querySelector('.todo-step-changes').innerHTML = snapshot.changes
+            .map(change => `<span class="todo-change change-${change.kind}" title="${escapeHtml(change.content)}">${CHANGE_LABELS[change.kind]}: ${escapeHtml(truncate(change.content, 40))}</span>`)
+            .join('');
+
+        this.container.querySelector('.todo-checklist').innerHTML = todos.map(todo => {
+            const key = todoKey(todo);
+            const events = getTodoEvents(this.snapshots, key, this.selected);
+            return `
+                <li class="todo-item todo-${escapeHtml(todo.status || 'pending')} ${changedKeys.has(key) ? 'todo-changed' : ''}">
+                    <div class="todo-item-main">
+                        <span class="todo-icon">${TODO_ICONS[todo.status] || TODO_ICONS.pending}</span>
+                        <span class="todo-content">${escapeHtml(todo.content || '')}</span>
+                        ${todo.priority ? `<span class="todo-priority priority-${escapeHtml(todo.priority)}">${escapeHtml(todo.priority)}</span>` : ''}
+                    </div>
+                    <div class="todo-item-history">
+                        ${events.map(event => `
+                            <a href="#" data-snapshot="${event.snapshotIndex}" title="Message ${event.messageIndex + 1}${event.time ? ` · ${formatTime(event.time)}` : ''}">${CHANGE_LABELS[event.kind]}</a>
+                        `).join(' → ')}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const removed = snapshot.changes.filter(change => change.kind === 'removed');
+        this.container.querySelector('.todo-removed').innerHTML = removed.length ? `
+            <div class="todo-removed-title">Retirée(s) à cet état</div>
+            ${removed.map(change => `<div class="todo-removed-item">${escapeHtml(change.content)}</div>`).join('')}
+        ` : '';
+    }
+}
+
+/**
+ * Liste de tâches portée par un appel: arguments de todowrite, sinon métadonnées
+ * ou sortie JSON (todoread)
+ */
+function readTodos(part) {
+    const state = part.state || {};
+    if (Array.isArray(state.input?.todos)) return state.input.todos;
+    if (Array.isArray(state.metadata?.todos)) return state.metadata.todos;
+    if (typeof state.output === 'string') {
+        try {
+            const parsed = JSON.parse(state.output);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (error) {
+            // Sortie non JSON: pas de liste exploitable
+        }
+    }
+    return null;
+}
+
+function diffTodos(before, after) {
+    const changes = [];
+    const previous = new Map(before.map(todo => [todoKey(todo), todo]));
+    const next = new Set();
+
+    after.forEach(todo => {
+        const key = todoKey(todo);
+        next.add(key);
+        const old = previous.get(key);
+        const content = todo.content || '';
+
+        if (!old) {
+            changes.push({ key, kind: 'added', content });
+            // Une tâche peut être ajoutée directement en cours ou terminée
+            if (todo.status && todo.status !== 'pending') {
+                changes.push({ key, kind: statusChangeKind(todo.status), content });
+            }
+            return;
+        }
+        if (old.status !== todo.status) {
+            changes.push({ key, kind: statusChangeKind(todo.status), content });
+        }
+        if (old.content !== todo.content || old.priority !== todo.priority) {
+            changes.push({ key, kind: 'edited', content });
+        }
+    });
+
+    before.forEach(todo => {
+        if (!next.has(todoKey(todo))) {
+            changes.push({ key: todoKey(todo), kind: 'removed', content: todo.content || '' });
+        }
+    });
+
+    return changes;
+}
+
+function statusChangeKind(status) {
+    if (status === 'in_progress') return 'started';
+    if (status === 'completed') return 'completed';
+    if (status === 'cancelled') return 'cancelled';
+    return 'reopened';
+}
+
+function todoKey(todo) {
+    return todo.id ? `id:${todo.id}` : `content:${todo.content}`;
+}
@@ -0,0 +1,209 @@
+/**
+ * Renderers des outils OpenCode (bash, read, grep, glob, webfetch, todowrite...)
+ * Voir renderer-registry.js pour le contrat d'un renderer d'outil.
+ */
+import { renderers } from './renderer-registry.js';
+import { TODO_ICONS } from './todo-tracker.js';
+
+/**
+ * bash: bloc terminal avec la commande, la sortie et le code de retour
+ */
+export function renderBashTool(tool, view) {
+    const { args, metadata } = tool;
+    const exit = metadata.exit ?? metadata.exitCode;
+    const output = tool.hasResult ? view.formatToolResult(tool.output) : (metadata.output || '');
+
+    return `
+        <div class="tool-terminal">
+            ${args.description ? `<div class="terminal-description">${view.escapeHtml(args.description)}</div>` : ''}
+            <div class="terminal-command"><span class="terminal-prompt">$</span> ${view.escapeHtml(args.command || '')}</div>
+            ${output ? `<pre class="tool-result terminal-output">${view.escapeHtml(output)}</pre>` : ''}
+            ${exit !== undefined && exit !== null ? `
+                <div class="terminal-exit ${exit === 0 ? 'exit-ok' : 'exit-error'}">exit ${view.escapeHtml(String(exit))}</div>
+            ` : ''}
+            ${tool.state.error ? `<div class="tool-error">${view.escapeHtml(String(tool.state.error))}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * read: vue du fichier avec numéros de ligne
+ */
+export function renderReadTool(tool, view) {
+    const { args } = tool;
+    const lines = parseNumberedLines(tool.hasResult ? view.formatToolResult(tool.output) : '', args.offset || 0);
+
+    return `
+        <div class="tool-file-header">
+            ${renderPath(args.filePath || '', view)}
+            ${args.offset || args.limit ? `<span class="tool-file-range">lignes ${(args.offset || 0) + 1}–${(args.offset || 0) + (args.limit || lines.length)}</span>` : ''}
+        </div>
+        ${lines.length > 0 ? `
+            <div class="tool-result tool-file-view">
+                <table>
+                    ${lines.map(({ number, text }) => `
+                        <tr><td class="line-number">${number ?? ''}</td><td class="line-content">${view.escapeHtml(text)}</td></tr>
+                    `).join('')}
+                </table>
+            </div>
+        ` : ''}
+        ${tool.state.error ? `<div class="tool-error">${view.escapeHtml(String(tool.state.error))}</div>` : ''}
+    `;
+}
+
+/**
+ * grep: fichiers trouvés (cliquables) et lignes correspondantes
+ */
+export function renderGrepTool(tool, view) {
+    const { args } = tool;
+    const output = tool.hasResult ? view.formatToolResult(tool.output) : '';
+    const matches = parseGrepOutput(output);
+
+    return `
+        <div class="tool-search-query">
+            <code>${view.escapeHtml(args.pattern || '')}</code>
+            ${args.include ? ` dans <code>${view.escapeHtml(args.include)}</code>` : ''}
+            ${args.path ? ` sous ${renderPath(args.path, view)}` : ''}
+        </div>
+        ${matches.length > 0 ? `
+            <ul class="tool-result tool-path-list">
+                ${matches.map(match => `
+                    <li>
+                        ${renderPath(match.file, view)}
+                        ${match.lines.map(line => `
+                            <div class="tool-path-match"><span class="line-number">${line.number}</span>${view.escapeHtml(line.text)}</div>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : (output ? view.renderToolResult(output) : '')}
+    `;
+}
+
+/**
+ * glob: liste des chemins trouvés (cliquables)
+ */
+export function renderGlobTool(tool, view) {
+    const { args } = tool;
+    const output = tool.hasResult ? view.formatToolResult(tool.output) : '';
+    const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+    const paths = lines.filter(line => !line.startsWith('('));
+    const notes = lines.filter(line => line.startsWith('('));
+
+    return `
+        <div class="tool-search-query">
+            <code>${view.escapeHtml(args.pattern || '')}</code>
+            ${args.path ? ` sous ${renderPath(args.path, view)}` : ''}
+        </div>
+        ${output ? `
+            <ul class="tool-result tool-path-list">
+                ${paths.map(path => `<li>${path.includes('/') ? renderPath(path, view) : view.escapeHtml(path)}</li>`).join('')}
+                ${notes.map(note => `<li class="tool-path-note">${view.escapeHtml(note)}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+/**
+ * webfetch: lien vers l'URL et contenu récupéré
+ */
+export function renderWebfetchTool(tool, view) {
+    const { args } = tool;
+    return `
+        <div class="tool-search-query">
+            <a href="${view.escapeHtml(args.url || '')}" target="_blank" rel="noopener noreferrer">${view.escapeHtml(args.url || '')}</a>
+            ${args.format ? `<span class="tool-file-range">${view.escapeHtml(args.format)}</span>` : ''}
+        </div>
+        ${tool.hasResult ? view.renderToolResult(tool.output) : ''}
+    `;
+}
+
+/**
+ * todowrite / todoread: liste de tâches cochée selon le statut
+ */
+export function renderTodoTool(tool, view) {
+    const todos = tool.args.todos || tool.metadata.todos || [];
+    if (!Array.isArray(todos) || todos.length === 0) return null;
+
+    return `
+        <ul class="tool-todo-list">
+            ${todos.map(todo => `
+                <li class="todo-${view.escapeHtml(todo.status || 'pending')}">
+                    <span class="todo-icon">${TODO_ICONS[todo.status] || TODO_ICONS.pending}</span>
+                    ${view.escapeHtml(todo.content || '')}
+                    ${todo.priority ? `<span class="todo-priority priority-${view.escapeHtml(todo.priority)}">${view.escapeHtml(todo.priority)}</span>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * edit / write: chemin du fichier, nouveau fichier ou écrasement pour un write
+ * (le diff reste accessible par le bouton de l'en-tête)
+ */
+export function renderFileChangeTool(tool, view) {
+    const { args, metadata } = tool;
+    const content = tool.name === 'write' && typeof args.content === 'string' ? args.content : null;
+    const exists = metadata.exists;
+
+    return `
+        <div class="tool-file-header">
+            ${renderPath(args.filePath || '', view)}
+            ${content !== null && exists === false ? '<span class="tool-write-kind write-new">Nouveau fichier</span>' : ''}
+            ${content !== null && exists === true ? '<span class="tool-write-kind write-overwrite">Écrasement</span>' : ''}
+        </div>
+        ${content !== null ? `<pre class="tool-write-content"><code>${view.escapeHtml(content)}</code></pre>` : ''}
+        ${tool.hasResult ? view.renderToolResult(tool.output) : ''}
+        ${tool.state.error ? `<div class="tool-error">${view.escapeHtml(String(tool.state.error))}</div>` : ''}
+    `;
+}
+
+renderers
+    .registerTool('bash', renderBashTool, { builtin: true })
+    .registerTool('read', renderReadTool, { builtin: true })
+    .registerTool('grep', renderGrepTool, { builtin: true })
+    .registerTool('glob', renderGlobTool, { builtin: true })
+    .registerTool('webfetch', renderWebfetchTool, { builtin: true })
+    .registerTool('todowrite', renderTodoTool, { builtin: true })
+    .registerTool('todoread', renderTodoTool, { builtin: true })
+    .registerTool('edit', renderFileChangeTool, { builtin: true })
+    .registerTool('write', renderFileChangeTool, { builtin: true });
+
+function renderPath(path, view) {
+    return `<a href="#" class="tool-path" data-path="${view.escapeHtml(path)}" title="${view.escapeHtml(path)}">${view.escapeHtml(path)}</a>`;
+}
+
+/**
+ * Lignes de la sortie de read ("00012| texte" entre balises <file>); sans numéros,
+ * on numérote à partir de l'offset
+ */
+function parseNumberedLines(output, offset) {
+    const lines = output.replace(/^<file>\n?/, '').replace(/\n?<\/file>\s*$/, '').split('\n');
+    if (lines.length === 1 && lines[0] === '') return [];
+
+    const numbered = lines.map(line => line.match(/^\s*(\d+)\| ?(.*)$/));
+    if (!numbered.some(Boolean)) {
+        return lines.map((text, index) => ({ number: offset + index + 1, text }));
+    }
+    return lines.map((line, index) => {
+        const match = numbered[index];
+        return match ? { number: Number(match[1]), text: match[2] } : { number: null, text: line };
+    });
+}
+
+/**
+ * Sortie de grep: "chemin:" suivi de lignes "  Line 12: texte"
+ */
+function parseGrepOutput(output) {
+    const matches = [];
+    output.split('\n').forEach(line => {
+        const lineMatch = line.match(/^\s+Line (\d+): ?(.*)$/);
+        if (lineMatch && matches.length > 0) {
+            matches[matches.length - 1].lines.push({ number: Number(lineMatch[1]), text: lineMatch[2] });
+        } else if (/^\S.*:$/.test(line) && !/^Found \d+ match/.test(line)) {
+            matches.push({ file: line.slice(0, -1), lines: [] });
+        }
+    });
+    return matches;
+}
@@ -0,0 +1,239 @@
+/**
+ * Agrégation de la consommation (tokens, coût) sur l'ensemble des sessions
+ *
+ * Une ligne d'usage par message assistant: les tokens et le coût d'OpenCode sont
+ * portés par chaque message (info.tokens, info.cost), le total d'une session est
+ * donc la somme de ses messages.
+ */
+
+export const USAGE_DIMENSIONS = {
+    day: 'Jour',
+    project: 'Projet',
+    model: 'Modèle',
+    agent: 'Agent / mode',
+    sessionId: 'Session',
+};
+
+export const USAGE_METRICS = ['input', 'output', 'reasoning', 'cacheRead', 'cacheWrite', 'total', 'cost'];
+
+export class UsageAnalytics {
+    constructor(source) {
+        this.source = source;
+        this.records = new Map();
+        this.loading = false;
+        this.queue = new Map();
+        this.progressListeners = new Set();
+    }
+
+    /**
+     * Charge l'usage des sessions nouvelles ou modifiées depuis le dernier passage.
+     * Un appel pendant un chargement en cours est ajouté à ce chargement.
+     */
+    async collect(sessions) {
+        const pending = sessions.filter(session => {
+            return this.records.get(session.id)?.updated !== (session.time?.updated || 0);
+        });
+
+        pending.forEach(session => this.queue.set(session.id, session));
+
+        if (this.loading) {
+            if (this.progress) this.progress.total = this.progress.done + this.queue.size;
+            this.notifyProgress();
+            return this.loadingPromise;
+        }
+        if (this.queue.size === 0) {
+            this.notifyProgress();
+            return;
+        }
+
+        this.loading = true;
+        this.progress = { done: 0, total: this.queue.size };
+        this.notifyProgress();
+        this.loadingPromise = this.processQueue();
+        return this.loadingPromise;
+    }
+
+    async processQueue() {
+        while (this.queue.size > 0) {
+            const [sessionId, session] = this.queue.entries().next().value;
+            this.queue.delete(sessionId);
+            try {
+                const messages = await this.source.getSessionMessages(session.id);
+                this.setSession(session, messages);
+            } catch (error) {
+                console.error(`Usage non chargé pour ${session.id}:`, error);
+            }
+            this.progress.done++;
+            this.notifyProgress();
+        }
+
+        this.loading = false;
+        this.notifyProgress();
+    }
+
+    /**
+     * Oublie les sessions qui ne font plus partie de la liste
+     */
+    retain(sessions) {
+        const known = new Set(sessions.map(session => session.id));
+        this.records.forEach((_, sessionId) => {
+            if (!known.has(sessionId)) this.records.delete(sessionId);
+        });
+    }
+
+    /**
+     * Totaux d'une session (null si son usage n'est pas encore chargé)
+     */
+    getSessionTotals(sessionId) {
+        const record = this.records.get(sessionId);
+        if (!record) return null;
+        return groupUsage(record.rows, () => sessionId)[0] || emptyTotals(sessionId);
+    }
+
+    /**
+     * (Re)calcule les lignes d'usage d'une session
+     */
+    setSession(session, messages) {
+        const rows = (messages || [])
+            .map(msg => usageRow(session, msg.info || msg))
+            .filter(Boolean);
+        this.records.set(session.id, { updated: session.time?.updated || 0, rows });
+    }
+
+    /**
+     * Lignes d'usage comprises dans l'intervalle [from, to] (jours 'AAAA-MM-JJ' inclus)
+     */
+    getRows({ from = null, to = null } = {}) {
+        const rows = [];
+        this.records.forEach(record => {
+            record.rows.forEach(row => {
+                if (from && row.day < from) return;
+                if (to && row.day > to) return;
+                rows.push(row);
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Premier et dernier jour ayant de l'usage
+     */
+    getDayRange() {
+        const days = this.getRows().map(row => row.day).sort();
+        return { from: days[0] || null, to: days[days.length - 1] || null };
+    }
+
+    onProgress(callback) {
+        this.progressListeners.add(callback);
+        return () => this.progressListeners.delete(callback);
+    }
+
+    notifyProgress() {
+        const status = {
+            loading: this.loading,
+            done: this.progress?.done || 0,
+            total: this.progress?.total || 0,
+        };
+        this.progressListeners.forEach(listener => listener(status));
+    }
+}
+
+/**
+ * Somme l'usage des messages d'une session (tokens de tous les messages assistant)
+ */
+export function sumMessageUsage(messages) {
+    return groupUsage((messages || []).map(msg => usageRow({}, msg.info || msg)).filter(Boolean), () => 'all')[0]
+        || emptyTotals('all');
+}
+
+/**
+ * Regroupe des lignes d'usage selon une dimension (day, project, model, agent, sessionId)
+ */
+export function groupUsage(rows, dimension) {
+    const getKey = typeof dimension === 'function' ? dimension : row => row[dimension];
+    const groups = new Map();
+
+    rows.forEach(row => {
+        const key = getKey(row) || 'inconnu';
+        if (!groups.has(key)) {
+            groups.set(key, { ...emptyTotals(key), sessionIds: new Set() });
+        }
+        const group = groups.get(key);
+        group.messages++;
+        group.sessionIds.add(row.sessionId);
+        USAGE_METRICS.forEach(metric => {
+            group[metric] += row[metric];
+        });
+    });
+
+    return [...groups.values()].map(({ sessionIds, ...group }) => ({ ...group, sessions: sessionIds.size }));
+}
+
+/**
+ * Sérialise des groupes d'usage en CSV (séparateur virgule, nombres bruts)
+ */
+export function usageToCSV(groups, dimension) {
+    const header = [dimension, 'sessions', 'messages', 'input', 'output', 'reasoning', 'cache_read', 'cache_write', 'total_tokens', 'cost'];
+    const lines = groups.map(group => [
+        group.label || group.key,
+        group.sessions,
+        group.messages,
+        group.input,
+        group.output,
+        group.reasoning,
+        group.cacheRead,
+        group.cacheWrite,
+        group.total,
+        group.cost.toFixed(6),
+    ]);
+    return [header, ...lines].map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Jour local au format AAAA-MM-JJ
+ */
+export function dayKey(timestamp) {
+    if (!timestamp) return 'inconnu';
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function usageRow(session, info) {
+    if (info?.role !== 'assistant') return null;
+    const tokens = info.tokens || {};
+    const input = tokens.input || 0;
+    const output = tokens.output || 0;
+    const reasoning = tokens.reasoning || 0;
+    const cacheRead = tokens.cache?.read || 0;
+    const cacheWrite = tokens.cache?.write || 0;
+    const cost = info.cost || 0;
+    if (!input && !output && !reasoning && !cacheRead && !cacheWrite && !cost) return null;
+
+    return {
+        sessionId: info.sessionID || session.id,
+        sessionTitle: session.title || info.sessionID || session.id,
+        messageId: info.id,
+        time: info.time?.created || 0,
+        day: dayKey(info.time?.created),
+        project: session.directory || info.path?.root || info.path?.cwd || session.projectID,
+        model: info.modelID ? [info.providerID, info.modelID].filter(Boolean).join('/') : null,
+        agent: info.agent || info.mode,
+        input,
+        output,
+        reasoning,
+        cacheRead,
+        cacheWrite,
+        total: tokens.total || (input + output + reasoning + cacheRead + cacheWrite),
+        cost,
+    };
+}
+
+function emptyTotals(key) {
+    return { key, messages: 0, sessions: 0, input: 0, output: 0, reasoning: 0, cacheRead: 0, cacheWrite: 0, total: 0, cost: 0 };
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,363 @@
+/**
+ * Vue "cascade": messages, étapes, appels d'outils et raisonnements sur un axe de temps
+ */
+import { escapeHtml, formatDuration } from './format.js';
+
+// Au-delà, une attente de l'utilisateur est compressée à l'affichage
+const IDLE_COMPRESS_AFTER = 30000;
+const IDLE_COMPRESSED_WIDTH = 5000;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 64;
+
+/**
+ * Construit les lignes de la cascade et le résumé du temps passé
+ */
+export function computeWaterfall(messages) {
+    const rows = [];
+    const gaps = [];
+    const toolIntervals = [];
+    let modelTime = 0;
+    let lastAssistantEnd = null;
+
+    (messages || []).forEach((msg, messageIndex) => {
+        const info = msg.info || msg;
+        const parts = msg.parts || info.parts || [];
+        const created = info.time?.created;
+        if (!created) return;
+
+        if (info.role === 'user') {
+            if (lastAssistantEnd && created > lastAssistantEnd) {
+                gaps.push({ start: lastAssistantEnd, end: created });
+            }
+            rows.push({ kind: 'user', depth: 0, label: 'Utilisateur', start: created, end: created, messageIndex });
+            return;
+        }
+
+        const partTimes = parts.map(partTime).filter(time => time.start);
+        const end = info.time?.completed || Math.max(created, ...partTimes.map(time => time.end || time.start));
+        rows.push({
+            kind: 'message',
+            depth: 0,
+            label: info.modelID ? `Assistant · ${info.modelID}` : 'Assistant',
+            start: created,
+            end,
+            messageIndex,
+            error: info.error ? (info.error.data?.message || info.error.name) : null,
+        });
+        modelTime += end - created;
+        lastAssistantEnd = Math.max(lastAssistantEnd || 0, end);
+
+        // Étapes: de step-start à step-finish, bornées par les parts qu'elles contiennent
+        let step = null;
+        let stepCount = 0;
+        let stepStart = created;
+        const closeStep = stepEnd => {
+            const times = step.parts.map(partTime).filter(time => time.start);
+            const start = Math.min(stepStart, ...times.map(time => time.start));
+            const stop = stepEnd || Math.max(start, ...times.map(time => time.end || time.start));
+            step.row.start = start;
+            step.row.end = stop;
+            stepStart = stop;
+            step = null;
+        };
+
+        parts.forEach((part, partIndex) => {
+            const partKey = part.id || `${messageIndex}-${partIndex}`;
+
+            if (part.type === 'step-start') {
+                if (step) closeStep();
+                stepCount++;
+                step = { parts: [], row: { kind: 'step', depth: 1, label: `Étape ${stepCount}`, messageIndex, partKey } };
+                rows.push(step.row);
+                return;
+            }
+            if (part.type === 'step-finish') {
+                if (step) {
+                    step.row.finish = part.reason;
+                    closeStep();
+                }
+                return;
+            }
+
+            const time = partTime(part);
+            if (!time.start || !['tool', 'reasoning', 'text'].includes(part.type)) return;
+            step?.parts.push(part);
+
+            const row = {
+                kind: part.type,
+                depth: step ? 2 : 1,
+                label: partLabel(part),
+                start: time.start,
+                end: time.end || time.start,
+                messageIndex,
+                partKey,
+                status: part.state?.status,
+            };
+            rows.push(row);
+            if (part.type === 'tool') toolIntervals.push({ start: row.start, end: row.end });
+        });
+
+        // Dernière étape non terminée (session en cours)
+        if (step) closeStep(info.time?.completed);
+    });
+
+    const timed = rows.filter(row => row.start);
+    const start = timed.length ? Math.min(...timed.map(row => row.start)) : 0;
+    const end = timed.length ? Math.max(...timed.map(row => row.end)) : 0;
+    const toolTime = unionDuration(toolIntervals);
+    const waitingTime = gaps.reduce((sum, gap) => sum + gap.end - gap.start, 0);
+
+    return {
+        rows,
+        gaps,
+        start,
+        end,
+        summary: {
+            total: end - start,
+            // Temps des messages assistant hors exécution des outils
+            model: Math.max(0, modelTime - toolTime),
+            tools: toolTime,
+            waiting: waitingTime,
+        },
+    };
+}
+
+function partTime(part) {
+    const time = part.time || part.state?.time || {};
+    return { start: time.start, end: time.end };
+}
+
+function partLabel(part) {
+    if (part.type === 'tool') {
+        const name = typeof part.tool === 'string' ? part.tool : (part.tool?.name || 'outil');
+        const input = part.state?.input || {};
+        const target = input.filePath || input.command || input.pattern || input.path || input.url || input.description || '';
+        return target ? `${name} · ${target}` : name;
+    }
+    if (part.type === 'reasoning') return 'Raisonnement';
+    return `Texte · ${(part.text || '').slice(0, 60)}`;
+}
+
+/**
+ * Durée couverte par des intervalles qui peuvent se chevaucher (outils en parallèle)
+ */
+function unionDuration(intervals) {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    let total = 0;
+    let current = null;
+    sorted.forEach(interval => {
+        if (!current || interval.start > current.end) {
+            if (current) total += current.end - current.start;
+            current = { ...interval };
+        } else {
+            current.end = Math.max(current.end, interval.end);
+        }
+    });
+    if (current) total += current.end - current.start;
+    return total;
+}
+
+export class WaterfallView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});
+        this.zoom = 1;
+        this.compressIdle = true;
+        this.data = null;
+
+        this.container.addEventListener('click', e => this.handleClick(e));
+        this.container.addEventListener('change', e => {
+            if (e.target.classList.contains('waterfall-compress')) {
+                this.compressIdle = e.target.checked;
+                this.renderCanvas();
+            }
+        });
+        this.container.addEventListener('wheel', e => {
+            if (!e.ctrlKey || !e.target.closest('.waterfall-scroll')) return;
+            e.preventDefault();
+            this.setZoom(this.zoom * (e.deltaY < 0 ? 1.25 : 0.8), e.clientX);
+        }, { passive: false });
+        this.setupPan();
+    }
+
+    /**
+     * Rend la cascade d'une session
+     */
+    render(messages) {
+        this.data = computeWaterfall(messages);
+        const { summary } = this.data;
+
+        if (this.data.rows.length === 0) {
+            this.container.innerHTML = '<div class="empty-stats">Aucune donnée temporelle dans cette session</div>';
+            return;
+        }
+
+        const share = value => summary.total ? `${Math.round((value / summary.total) * 100)}%` : '0%';
+        this.container.innerHTML = `
+            <div class="waterfall-toolbar">
+                <div class="waterfall-summary">
+                    <span>Durée totale <strong>${formatDuration(summary.total)}</strong></span>
+                    <span class="waterfall-summary-model">Modèle <strong>${formatDuration(summary.model)}</strong> (${share(summary.model)})</span>
+                    <span class="waterfall-summary-tools">Outils <strong>${formatDuration(summary.tools)}</strong> (${share(summary.tools)})</span>
+                    <span class="waterfall-summary-waiting">Attente utilisateur <strong>${formatDuration(summary.waiting)}</strong> (${share(summary.waiting)})</span>
+                </div>
+                <div class="waterfall-controls">
+                    <label><input type="checkbox" class="waterfall-compress" ${this.compressIdle ? 'checked' : ''}> Compresser les attentes</label>
+                    <button class="btn-icon waterfall-zoom" data-zoom="out" title="Dézoomer">−</button>
+                    <button class="btn-icon waterfall-zoom" data-zoom="reset" title="Vue complète">1:1</button>
+                    <button class="btn-icon waterfall-zoom" data-zoom="in" title="Zoomer (ou Ctrl + molette)">+</button>
+                </div>
+            </div>
+            <div class="waterfall-scroll"></div>
+        `;
+        this.renderCanvas();
+    }
+
+    /**
+     * Rend l'axe, les attentes et les lignes selon le zoom et la compression courants
+     */
+    renderCanvas() {
+        const scroll = this.container.querySelector('.waterfall-scroll');
+        if (!scroll || !this.data) return;
+
+        const { rows, gaps } = this.data;
+        const scale = this.createScale();
+        const percent = time => `${(scale(time) * 100).toFixed(3)}%`;
+        const width = time => `${Math.max(0.05, (scale(time.end) - scale(time.start)) * 100).toFixed(3)}%`;
+
+        const gapBands = gaps.map(gap => `
+            <div class="waterfall-gap" style="left: ${percent(gap.start)}; width: ${width(gap)}" title="Attente utilisateur: ${formatDuration(gap.end - gap.start)}">
+                ${this.isCompressed(gap) ? `<span>⏸ ${formatDuration(gap.end - gap.start)}</span>` : ''}
+            </div>
+        `).join('');
+
+        scroll.innerHTML = `
+            <div class="waterfall-canvas" style="min-width: ${this.zoom * 100}%">
+                <div class="waterfall-row waterfall-axis">
+                    <div class="waterfall-label"></div>
+                    <div class="waterfall-track">${this.renderTicks(scale)}</div>
+                </div>
+                <div class="waterfall-rows">
+                    <div class="waterfall-gaps">${gapBands}</div>
+                    ${rows.map((row, index) => `
+                        <div class="waterfall-row waterfall-row-${row.kind}" data-row="${index}">
+                            <div class="waterfall-label depth-${row.depth}" title="${escapeHtml(row.label)}">${escapeHtml(row.label)}</div>
+                            <div class="waterfall-track">
+                                ${row.start ? `
+                                    <div class="waterfall-bar bar-${row.kind} ${row.status === 'error' || row.error ? 'bar-error' : ''}"
+                                         data-row="${index}" style="left: ${percent(row.start)}; width: ${width(row)}"
+                                         title="${escapeHtml(this.describeRow(row))}"></div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Fonction temps -> position (0..1), attentes longues compressées si demandé
+     */
+    createScale() {
+        const { start, end, gaps } = this.data;
+        const collapsed = gaps.filter(gap => this.isCompressed(gap));
+        const removed = gap => (gap.end - gap.start) - IDLE_COMPRESSED_WIDTH;
+        const span = Math.max(1, (end - start) - collapsed.reduce((sum, gap) => sum + removed(gap), 0));
+
+        return time => {
+            let offset = time - start;
+            collapsed.forEach(gap => {
+                if (time >= gap.end) {
+                    offset -= removed(gap);
+                } else if (time > gap.start) {
+                    offset -= (time - gap.start) * (removed(gap) / (gap.end - gap.start));
+                }
+            });
+            return Math.min(1, Math.max(0, offset / span));
+        };
+    }
+
+    isCompressed(gap) {
+        return this.compressIdle && gap.end - gap.start > IDLE_COMPRESS_AFTER;
+    }
+
+    /**
+     * Graduations en temps écoulé depuis le début de la session
+     */
+    renderTicks(scale) {
+        const { start, end } = this.data;
+        const count = Math.round(6 * this.zoom);
+        const ticks = [];
+        for (let i = 0; i <= count; i++) {
+            const time = start + ((end - start) * i) / count;
+            ticks.push(`<span class="waterfall-tick" style="left: ${(scale(time) * 100).toFixed(3)}%">${formatDuration(time - start)}</span>`);
+        }
+        return ticks.join('');
+    }
+
+    describeRow(row) {
+        const lines = [row.label, `Durée: ${formatDuration(row.end - row.start)}`];
+        lines.push(`Début: +${formatDuration(row.start - this.data.start)}`);
+        if (row.status) lines.push(`Statut: ${row.status}`);
+        if (row.finish) lines.push(`Fin d'étape: ${row.finish}`);
+        if (row.error) lines.push(`Erreur: ${row.error}`);
+        return lines.join('\n');
+    }
+
+    handleClick(e) {
+        const zoomBtn = e.target.closest('.waterfall-zoom');
+        if (zoomBtn) {
+            const action = zoomBtn.dataset.zoom;
+            this.setZoom(action === 'reset' ? 1 : this.zoom * (action === 'in' ? 1.5 : 1 / 1.5));
+            return;
+        }
+
+        if (this.panned) return;
+        const target = e.target.closest('[data-row]');
+        if (target && this.data) {
+            this.onSelect(this.data.rows[parseInt(target.dataset.row)]);
+        }
+    }
+
+    /**
+     * Change le zoom en gardant le point sous le curseur (ou le centre) immobile
+     */
+    setZoom(zoom, clientX = null) {
+        const scroll = this.container.querySelector('.waterfall-scroll');
+        const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+        if (!scroll || next === this.zoom) return;
+
+        const rect = scroll.getBoundingClientRect();
+        const anchor = clientX === null ? scroll.clientWidth / 2 : clientX - rect.left;
+        const ratio = (scroll.scrollLeft + anchor) / (scroll.scrollWidth || 1);
+
+        this.zoom = next;
+        this.renderCanvas();
+        scroll.scrollLeft = ratio * scroll.scrollWidth - anchor;
+    }
+
+    /**
+     * Déplacement horizontal par glisser
+     */
+    setupPan() {
+        let origin = null;
+        this.container.addEventListener('mousedown', e => {
+            const scroll = e.target.closest('.waterfall-scroll');
+            if (!scroll || e.button !== 0) return;
+            origin = { x: e.clientX, scrollLeft: scroll.scrollLeft, scroll };
+            this.panned = false;
+        });
+        window.addEventListener('mousemove', e => {
+            if (!origin) return;
+            const delta = e.clientX - origin.x;
+            if (Math.abs(delta) > 3) this.panned = true;
+            origin.scroll.scrollLeft = origin.scrollLeft - delta;
+        });
+        window.addEventListener('mouseup', () => {
+            origin = null;
+            // Le clic qui termine un glisser ne doit pas ouvrir la timeline
+            setTimeout(() => { this.panned = false; }, 0);
+        });
+    }
+}